@@ -1,28 +1,15 @@
-const keccak = require('keccak');
+const { getContractInterface } = require('./verifiers/contract-interface');
 
-function getFunctionSelector(signature) {
-    return '0x' + keccak('keccak256').update(signature).digest('hex').slice(0, 8);
-}
+// Usage: node calc-signatures.js [abi-file] (defaults to ContractABI.json)
+const abiPath = process.argv[2] || 'ContractABI.json';
+const contract = getContractInterface(abiPath);
 
-console.log('🔧 Calculating Function Signatures:');
+console.log(`🔧 Function selectors in ${abiPath}:`);
 console.log('');
 
-// Calculate signatures for the functions in your contract ABI
-const functions = [
-    'nftStakeCount(address)',
-    'getStakedTokenIds(address)', 
-    'totalNFTStakeCount()',
-    'stakedTokenIds(address,uint256)',
-    'firstStakeTimestamp(address)',
-    'nftCollection()',
-    'stakedNFT(uint256)'
-];
-
-functions.forEach(func => {
-    const selector = getFunctionSelector(func);
-    console.log(`${func.padEnd(35)} -> ${selector}`);
+contract.interface.forEachFunction(fragment => {
+    console.log(`${fragment.format().padEnd(45)} -> ${fragment.selector}`);
 });
 
 console.log('');
-console.log('✅ Use these signatures in your contract calls!');
-
+console.log('✅ Encode calls by name with getContractInterface() instead of pasting selectors');
@@ -1,6 +1,10 @@
 const { Pool } = require('pg');
 const fs = require('fs');
 const path = require('path');
+const { getChains, getNetworkIds } = require('../verifiers/chain-registry');
+
+// Advisory lock held while a challenge's transfer amount is checked and saved
+const CHALLENGE_AMOUNT_LOCK_ID = 7420061;
 
 class PostgreSQLDatabase {
     constructor() {
@@ -19,6 +23,9 @@ class PostgreSQLDatabase {
         if (this.useJSON) {
             console.log('📄 Using JSON database (development mode)');
             this.jsonDbPath = path.join(__dirname, 'verified_users.json');
+            this.jsonStatePath = path.join(__dirname, 'bot_state.json');
+            this.jsonChallengesPath = path.join(__dirname, 'verification_codes.json');
+            this.jsonProofTransactionsPath = path.join(__dirname, 'proof_transactions.json');
             this.loadJSONDatabase();
         } else {
             console.log('🐘 Using PostgreSQL database (production mode)');
@@ -50,11 +57,79 @@ class PostgreSQLDatabase {
                 )
             `);
 
+            await this.pool.query(`
+                CREATE TABLE IF NOT EXISTS linked_wallets (
+                    id SERIAL PRIMARY KEY,
+                    user_id VARCHAR(32) REFERENCES verified_users(user_id) ON DELETE CASCADE,
+                    wallet_address VARCHAR(100) NOT NULL,
+                    proof JSONB NOT NULL DEFAULT '{}',
+                    linked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // A wallet can only be linked to one Discord account
+            await this.pool.query(`
+                CREATE UNIQUE INDEX IF NOT EXISTS idx_linked_wallets_address
+                ON linked_wallets (LOWER(wallet_address))
+            `);
+
+            // Wallets verified before multi-wallet support become the user's first linked wallet
+            await this.pool.query(`
+                INSERT INTO linked_wallets (user_id, wallet_address, proof, linked_at)
+                SELECT uv.user_id, uv.wallet_address, '{"method": "legacy"}', uv.verified_at
+                FROM user_verifications uv
+                WHERE uv.network = 'monad_testnet'
+                AND NOT EXISTS (SELECT 1 FROM linked_wallets lw WHERE lw.user_id = uv.user_id)
+                ON CONFLICT DO NOTHING
+            `);
+
+            await this.pool.query(`
+                CREATE TABLE IF NOT EXISTS verification_challenges (
+                    id VARCHAR(64) PRIMARY KEY,
+                    user_id VARCHAR(32) NOT NULL,
+                    wallet_address VARCHAR(100),
+                    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                    expires_at TIMESTAMPTZ NOT NULL,
+                    data JSONB NOT NULL DEFAULT '{}'
+                )
+            `);
+
+            await this.pool.query(`
+                CREATE INDEX IF NOT EXISTS idx_verification_challenges_user_status
+                ON verification_challenges (user_id, status)
+            `);
+
+            await this.pool.query(`
+                CREATE TABLE IF NOT EXISTS proof_transactions (
+                    tx_hash VARCHAR(66) PRIMARY KEY,
+                    network VARCHAR(50) NOT NULL,
+                    user_id VARCHAR(32) NOT NULL,
+                    challenge_id VARCHAR(64) NOT NULL,
+                    wallet_address VARCHAR(100) NOT NULL,
+                    block_number BIGINT,
+                    block_timestamp TIMESTAMPTZ,
+                    used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            await this.pool.query(`
+                CREATE TABLE IF NOT EXISTS bot_state (
+                    key VARCHAR(100) PRIMARY KEY,
+                    value JSONB NOT NULL,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
             console.log('✅ PostgreSQL database initialized');
         } catch (error) {
             console.error('❌ Error initializing PostgreSQL database:', error);
             // Fallback to JSON if database connection fails
             this.useJSON = true;
+            this.jsonDbPath = path.join(__dirname, 'verified_users.json');
+            this.jsonStatePath = path.join(__dirname, 'bot_state.json');
+            this.jsonChallengesPath = path.join(__dirname, 'verification_codes.json');
+            this.jsonProofTransactionsPath = path.join(__dirname, 'proof_transactions.json');
             this.loadJSONDatabase();
         }
     }
@@ -72,6 +147,42 @@ class PostgreSQLDatabase {
             console.error('Error loading JSON database:', error);
             this.jsonData = {};
         }
+
+        try {
+            if (fs.existsSync(this.jsonStatePath)) {
+                const data = fs.readFileSync(this.jsonStatePath, 'utf8');
+                this.jsonState = JSON.parse(data);
+            } else {
+                this.jsonState = {};
+            }
+        } catch (error) {
+            console.error('Error loading JSON bot state:', error);
+            this.jsonState = {};
+        }
+
+        try {
+            if (fs.existsSync(this.jsonChallengesPath)) {
+                const data = fs.readFileSync(this.jsonChallengesPath, 'utf8');
+                this.jsonChallenges = JSON.parse(data);
+            } else {
+                this.jsonChallenges = {};
+            }
+        } catch (error) {
+            console.error('Error loading JSON verification challenges:', error);
+            this.jsonChallenges = {};
+        }
+
+        try {
+            if (fs.existsSync(this.jsonProofTransactionsPath)) {
+                const data = fs.readFileSync(this.jsonProofTransactionsPath, 'utf8');
+                this.jsonProofTransactions = JSON.parse(data);
+            } else {
+                this.jsonProofTransactions = {};
+            }
+        } catch (error) {
+            console.error('Error loading JSON proof transactions:', error);
+            this.jsonProofTransactions = {};
+        }
     }
 
     saveJSONDatabase() {
@@ -82,6 +193,415 @@ class PostgreSQLDatabase {
         }
     }
 
+    saveJSONState() {
+        try {
+            fs.writeFileSync(this.jsonStatePath, JSON.stringify(this.jsonState, null, 2));
+        } catch (error) {
+            console.error('Error saving JSON bot state:', error);
+        }
+    }
+
+    saveJSONChallenges() {
+        try {
+            fs.writeFileSync(this.jsonChallengesPath, JSON.stringify(this.jsonChallenges, null, 2));
+        } catch (error) {
+            console.error('Error saving JSON verification challenges:', error);
+        }
+    }
+
+    saveJSONProofTransactions() {
+        try {
+            fs.writeFileSync(this.jsonProofTransactionsPath, JSON.stringify(this.jsonProofTransactions, null, 2));
+        } catch (error) {
+            console.error('Error saving JSON proof transactions:', error);
+        }
+    }
+
+    // Convert a verification_challenges row into a challenge object
+    mapChallengeRow(row) {
+        return {
+            ...row.data,
+            id: row.id,
+            userId: row.user_id,
+            walletAddress: row.wallet_address,
+            status: row.status,
+            createdAt: new Date(row.created_at).getTime(),
+            expiresAt: new Date(row.expires_at).getTime()
+        };
+    }
+
+    /**
+     * Create or update a verification challenge
+     * @param {Object} challenge - Challenge with id, userId, walletAddress, status, createdAt, expiresAt and proof data
+     * @returns {Object} Saved challenge
+     */
+    async saveChallenge(challenge) {
+        if (this.useJSON) {
+            this.jsonChallenges[challenge.id] = challenge;
+            this.saveJSONChallenges();
+            return challenge;
+        }
+
+        try {
+            await this.pool.query(`
+                INSERT INTO verification_challenges (id, user_id, wallet_address, status, created_at, expires_at, data)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                ON CONFLICT (id)
+                DO UPDATE SET
+                    wallet_address = $3,
+                    status = $4,
+                    expires_at = $6,
+                    data = $7
+            `, [
+                challenge.id,
+                challenge.userId,
+                challenge.walletAddress || null,
+                challenge.status,
+                new Date(challenge.createdAt),
+                new Date(challenge.expiresAt),
+                JSON.stringify(challenge)
+            ]);
+            return challenge;
+        } catch (error) {
+            console.error('Error saving verification challenge to PostgreSQL:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a pending challenge with a transfer amount no other open challenge holds.
+     * The check and the save are atomic, so concurrent requests cannot be given the same amount.
+     * @param {Object} challenge - Challenge to save; its amountWei is kept while no other open challenge holds it
+     * @param {Function} generateAmountWei - (takenAmountsWei) => unused amount in wei
+     * @returns {Object} Saved challenge
+     */
+    async saveChallengeWithUniqueAmount(challenge, generateAmountWei) {
+        if (this.useJSON) {
+            // Nothing is awaited between the check and the save
+            const now = Date.now();
+            const takenAmountsWei = Object.values(this.jsonChallenges)
+                .filter(open => open.id !== challenge.id && open.status === 'pending' && open.expiresAt > now)
+                .map(open => open.amountWei);
+            if (!challenge.amountWei || takenAmountsWei.includes(challenge.amountWei)) {
+                challenge.amountWei = generateAmountWei(takenAmountsWei);
+            }
+            return this.saveChallenge(challenge);
+        }
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            // Amount reservations queue behind this lock until the transaction ends
+            await client.query('SELECT pg_advisory_xact_lock($1)', [CHALLENGE_AMOUNT_LOCK_ID]);
+
+            const result = await client.query(`
+                SELECT data->>'amountWei' AS amount_wei FROM verification_challenges
+                WHERE status = 'pending' AND expires_at > NOW() AND id <> $1
+            `, [challenge.id]);
+            const takenAmountsWei = result.rows.map(row => row.amount_wei).filter(Boolean);
+            if (!challenge.amountWei || takenAmountsWei.includes(challenge.amountWei)) {
+                challenge.amountWei = generateAmountWei(takenAmountsWei);
+            }
+
+            await client.query(`
+                INSERT INTO verification_challenges (id, user_id, wallet_address, status, created_at, expires_at, data)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                ON CONFLICT (id)
+                DO UPDATE SET
+                    wallet_address = $3,
+                    status = $4,
+                    expires_at = $6,
+                    data = $7
+            `, [
+                challenge.id,
+                challenge.userId,
+                challenge.walletAddress || null,
+                challenge.status,
+                new Date(challenge.createdAt),
+                new Date(challenge.expiresAt),
+                JSON.stringify(challenge)
+            ]);
+
+            await client.query('COMMIT');
+            return challenge;
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            console.error('Error saving verification challenge to PostgreSQL:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Get the user's current pending, unexpired challenge
+     * @param {string} userId - Discord user ID
+     * @returns {Object|null} Challenge or null if none is open
+     */
+    async getActiveChallenge(userId) {
+        if (this.useJSON) {
+            const now = Date.now();
+            return Object.values(this.jsonChallenges)
+                .filter(challenge => challenge.userId === userId && challenge.status === 'pending' && challenge.expiresAt > now)
+                .sort((a, b) => b.createdAt - a.createdAt)[0] || null;
+        }
+
+        try {
+            const result = await this.pool.query(`
+                SELECT * FROM verification_challenges
+                WHERE user_id = $1 AND status = 'pending' AND expires_at > NOW()
+                ORDER BY created_at DESC
+                LIMIT 1
+            `, [userId]);
+            return result.rows.length > 0 ? this.mapChallengeRow(result.rows[0]) : null;
+        } catch (error) {
+            console.error('Error getting active challenge from PostgreSQL:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get all pending, unexpired challenges (for the transaction watcher)
+     * @returns {Object[]} Open challenges
+     */
+    async getPendingChallenges() {
+        if (this.useJSON) {
+            const now = Date.now();
+            return Object.values(this.jsonChallenges)
+                .filter(challenge => challenge.status === 'pending' && challenge.expiresAt > now);
+        }
+
+        try {
+            const result = await this.pool.query(`
+                SELECT * FROM verification_challenges
+                WHERE status = 'pending' AND expires_at > NOW()
+            `);
+            return result.rows.map(row => this.mapChallengeRow(row));
+        } catch (error) {
+            console.error('Error getting pending challenges from PostgreSQL:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Find a pending challenge by its signing page link token
+     * @param {string} linkToken - One-time link token
+     * @returns {Object|null} Challenge or null if not found
+     */
+    async getChallengeByLinkToken(linkToken) {
+        if (this.useJSON) {
+            const now = Date.now();
+            return Object.values(this.jsonChallenges).find(challenge =>
+                challenge.siwe?.linkToken === linkToken && challenge.status === 'pending' && challenge.expiresAt > now
+            ) || null;
+        }
+
+        try {
+            const result = await this.pool.query(`
+                SELECT * FROM verification_challenges
+                WHERE data->'siwe'->>'linkToken' = $1 AND status = 'pending' AND expires_at > NOW()
+                LIMIT 1
+            `, [linkToken]);
+            return result.rows.length > 0 ? this.mapChallengeRow(result.rows[0]) : null;
+        } catch (error) {
+            console.error('Error getting challenge by link token from PostgreSQL:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete all challenges for a user (for testing/reset)
+     * @param {string} userId - Discord user ID
+     * @returns {boolean} True if any challenge was removed
+     */
+    async removeChallenges(userId) {
+        if (this.useJSON) {
+            const ids = Object.keys(this.jsonChallenges).filter(id => this.jsonChallenges[id].userId === userId);
+            ids.forEach(id => delete this.jsonChallenges[id]);
+            if (ids.length > 0) this.saveJSONChallenges();
+            return ids.length > 0;
+        }
+
+        try {
+            const result = await this.pool.query(
+                'DELETE FROM verification_challenges WHERE user_id = $1',
+                [userId]
+            );
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error('Error removing challenges from PostgreSQL:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Mark expired challenges and delete finished ones past the retention window
+     * @param {number} retentionMs - How long to keep expired/confirmed challenges
+     * @returns {Object} { expired, deleted }
+     */
+    async cleanupChallenges(retentionMs = 24 * 60 * 60 * 1000) {
+        if (this.useJSON) {
+            const now = Date.now();
+            let expired = 0;
+            let deleted = 0;
+
+            for (const [id, challenge] of Object.entries(this.jsonChallenges)) {
+                if (challenge.status === 'pending' && challenge.expiresAt <= now) {
+                    challenge.status = 'expired';
+                    expired++;
+                }
+                if (challenge.status !== 'pending' && challenge.expiresAt + retentionMs <= now) {
+                    delete this.jsonChallenges[id];
+                    deleted++;
+                }
+            }
+
+            if (expired > 0 || deleted > 0) this.saveJSONChallenges();
+            return { expired, deleted };
+        }
+
+        try {
+            const expiredResult = await this.pool.query(`
+                UPDATE verification_challenges SET status = 'expired'
+                WHERE status = 'pending' AND expires_at <= NOW()
+            `);
+            const deletedResult = await this.pool.query(`
+                DELETE FROM verification_challenges
+                WHERE status <> 'pending' AND expires_at <= NOW() - ($1 * INTERVAL '1 millisecond')
+            `, [retentionMs]);
+            return { expired: expiredResult.rowCount, deleted: deletedResult.rowCount };
+        } catch (error) {
+            console.error('Error cleaning up challenges in PostgreSQL:', error);
+            return { expired: 0, deleted: 0 };
+        }
+    }
+
+    /**
+     * Bind a proof transaction to a single verification challenge.
+     * Claiming again for the same challenge succeeds, any other challenge is rejected.
+     * @param {string} txHash - Proof transaction hash
+     * @param {Object} claim - { network, userId, challengeId, walletAddress, blockNumber, timestamp }
+     * @returns {Object} { claimed: boolean, existing?: Object }
+     */
+    async claimProofTransaction(txHash, claim) {
+        const key = txHash.toLowerCase();
+
+        if (this.useJSON) {
+            const existing = this.jsonProofTransactions[key];
+            if (existing) {
+                return existing.challengeId === claim.challengeId
+                    ? { claimed: true, existing }
+                    : { claimed: false, existing };
+            }
+
+            this.jsonProofTransactions[key] = { ...claim, txHash: key, usedAt: new Date().toISOString() };
+            this.saveJSONProofTransactions();
+            return { claimed: true };
+        }
+
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO proof_transactions (tx_hash, network, user_id, challenge_id, wallet_address, block_number, block_timestamp)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                ON CONFLICT (tx_hash) DO NOTHING
+            `, [
+                key,
+                claim.network,
+                claim.userId,
+                claim.challengeId,
+                claim.walletAddress,
+                claim.blockNumber ?? null,
+                claim.timestamp ? new Date(claim.timestamp) : null
+            ]);
+
+            if (result.rowCount > 0) {
+                return { claimed: true };
+            }
+
+            const existing = await this.getProofTransaction(key);
+            return { claimed: existing?.challengeId === claim.challengeId, existing };
+        } catch (error) {
+            console.error('Error claiming proof transaction in PostgreSQL:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Look up which verification a proof transaction was used for
+     * @param {string} txHash - Transaction hash
+     * @returns {Object|null} Claim record or null if the transaction is unused
+     */
+    async getProofTransaction(txHash) {
+        const key = txHash.toLowerCase();
+
+        if (this.useJSON) {
+            return this.jsonProofTransactions[key] || null;
+        }
+
+        try {
+            const result = await this.pool.query('SELECT * FROM proof_transactions WHERE tx_hash = $1', [key]);
+            if (result.rows.length === 0) return null;
+
+            const row = result.rows[0];
+            return {
+                txHash: row.tx_hash,
+                network: row.network,
+                userId: row.user_id,
+                challengeId: row.challenge_id,
+                walletAddress: row.wallet_address,
+                blockNumber: row.block_number !== null ? Number(row.block_number) : null,
+                timestamp: row.block_timestamp ? row.block_timestamp.toISOString() : null,
+                usedAt: row.used_at.toISOString()
+            };
+        } catch (error) {
+            console.error('Error getting proof transaction from PostgreSQL:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get a persisted bot state value (e.g. background worker cursors)
+     * @param {string} key - State key
+     * @returns {*} Stored value or null if not set
+     */
+    async getBotState(key) {
+        if (this.useJSON) {
+            return this.jsonState[key] ?? null;
+        }
+
+        try {
+            const result = await this.pool.query('SELECT value FROM bot_state WHERE key = $1', [key]);
+            return result.rows.length > 0 ? result.rows[0].value : null;
+        } catch (error) {
+            console.error('Error getting bot state from PostgreSQL:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Persist a bot state value
+     * @param {string} key - State key
+     * @param {*} value - JSON-serializable value
+     */
+    async setBotState(key, value) {
+        if (this.useJSON) {
+            this.jsonState[key] = value;
+            this.saveJSONState();
+            return;
+        }
+
+        try {
+            await this.pool.query(`
+                INSERT INTO bot_state (key, value, updated_at)
+                VALUES ($1, $2, CURRENT_TIMESTAMP)
+                ON CONFLICT (key)
+                DO UPDATE SET value = $2, updated_at = CURRENT_TIMESTAMP
+            `, [key, JSON.stringify(value)]);
+        } catch (error) {
+            console.error('Error saving bot state to PostgreSQL:', error);
+        }
+    }
+
     /**
      * Save verification result to database
      * @param {string} userId - Discord user ID
@@ -160,6 +680,164 @@ class PostgreSQLDatabase {
         return this.saveVerification(userId, username, walletAddress, verificationResult, 'monad_testnet');
     }
 
+    /**
+     * Link a proven wallet to a user
+     * @param {string} userId - Discord user ID
+     * @param {string} username - Discord username
+     * @param {string} walletAddress - Wallet whose ownership was proven
+     * @param {Object} proof - How ownership was proven (e.g. { method: 'transaction', txHash })
+     * @returns {Object} { linked: boolean, alreadyLinked?: boolean, linkedUserId?: string }
+     */
+    async linkWallet(userId, username, walletAddress, proof = {}) {
+        const ownerId = await this.getWalletOwner(walletAddress);
+        if (ownerId) {
+            return ownerId === userId
+                ? { linked: true, alreadyLinked: true }
+                : { linked: false, linkedUserId: ownerId };
+        }
+
+        if (this.useJSON) {
+            if (!this.jsonData[userId]) {
+                this.jsonData[userId] = {
+                    userId: userId,
+                    username: username,
+                    verifications: {},
+                    createdAt: new Date().toISOString()
+                };
+            }
+
+            const user = this.jsonData[userId];
+            user.linkedWallets = this.getLinkedWalletsJSON(user);
+            user.linkedWallets.push({ walletAddress, proof, linkedAt: new Date().toISOString() });
+            user.lastUpdated = new Date().toISOString();
+            this.saveJSONDatabase();
+
+            console.log(`🔗 Linked wallet ${walletAddress} to ${username}`);
+            return { linked: true };
+        }
+
+        try {
+            await this.pool.query(`
+                INSERT INTO verified_users (user_id, username, last_updated)
+                VALUES ($1, $2, CURRENT_TIMESTAMP)
+                ON CONFLICT (user_id) 
+                DO UPDATE SET username = $2, last_updated = CURRENT_TIMESTAMP
+            `, [userId, username]);
+
+            // Another link of the same wallet may have landed since the owner lookup
+            const result = await this.pool.query(
+                'INSERT INTO linked_wallets (user_id, wallet_address, proof) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+                [userId, walletAddress, JSON.stringify(proof)]
+            );
+
+            if (result.rowCount === 0) {
+                const linkedUserId = await this.getWalletOwner(walletAddress);
+                return linkedUserId === userId
+                    ? { linked: true, alreadyLinked: true }
+                    : { linked: false, linkedUserId };
+            }
+
+            console.log(`🔗 Linked wallet ${walletAddress} to ${username}`);
+            return { linked: true };
+        } catch (error) {
+            console.error('Error linking wallet in PostgreSQL:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find which user a wallet is linked to
+     * @param {string} walletAddress - Wallet address
+     * @returns {string|null} Discord user ID or null if the wallet is not linked
+     */
+    async getWalletOwner(walletAddress) {
+        if (this.useJSON) {
+            const owner = Object.values(this.jsonData).find(user =>
+                this.getLinkedWalletsJSON(user).some(wallet => wallet.walletAddress.toLowerCase() === walletAddress.toLowerCase())
+            );
+            return owner ? owner.userId : null;
+        }
+
+        try {
+            const result = await this.pool.query(
+                'SELECT user_id FROM linked_wallets WHERE LOWER(wallet_address) = LOWER($1)',
+                [walletAddress]
+            );
+            return result.rows.length > 0 ? result.rows[0].user_id : null;
+        } catch (error) {
+            console.error('Error getting wallet owner from PostgreSQL:', error);
+            return null;
+        }
+    }
+
+    // Linked wallets of a JSON user, including a wallet verified before multi-wallet support
+    getLinkedWalletsJSON(user) {
+        if (user.linkedWallets) return user.linkedWallets;
+
+        const legacy = user.verifications?.monad_testnet;
+        return legacy ? [{ walletAddress: legacy.walletAddress, proof: { method: 'legacy' }, linkedAt: legacy.verifiedAt }] : [];
+    }
+
+    /**
+     * Get all wallets a user has proven and linked
+     * @param {string} userId - Discord user ID
+     * @returns {Object[]} [{ walletAddress, proof, linkedAt }] oldest first
+     */
+    async getLinkedWallets(userId) {
+        if (this.useJSON) {
+            const user = this.jsonData[userId];
+            return user ? this.getLinkedWalletsJSON(user) : [];
+        }
+
+        try {
+            const result = await this.pool.query(
+                'SELECT * FROM linked_wallets WHERE user_id = $1 ORDER BY linked_at ASC, id ASC',
+                [userId]
+            );
+            return result.rows.map(row => ({
+                walletAddress: row.wallet_address,
+                proof: row.proof,
+                linkedAt: row.linked_at.toISOString()
+            }));
+        } catch (error) {
+            console.error('Error getting linked wallets from PostgreSQL:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Unlink a wallet from a user
+     * @param {string} userId - Discord user ID
+     * @param {string} walletAddress - Wallet to remove
+     * @returns {boolean} True if the wallet was linked and has been removed
+     */
+    async unlinkWallet(userId, walletAddress) {
+        if (this.useJSON) {
+            const user = this.jsonData[userId];
+            if (!user) return false;
+
+            const wallets = this.getLinkedWalletsJSON(user);
+            const remaining = wallets.filter(wallet => wallet.walletAddress.toLowerCase() !== walletAddress.toLowerCase());
+            if (remaining.length === wallets.length) return false;
+
+            user.linkedWallets = remaining;
+            user.lastUpdated = new Date().toISOString();
+            this.saveJSONDatabase();
+            return true;
+        }
+
+        try {
+            const result = await this.pool.query(
+                'DELETE FROM linked_wallets WHERE user_id = $1 AND LOWER(wallet_address) = LOWER($2)',
+                [userId, walletAddress]
+            );
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error('Error unlinking wallet in PostgreSQL:', error);
+            return false;
+        }
+    }
+
     /**
      * Get verified user data by Discord user ID
      * @param {string} userId - Discord user ID
@@ -316,7 +994,7 @@ class PostgreSQLDatabase {
 
     /**
      * Get verification statistics
-     * @returns {Object} Statistics about verifications
+     * @returns {Object} Statistics about verifications (verified users per registry chain in networks)
      */
     async getStats() {
         if (this.useJSON) {
@@ -327,23 +1005,15 @@ class PostgreSQLDatabase {
             const totalUsersResult = await this.pool.query('SELECT COUNT(*) FROM verified_users');
             const totalUsers = parseInt(totalUsersResult.rows[0].count);
 
-            const monadResult = await this.pool.query(`
-                SELECT COUNT(*) FROM user_verifications 
-                WHERE network = 'monad_testnet' AND verification_result->>'verified' = 'true'
-            `);
-            const monadCount = parseInt(monadResult.rows[0].count);
-
-            const arbitrumResult = await this.pool.query(`
-                SELECT COUNT(*) FROM user_verifications 
-                WHERE network = 'arbitrum' AND verification_result->>'verified' = 'true'
-            `);
-            const arbitrumCount = parseInt(arbitrumResult.rows[0].count);
-
-            const beraResult = await this.pool.query(`
-                SELECT COUNT(*) FROM user_verifications 
-                WHERE network = 'berachain' AND verification_result->>'verified' = 'true'
-            `);
-            const beraCount = parseInt(beraResult.rows[0].count);
+            // Count each user once per chain, including verifications saved under an alias
+            const networks = {};
+            for (const chain of getChains()) {
+                const networkResult = await this.pool.query(`
+                    SELECT COUNT(DISTINCT user_id) FROM user_verifications 
+                    WHERE network = ANY($1) AND verification_result->>'verified' = 'true'
+                `, [getNetworkIds(chain)]);
+                networks[chain.id] = parseInt(networkResult.rows[0].count);
+            }
 
             const lastVerificationResult = await this.pool.query(`
                 SELECT MAX(verified_at) as last_verification FROM user_verifications
@@ -352,9 +1022,7 @@ class PostgreSQLDatabase {
 
             return {
                 totalUsers: totalUsers,
-                monadVerified: monadCount,
-                arbitrumVerified: arbitrumCount,
-                beraVerified: beraCount,
+                networks: networks,
                 lastVerification: lastVerification ? new Date(lastVerification).getTime() : null
             };
         } catch (error) {
@@ -365,16 +1033,17 @@ class PostgreSQLDatabase {
 
     getStatsJSON() {
         const users = Object.values(this.jsonData);
-        let monadCount = 0;
-        let arbitrumCount = 0;
-        let beraCount = 0;
+        const networks = Object.fromEntries(getChains().map(chain => [chain.id, 0]));
         let lastVerificationTime = 0;
 
         users.forEach(user => {
             if (user.verifications) {
-                if (user.verifications.monad_testnet?.verificationResult?.verified) monadCount++;
-                if (user.verifications.arbitrum?.verificationResult?.verified) arbitrumCount++;
-                if (user.verifications.berachain?.verificationResult?.verified) beraCount++;
+                for (const chain of getChains()) {
+                    const verified = getNetworkIds(chain).some(network =>
+                        user.verifications[network]?.verificationResult?.verified
+                    );
+                    if (verified) networks[chain.id]++;
+                }
                 
                 // Find latest verification time
                 Object.values(user.verifications).forEach(verification => {
@@ -386,9 +1055,7 @@ class PostgreSQLDatabase {
 
         return {
             totalUsers: users.length,
-            monadVerified: monadCount,
-            arbitrumVerified: arbitrumCount,
-            beraVerified: beraCount,
+            networks: networks,
             lastVerification: lastVerificationTime > 0 ? lastVerificationTime : null
         };
     }
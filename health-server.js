@@ -1,4 +1,9 @@
 const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const SIGNING_PAGE_PATH = path.join(__dirname, 'public', 'verify.html');
+const MAX_BODY_SIZE = 16 * 1024;
 
 class HealthServer {
     constructor(port = process.env.PORT || 3000) {
@@ -6,12 +11,114 @@ class HealthServer {
         this.server = null;
         this.isReady = false;
         this.verificationDB = null;
+        this.signingHandler = null;
+        this.endpointHealth = null;
+        this.rpcStats = null;
     }
 
     setDatabase(verificationDB) {
         this.verificationDB = verificationDB;
     }
 
+    /**
+     * Report RPC / indexer endpoint health
+     * @param {Function} getEndpointHealth - () => { [poolName]: [{ url, state, ... }] }
+     */
+    setEndpointHealth(getEndpointHealth) {
+        this.endpointHealth = getEndpointHealth;
+    }
+
+    /**
+     * Report JSON-RPC client counters (calls, cache hits, batched HTTP requests)
+     * @param {Function} getRpcStats - () => { [poolName]: { calls, cacheHits, deduped, httpRequests, cacheSize } }
+     */
+    setRpcStats(getRpcStats) {
+        this.rpcStats = getRpcStats;
+    }
+
+    /**
+     * Enable the wallet signing page
+     * @param {Object} handler - { getChallenge(token), submitSignature(token, signature) }
+     */
+    setSigningHandler(handler) {
+        this.signingHandler = handler;
+    }
+
+    /**
+     * Read a small JSON request body
+     * @param {http.IncomingMessage} req - Incoming request
+     * @returns {Promise<Object>} Parsed body
+     */
+    readJsonBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+                if (body.length > MAX_BODY_SIZE) {
+                    reject(new Error('Request body too large'));
+                    req.destroy();
+                }
+            });
+            req.on('end', () => {
+                try {
+                    resolve(body ? JSON.parse(body) : {});
+                } catch (error) {
+                    reject(new Error('Invalid JSON body'));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    async handleSigningRequest(req, res, pathname) {
+        // Signing page: /verify/<token>
+        if (req.method === 'GET' && pathname.startsWith('/verify/')) {
+            try {
+                const page = fs.readFileSync(SIGNING_PAGE_PATH, 'utf8');
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                res.end(page);
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'text/plain' });
+                res.end('Signing page unavailable');
+            }
+            return;
+        }
+
+        // Challenge API: /api/verify/<token>
+        const token = pathname.slice('/api/verify/'.length);
+
+        try {
+            if (req.method === 'GET') {
+                const challenge = await this.signingHandler.getChallenge(token);
+                if (!challenge) {
+                    res.writeHead(404, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ status: 'not_found', error: 'This verification link is invalid, expired or already used' }));
+                    return;
+                }
+
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ status: 'ok', ...challenge }));
+            } else if (req.method === 'POST') {
+                const body = await this.readJsonBody(req);
+                const result = await this.signingHandler.submitSignature(token, body.signature);
+
+                res.writeHead(result.success ? 200 : (result.statusCode || 400), { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ status: result.success ? 'ok' : 'error', ...result }));
+            } else {
+                res.writeHead(405, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ status: 'error', error: 'Method not allowed' }));
+            }
+        } catch (error) {
+            console.error('Error handling signing request:', error);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                status: 'error',
+                error: error.message,
+                timestamp: new Date().toISOString()
+            }));
+        }
+    }
+
     setReady(ready = true) {
         this.isReady = ready;
     }
@@ -29,6 +136,13 @@ class HealthServer {
                 return;
             }
 
+            const { pathname } = new URL(req.url, 'http://localhost');
+
+            if (this.signingHandler && (pathname.startsWith('/verify/') || pathname.startsWith('/api/verify/'))) {
+                await this.handleSigningRequest(req, res, pathname);
+                return;
+            }
+
             if (req.url === '/health' || req.url === '/') {
                 try {
                     const health = {
@@ -43,6 +157,20 @@ class HealthServer {
                         }
                     };
 
+                    // Add endpoint health; degraded when every endpoint of a pool is being skipped
+                    if (this.endpointHealth) {
+                        health.endpoints = this.endpointHealth();
+                        const unavailable = Object.values(health.endpoints)
+                            .some(endpoints => endpoints.length > 0 && endpoints.every(endpoint => endpoint.state === 'open'));
+                        if (unavailable && health.status === 'ok') {
+                            health.status = 'degraded';
+                        }
+                    }
+
+                    if (this.rpcStats) {
+                        health.rpc = this.rpcStats();
+                    }
+
                     // Add database health if available
                     if (this.verificationDB) {
                         try {
@@ -84,7 +212,7 @@ class HealthServer {
                 res.writeHead(404, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({
                     status: 'not_found',
-                    message: 'Available endpoints: /health, /stats',
+                    message: 'Available endpoints: /health, /stats, /verify/<token>',
                     timestamp: new Date().toISOString()
                 }));
             }
@@ -94,6 +222,7 @@ class HealthServer {
             console.log(`🩺 Health server running on http://0.0.0.0:${this.port}`);
             console.log(`   📊 Health check: http://0.0.0.0:${this.port}/health`);
             console.log(`   📈 Stats: http://0.0.0.0:${this.port}/stats`);
+            console.log(`   ✍️ Signing page: http://0.0.0.0:${this.port}/verify/<token>`);
         });
 
         // Graceful shutdown
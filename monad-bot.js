@@ -1,21 +1,35 @@
 /**
  * Multi-Chain Discord NFT Verification Bot
- * Supports Monad Testnet (primary), Arbitrum, and Berachain
+ * Supports Monad Testnet (primary) and the chains declared in config/chains.json
  * Monad verification is required first, others can use verified addresses
  */
 
-const { Client, GatewayIntentBits, SlashCommandBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, EmbedBuilder, StringSelectMenuBuilder, StringSelectMenuOptionBuilder } = require('discord.js');
-const fs = require('fs');
-const path = require('path');
+const { Client, GatewayIntentBits, SlashCommandBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, EmbedBuilder, StringSelectMenuBuilder, StringSelectMenuOptionBuilder, PermissionFlagsBits } = require('discord.js');
+const crypto = require('crypto');
 require('dotenv').config();
 
 // Import verifiers and utilities
 const MonadNFTVerifier = require('./verifiers/monad-verifier');
-const ArbitrumNFTVerifier = require('./verifiers/arbitrum-verifier');
-const BeraVerifier = require('./verifiers/bera-verifier');
+const ChainNFTVerifier = require('./verifiers/chain-verifier');
+const { getChains, getChain, getPrimaryChain, getSecondaryChains, getNetworkIds, getRoleId, getCollections, getTierRoles, getTraitRoles, getBalanceRequirements, getRPCClient } = require('./verifiers/chain-registry');
+const { parseRuleExpression, validateRuleIdentifiers, getRoleRules, getActiveRoleRules, getReferencedChainIds, getRuleChainIds, buildRuleContext, evaluateRule } = require('./verifiers/role-rules');
+const { getEndpointHealth } = require('./verifiers/endpoint-pool');
+const { getRpcClientStats } = require('./verifiers/rpc-client');
+const SiweVerifier = require('./verifiers/siwe-verifier');
 const PostgreSQLDatabase = require('./database/postgres-db');
 const HealthServer = require('./health-server');
-const { generateVerificationAmount, formatAmountForDisplay, ethToWei, isValidEthereumAddress } = require('./verifiers/base-verifier');
+const MonadTransactionWatcher = require('./workers/monad-watcher');
+const { generateVerificationAmountWei, generateVerificationCode, encodeVerificationCode, weiToEth, isValidEthereumAddress } = require('./verifiers/base-verifier');
+const { validateConfig, getConfiguredRoles, isValidDiscordId } = require('./utils/validation');
+
+// Refuse to start with missing or malformed settings instead of failing on first use
+const configCheck = validateConfig(process.env);
+if (!configCheck.isValid) {
+    console.error('❌ Invalid configuration, the bot cannot start:');
+    configCheck.errors.forEach(error => console.error(`   • ${error}`));
+    process.exit(1);
+}
+configCheck.warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
 
 // Initialize Discord client
 const client = new Client({
@@ -29,59 +43,663 @@ const client = new Client({
 
 // Initialize verifiers and database
 const monadVerifier = new MonadNFTVerifier();
-const arbitrumVerifier = new ArbitrumNFTVerifier();
-const beraVerifier = new BeraVerifier();
+// One generic verifier per secondary chain in the chain registry
+const chainVerifiers = new Map(getSecondaryChains().map(chain => [chain.id, new ChainNFTVerifier(chain)]));
+const siweVerifier = new SiweVerifier(monadVerifier);
+// Parse role rules up front so a broken rule stops the bot instead of failing on first use
+getRoleRules();
 const verificationDB = new PostgreSQLDatabase();
 
 // Initialize health server
 const healthServer = new HealthServer();
 healthServer.setDatabase(verificationDB);
+healthServer.setEndpointHealth(getEndpointHealth);
+healthServer.setRpcStats(getRpcClientStats);
 healthServer.start();
 
-// Storage for verification codes (Monad only)
-const VERIFICATION_FILE = path.join(__dirname, 'verification_codes.json');
-let verificationCodes = {};
+// Background watcher that auto-confirms verification transactions
+const monadWatcher = MonadTransactionWatcher.isEnabled()
+    ? new MonadTransactionWatcher(monadVerifier, verificationDB, {
+        getOpenChallenges: getOpenMonadChallenges,
+        onMatch: handleWatcherMatch
+    })
+    : null;
 
-// Load existing verification codes
-function loadVerificationCodes() {
-    try {
-        if (fs.existsSync(VERIFICATION_FILE)) {
-            const data = fs.readFileSync(VERIFICATION_FILE, 'utf8');
-            verificationCodes = JSON.parse(data);
+// Verification challenges (Monad only) are stored through the database with an expiry
+const CHALLENGE_EXPIRY_MINUTES = parseInt(process.env.CHALLENGE_EXPIRY_MINUTES) || 30;
+const CHALLENGE_CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
+
+// Holdings behind trait and balance roles are re-checked on this interval (0 disables)
+const ROLE_RECHECK_MINUTES = parseInt(process.env.ROLE_RECHECK_MINUTES ?? '60');
+
+// How each stored network (chain id or alias) is re-checked against a user's linked wallets
+const LINKED_WALLET_NETWORKS = Object.fromEntries(getChains().flatMap(chain => {
+    const verify = chain.id === getPrimaryChain().id
+        ? wallets => monadVerifier.verifyNFTOwnershipWithStaking(wallets)
+        : wallets => chainVerifiers.get(chain.id).verifyNFTOwnership(wallets);
+    const network = { chain, name: chain.name, roleId: () => getRoleId(chain), verify };
+    return getNetworkIds(chain).map(id => [id, network]);
+}));
+
+/**
+ * Finish a Monad verification once wallet ownership has been proven
+ * (by transaction or signature): check NFTs, save and assign role
+ * @param {Guild} guild - Discord guild to assign the role in
+ * @param {User} user - Discord user being verified
+ * @param {Object} challenge - The user's verification challenge
+ * @param {string} walletAddress - Proven wallet address
+ * @returns {Promise<Object>} NFT verification result
+ */
+async function completeMonadVerification(guild, user, challenge, walletAddress) {
+    const userId = user.id;
+
+    // Ownership is proven, so link the wallet even if holdings are not enough yet
+    const proof = challenge.proofTransaction
+        ? { method: 'transaction', ...challenge.proofTransaction }
+        : { method: 'signature' };
+    const link = await verificationDB.linkWallet(userId, user.username, walletAddress, proof);
+
+    if (!link.linked) {
+        return {
+            verified: false,
+            error: 'This wallet is already linked to another Discord account.',
+            network: 'monad_testnet',
+            walletAddress: walletAddress,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // Holdings are summed across every wallet the user has linked
+    const linkedWallets = (await verificationDB.getLinkedWallets(userId)).map(wallet => wallet.walletAddress);
+
+    console.log('🟣 Verifying NFT ownership on Monad (checking direct ownership and staking)...');
+    const nftResult = await monadVerifier.verifyNFTOwnershipWithStaking(linkedWallets);
+
+    // Keep the on-chain proof with the verification record as evidence
+    if (challenge.proofTransaction) {
+        nftResult.proofTransaction = challenge.proofTransaction;
+    }
+
+    await syncRequirementRoles(guild, userId, nftResult);
+
+    if (nftResult.verified) {
+        // Verification successful - save to database
+        await verificationDB.saveMonadVerification(userId, user.username, walletAddress, nftResult);
+
+        // Close the challenge so it cannot be used again
+        challenge.status = 'confirmed';
+        challenge.confirmedAt = Date.now();
+        challenge.nftVerificationResult = nftResult;
+        await verificationDB.saveChallenge(challenge);
+
+        // Assign verified role
+        const member = guild?.members.cache.get(userId) || await guild?.members.fetch(userId).catch(() => null);
+        const roleId = process.env.VERIFIED_ROLE_ID;
+
+        if (roleId && member) {
+            try {
+                const role = guild.roles.cache.get(roleId);
+                if (role) {
+                    await member.roles.add(role);
+                }
+            } catch (error) {
+                console.error('Error assigning role:', error);
+            }
         }
+    } else {
+        await saveRequirementOnlyResult(user, walletAddress, nftResult, 'monad_testnet');
+    }
+
+    await applyRoleRules(guild, userId);
+
+    return nftResult;
+}
+
+/**
+ * Remove a role from a guild member if they have it
+ * @param {Guild} guild - Discord guild
+ * @param {string} userId - Discord user ID
+ * @param {string} roleId - Role to remove
+ */
+async function removeMemberRole(guild, userId, roleId) {
+    const member = guild?.members.cache.get(userId) || await guild?.members.fetch(userId).catch(() => null);
+    if (!roleId || !member || !member.roles.cache.has(roleId)) return;
+
+    try {
+        await member.roles.remove(roleId);
     } catch (error) {
-        console.error('Error loading verification codes:', error);
-        verificationCodes = {};
+        console.error('Error removing role:', error);
+    }
+}
+
+/**
+ * Roles granted by a chain's collection, tier, trait and balance requirements (not its main role)
+ * @param {Object} chain - Chain from the registry
+ * @returns {string[]} Role IDs
+ */
+function getRequirementRoleIds(chain) {
+    return [...getCollections(chain), ...getTierRoles(chain), ...getTraitRoles(chain), ...getBalanceRequirements(chain)]
+        .map(requirement => requirement.roleId)
+        .filter(Boolean);
+}
+
+/**
+ * Evaluated collection, tier, trait and balance requirements of a verification result
+ * @param {Object} result - NFT verification result
+ * @returns {Object[]} Requirements with name, roleId and verified
+ */
+function getRequirementResults(result) {
+    return [...(result?.collections || []), ...(result?.tierRoles || []), ...(result?.traitRoles || []), ...(result?.balanceRoles || [])];
+}
+
+/**
+ * Add or remove collection, tier, trait and balance roles to match a verification result.
+ * Lower and higher tiers are not verified, so only the highest tier reached is kept.
+ * Requirements that could not be evaluated (e.g. API errors) leave roles untouched.
+ * @param {Guild} guild - Discord guild
+ * @param {string} userId - Discord user ID
+ * @param {Object} result - NFT verification result with optional collections / tierRoles / traitRoles / balanceRoles
+ */
+async function syncRequirementRoles(guild, userId, result) {
+    const requirements = getRequirementResults(result)
+        .filter(requirement => requirement.roleId && typeof requirement.verified === 'boolean');
+    if (requirements.length === 0) return;
+
+    const member = guild?.members.cache.get(userId) || await guild?.members.fetch(userId).catch(() => null);
+    if (!member) return;
+
+    for (const requirement of requirements) {
+        try {
+            if (requirement.verified && !member.roles.cache.has(requirement.roleId)) {
+                await member.roles.add(requirement.roleId);
+                console.log(`🏷️ Assigned role "${requirement.name}" to ${member.user.username}`);
+            } else if (!requirement.verified && member.roles.cache.has(requirement.roleId)) {
+                await member.roles.remove(requirement.roleId);
+                console.log(`🏷️ Removed role "${requirement.name}" from ${member.user.username}`);
+            }
+        } catch (error) {
+            console.error(`Error updating role "${requirement.name}":`, error);
+        }
+    }
+}
+
+/**
+ * Add or remove the roles of enabled role rules, evaluated over the user's latest
+ * stored result on every chain
+ * @param {Guild} guild - Discord guild
+ * @param {string} userId - Discord user ID
+ */
+async function applyRoleRules(guild, userId) {
+    const rules = getActiveRoleRules();
+    if (rules.length === 0) return;
+
+    const member = guild?.members.cache.get(userId) || await guild?.members.fetch(userId).catch(() => null);
+    if (!member) return;
+
+    const verifications = await verificationDB.getUserVerifications(userId);
+    const context = buildRuleContext(Object.values(verifications).map(verification => verification.verificationResult));
+
+    for (const rule of rules) {
+        const { passed, unavailable } = evaluateRule(rule.tree, context);
+        if (unavailable) continue; // A referenced chain could not be checked: leave the role as it is
+
+        try {
+            if (passed && !member.roles.cache.has(rule.roleId)) {
+                await member.roles.add(rule.roleId);
+                console.log(`🧮 Assigned rule role "${rule.name}" to ${member.user.username}`);
+            } else if (!passed && member.roles.cache.has(rule.roleId)) {
+                await member.roles.remove(rule.roleId);
+                console.log(`🧮 Removed rule role "${rule.name}" from ${member.user.username}`);
+            }
+        } catch (error) {
+            console.error(`Error updating rule role "${rule.name}":`, error);
+        }
+    }
+}
+
+/**
+ * Save a result that failed the NFT check but still grants collection, trait or balance roles
+ * (or holds tokens a role rule counts), so the periodic re-check can revoke them later.
+ * Never replaces a passing verification.
+ * @param {User} user - Discord user
+ * @param {string} walletAddress - Verified wallet
+ * @param {Object} result - NFT verification result
+ * @param {string} network - Network the result belongs to
+ */
+async function saveRequirementOnlyResult(user, walletAddress, result, network) {
+    const grantsRoles = getRequirementResults(result).some(requirement => requirement.roleId && requirement.verified);
+    const countsForRules = getRuleChainIds().includes(getChain(network)?.id) &&
+        (result.collections || []).some(collection => collection.heldCount > 0);
+    if ((!grantsRoles && !countsForRules) || await verificationDB.hasNetworkVerification(user.id, network)) return;
+
+    await verificationDB.saveVerification(user.id, user.username, walletAddress, result, network);
+}
+
+/**
+ * Re-check every verified network against the user's remaining linked wallets
+ * and revoke roles whose requirements are no longer met
+ * @param {Guild} guild - Discord guild
+ * @param {User} user - Discord user (or { id, username })
+ * @param {string[]} networks - Only re-check these stored networks (default: all)
+ * @returns {Promise<string[]>} Names of networks whose verification was revoked
+ */
+async function recheckLinkedWallets(guild, user, networks = null) {
+    const wallets = (await verificationDB.getLinkedWallets(user.id)).map(wallet => wallet.walletAddress);
+    const verifications = await verificationDB.getUserVerifications(user.id);
+    const revoked = [];
+
+    for (const [network, verification] of Object.entries(verifications)) {
+        const target = LINKED_WALLET_NETWORKS[network];
+        if (!target || (networks && !networks.includes(network))) continue;
+
+        // Unverified networks only matter while they still grant a collection, trait or balance role
+        // or hold tokens a role rule counts
+        const wasVerified = !!verification.verificationResult?.verified;
+        const grantsRequirementRoles = getRequirementResults(verification.verificationResult)
+            .some(requirement => requirement.roleId && requirement.verified);
+        const countsForRules = getRuleChainIds().includes(target.chain.id);
+        if (!wasVerified && !grantsRequirementRoles && !countsForRules) continue;
+
+        const result = wallets.length > 0
+            ? await target.verify(wallets)
+            : { verified: false, network, walletAddress: verification.walletAddress, error: 'No linked wallets left', timestamp: new Date().toISOString() };
+
+        // A failed check (provider or RPC outage) says nothing about holdings: keep the stored result and roles
+        if (wallets.length > 0 && result.error) {
+            console.warn(`⚠️ Re-check of ${network} for ${user.username} failed, keeping roles: ${result.error}`);
+            continue;
+        }
+
+        await verificationDB.saveVerification(user.id, user.username, wallets[0] || verification.walletAddress, result, network);
+        await syncRequirementRoles(guild, user.id, result);
+
+        if (wallets.length === 0) {
+            for (const roleId of getRequirementRoleIds(target.chain)) {
+                await removeMemberRole(guild, user.id, roleId);
+            }
+        }
+
+        if (!result.verified && wasVerified) {
+            await removeMemberRole(guild, user.id, target.roleId());
+            revoked.push(target.name);
+        }
+    }
+
+    await applyRoleRules(guild, user.id);
+
+    return revoked;
+}
+
+/**
+ * Chains whose results feed collection, trait, balance or rule roles
+ * @returns {Object[]} Chains from the registry
+ */
+function getRecheckedChains() {
+    const ruleChainIds = getRuleChainIds();
+    return getChains().filter(chain => getRequirementRoleIds(chain).length > 0 || ruleChainIds.includes(chain.id));
+}
+
+/**
+ * Re-check holdings of every verified user on chains with collection, trait, balance or rule roles,
+ * so those roles follow tokens that were sold, bought or transferred
+ */
+async function recheckRequirementRoles() {
+    const networks = getRecheckedChains().flatMap(chain => getNetworkIds(chain));
+    if (networks.length === 0) return;
+
+    const guild = client.guilds.cache.get(process.env.GUILD_ID);
+    const users = await verificationDB.getAllVerifiedUsers();
+    let revokedCount = 0;
+
+    for (const [userId, userData] of Object.entries(users)) {
+        try {
+            const revoked = await recheckLinkedWallets(guild, { id: userId, username: userData.username }, networks);
+            revokedCount += revoked.length;
+        } catch (error) {
+            console.error(`Error re-checking roles for ${userId}:`, error);
+        }
+    }
+
+    console.log(`🏷️ Requirement and rule roles re-checked for ${Object.keys(users).length} users (${revokedCount} verifications revoked)`);
+}
+
+/**
+ * Re-run the configuration checks and test them against the live server and endpoints:
+ * every configured role must exist and sit below the bot's highest role
+ * @param {Guild} guild - Discord guild
+ * @returns {Promise<Object>} { errors, warnings, roleLines, endpointLines }
+ */
+async function runConfigDoctor(guild) {
+    const { errors, warnings } = validateConfig(process.env);
+    const roleLines = [];
+
+    const me = guild.members.me || await guild.members.fetchMe().catch(() => null);
+    if (!me?.permissions.has(PermissionFlagsBits.ManageRoles)) {
+        errors.push('The bot needs the Manage Roles permission to grant roles');
+    }
+
+    // Malformed role ids are already reported by validateConfig
+    for (const role of getConfiguredRoles().filter(role => isValidDiscordId(role.roleId))) {
+        const guildRole = guild.roles.cache.get(role.roleId) || await guild.roles.fetch(role.roleId).catch(() => null);
+
+        if (!guildRole) {
+            errors.push(`${role.envName}: role ${role.roleId} does not exist in this server (${role.label})`);
+            roleLines.push(`❌ ${role.label}: not found`);
+        } else if (guildRole.managed) {
+            errors.push(`${role.envName}: @${guildRole.name} is managed by an integration and cannot be granted`);
+            roleLines.push(`❌ ${role.label}: @${guildRole.name} (managed)`);
+        } else if (me && me.roles.highest.comparePositionTo(guildRole) <= 0) {
+            errors.push(`@${guildRole.name} is not below the bot's highest role @${me.roles.highest.name}: move the bot's role above it`);
+            roleLines.push(`❌ ${role.label}: @${guildRole.name} (above the bot)`);
+        } else {
+            roleLines.push(`✅ ${role.label}: @${guildRole.name}`);
+        }
+    }
+
+    // Every chain's JSON-RPC endpoints must answer
+    const endpointLines = await Promise.all(getChains().map(async chain => {
+        try {
+            const blockNumber = await getRPCClient(chain).call('eth_blockNumber', []);
+            return `✅ ${chain.emoji} ${chain.shortName}: block ${parseInt(blockNumber, 16)}`;
+        } catch (error) {
+            errors.push(`${chain.name} JSON-RPC endpoints did not answer: ${error.message}`);
+            return `❌ ${chain.emoji} ${chain.shortName}: ${error.message}`;
+        }
+    }));
+
+    return { errors, warnings, roleLines, endpointLines };
+}
+
+/**
+ * Join lines for an embed field, keeping within Discord's 1024 character limit
+ * @param {string[]} lines - Field lines
+ * @returns {string} Field value
+ */
+function formatFieldLines(lines) {
+    if (lines.length === 0) return 'None';
+
+    const shown = [];
+    for (const [index, line] of lines.entries()) {
+        const more = `…and ${lines.length - index} more`;
+        if ([...shown, line].join('\n').length + more.length + 1 > 1024) {
+            shown.push(more);
+            break;
+        }
+        shown.push(line);
+    }
+    return shown.join('\n');
+}
+
+/**
+ * Shorten text to a maximum length, ending with an ellipsis when cut
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum length including the ellipsis
+ * @returns {string}
+ */
+function truncateText(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Bind a proof transaction to a challenge so it cannot verify anyone else
+ * @param {Object} challenge - Verification challenge the transaction proves
+ * @param {Object} transaction - { txHash, blockNumber, timestamp }
+ * @returns {Promise<boolean>} False if the transaction was already used for another verification
+ */
+async function bindProofTransaction(challenge, transaction) {
+    const claim = await verificationDB.claimProofTransaction(transaction.txHash, {
+        network: 'monad_testnet',
+        userId: challenge.userId,
+        challengeId: challenge.id,
+        walletAddress: challenge.walletAddress,
+        blockNumber: transaction.blockNumber,
+        timestamp: transaction.timestamp
+    });
+
+    if (!claim.claimed) {
+        console.warn(`⚠️ Rejected reused proof transaction ${transaction.txHash} (already used by user ${claim.existing?.userId})`);
+        return false;
+    }
+
+    challenge.proofTransaction = transaction;
+    await verificationDB.saveChallenge(challenge);
+    return true;
+}
+
+/**
+ * Whether a transaction already proves another verification
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<boolean>}
+ */
+async function isProofTransactionUsed(txHash) {
+    return !!(await verificationDB.getProofTransaction(txHash));
+}
+
+/**
+ * Whether any transaction-based proof mode is enabled
+ * @returns {boolean}
+ */
+function isTransferProofEnabled() {
+    return monadVerifier.getProofModes().some(mode => mode !== 'signature');
+}
+
+/**
+ * Whether the background watcher is confirming transactions
+ * @returns {boolean}
+ */
+function isWatcherRunning() {
+    return !!monadWatcher?.getStatus().running;
+}
+
+/**
+ * List where a verification transfer may be sent for the enabled proof modes
+ * @param {string} walletAddress - Wallet being verified
+ * @returns {string} One line per accepted recipient
+ */
+function describeProofRecipients(walletAddress) {
+    const modes = monadVerifier.getProofModes();
+    const lines = [];
+
+    if (modes.includes('bot_transfer')) {
+        lines.push(`• Bot wallet: \`${process.env.BOT_WALLET_ADDRESS}\``);
+    }
+    if (modes.includes('self_transfer')) {
+        lines.push(`• Your own wallet (send to yourself, only gas is spent): \`${walletAddress}\``);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Calldata verification code for a challenge, if that proof mode is enabled
+ * @param {Object} challenge - Verification challenge
+ * @returns {string|null} Verification code
+ */
+function getActiveVerificationCode(challenge) {
+    return monadVerifier.getProofModes().includes('calldata') ? challenge.verificationCode || null : null;
+}
+
+/**
+ * Embed fields describing which transactions prove a challenge
+ * @param {Object} challenge - Verification challenge
+ * @returns {Object[]} Embed fields
+ */
+function describeTransactionProof(challenge) {
+    const fields = [];
+    const recipients = describeProofRecipients(challenge.walletAddress);
+    const verificationCode = getActiveVerificationCode(challenge);
+
+    if (recipients) {
+        fields.push(
+            { name: 'Required Amount:', value: `**${weiToEth(challenge.amountWei)} MON**` },
+            { name: 'Send To:', value: recipients }
+        );
+    }
+    if (verificationCode) {
+        fields.push({
+            name: recipients ? 'Or Send Code as Transaction Data:' : 'Send Code as Transaction Data:',
+            value: `\`${verificationCode}\`\nHex: \`${encodeVerificationCode(verificationCode)}\``
+        });
+    }
+
+    return fields;
+}
+
+/**
+ * Reply that a proof mode has been turned off by the admins
+ * @param {Interaction} interaction - Interaction to answer
+ * @param {string} description - What is unavailable
+ */
+async function replyProofModeDisabled(interaction, description) {
+    const embed = new EmbedBuilder()
+        .setColor('#ff0000')
+        .setTitle('❌ Proof Method Disabled')
+        .setDescription(`${description} Use \`/verify-holdings\` to see the available options.`);
+
+    if (interaction.deferred) {
+        await interaction.editReply({ embeds: [embed] });
+    } else {
+        await interaction.reply({ embeds: [embed], ephemeral: true });
     }
 }
 
-// Save verification codes
-function saveVerificationCodes() {
+/**
+ * DM a user the result of a verification completed outside an interaction
+ * @param {User} user - Discord user
+ * @param {Object} nftResult - NFT verification result
+ */
+async function sendVerificationDM(user, nftResult) {
     try {
-        fs.writeFileSync(VERIFICATION_FILE, JSON.stringify(verificationCodes, null, 2));
+        await user.send({ embeds: [monadVerifier.formatDiscordEmbed(nftResult)] });
     } catch (error) {
-        console.error('Error saving verification codes:', error);
+        console.error('Error sending verification DM:', error.message);
     }
 }
 
+/**
+ * Pending transaction challenges the watcher should look for
+ * @returns {Promise<Object[]>} Challenges with a wallet and amount but no proof yet
+ */
+async function getOpenMonadChallenges() {
+    const challenges = await verificationDB.getPendingChallenges();
+    return challenges.filter(challenge => !challenge.proofTransaction && challenge.walletAddress && challenge.amountWei);
+}
+
+/**
+ * Complete a verification whose transaction was detected by the watcher
+ * @param {Object} challenge - Matched challenge from getOpenMonadChallenges
+ * @param {Object} transaction - { txHash, blockNumber, timestamp }
+ */
+async function handleWatcherMatch(challenge, transaction) {
+    // Remember the proof so a later retry does not need the transaction again
+    if (!await bindProofTransaction(challenge, transaction)) {
+        return;
+    }
+
+    const guild = client.guilds.cache.get(process.env.GUILD_ID);
+    const user = await client.users.fetch(challenge.userId);
+    const nftResult = await completeMonadVerification(guild, user, challenge, challenge.walletAddress);
+
+    await sendVerificationDM(user, nftResult);
+}
+
+/**
+ * Find the pending challenge a signing page link belongs to
+ * @param {string} token - One-time link token
+ * @returns {Promise<Object|null>} Challenge or null
+ */
+async function findChallengeByLinkToken(token) {
+    if (!token) return null;
+    const challenge = await verificationDB.getChallengeByLinkToken(token);
+    return challenge && Date.now() <= challenge.siwe.expiresAt ? challenge : null;
+}
+
+// Handlers for the signing page served by the health server
+const signingPageHandler = {
+    async getChallenge(token) {
+        const challenge = await findChallengeByLinkToken(token);
+        if (!challenge) return null;
+
+        return {
+            walletAddress: challenge.walletAddress,
+            message: challenge.siwe.message,
+            expiresAt: challenge.siwe.expiresAt
+        };
+    },
+
+    async submitSignature(token, signature) {
+        const challenge = await findChallengeByLinkToken(token);
+        if (!challenge) {
+            return { success: false, statusCode: 404, error: 'This verification link is invalid, expired or already used' };
+        }
+
+        const walletAddress = challenge.walletAddress;
+        const signatureCheck = await siweVerifier.verifySignature(challenge.siwe, signature, walletAddress);
+
+        if (!signatureCheck.valid) {
+            return { success: false, error: signatureCheck.error };
+        }
+
+        console.log('✅ Wallet ownership proven by signing page');
+
+        // Consume the signing challenge so the link cannot be used again
+        delete challenge.siwe;
+        await verificationDB.saveChallenge(challenge);
+
+        const guild = client.guilds.cache.get(process.env.GUILD_ID);
+        const user = await client.users.fetch(challenge.userId);
+        const nftResult = await completeMonadVerification(guild, user, challenge, walletAddress);
+
+        // Let the user know in Discord as well
+        await sendVerificationDM(user, nftResult);
+
+        return {
+            success: true,
+            verified: nftResult.verified,
+            message: nftResult.verified
+                ? 'Wallet verified and role assigned!'
+                : (nftResult.error || nftResult.details?.message || 'Wallet does not meet NFT ownership requirements.')
+        };
+    }
+};
+
+healthServer.setSigningHandler(signingPageHandler);
+
 client.once('ready', async () => {
     console.log(`✅ Multi-Chain NFT Bot is ready! Logged in as ${client.user.tag}`);
     healthServer.setReady(true);
     
     // Show configuration
-    const monadConfig = monadVerifier.getConfig();
-    const arbitrumConfig = arbitrumVerifier.getConfig();
-    const beraConfig = beraVerifier.getConfig();
-    
     console.log('🔗 Multi-Chain Configuration:');
-    console.log(`   🟣 Monad: ${monadConfig.networkName} (Primary)`);
-    console.log(`   🔵 Arbitrum: ${arbitrumConfig.networkName}`);
-    console.log(`   🐻 Bera: ${beraConfig.networkName}`);
+    for (const chain of getChains()) {
+        console.log(`   ${chain.emoji} ${chain.shortName}: ${chain.name}${chain.primary ? ' (Primary)' : ''}`);
+    }
     const stats = await verificationDB.getStats();
-    console.log(`   📊 Database: ${stats.totalUsers} users (🟣 ${stats.monadVerified} Monad, 🔵 ${stats.arbitrumVerified} Arbitrum, 🐻 ${stats.beraVerified} Bera)`);
+    const networkStats = getChains().map(chain => `${chain.emoji} ${stats.networks[chain.id] || 0} ${chain.shortName}`).join(', ');
+    console.log(`   📊 Database: ${stats.totalUsers} users (${networkStats})`);
     
-    // Load verification codes
-    loadVerificationCodes();
+    // Expire stale verification challenges automatically
+    setInterval(async () => {
+        const { expired, deleted } = await verificationDB.cleanupChallenges();
+        if (expired > 0 || deleted > 0) {
+            console.log(`🧹 Challenges cleaned up: ${expired} expired, ${deleted} deleted`);
+        }
+    }, CHALLENGE_CLEANUP_INTERVAL_MS);
+
+    // Keep trait, balance and rule roles in line with current holdings
+    const activeRules = getActiveRoleRules();
+    console.log(`   🧮 Role rules: ${activeRules.length} active of ${getRoleRules().length}`);
+    if (ROLE_RECHECK_MINUTES > 0 && getRecheckedChains().length > 0) {
+        setInterval(() => recheckRequirementRoles().catch(error => {
+            console.error('Error re-checking roles:', error);
+        }), ROLE_RECHECK_MINUTES * 60 * 1000);
+        console.log(`🏷️ Requirement and rule roles re-checked every ${ROLE_RECHECK_MINUTES} minutes`);
+    }
+
+    // Start following Monad blocks for verification transactions
+    if (monadWatcher) {
+        await monadWatcher.start();
+    }
     
     // Register slash commands
     try {
@@ -97,10 +715,32 @@ client.once('ready', async () => {
             new SlashCommandBuilder()
                 .setName('verification-status')
                 .setDescription('Check your verification status'),
+
+            new SlashCommandBuilder()
+                .setName('wallets')
+                .setDescription('View and manage your linked wallets'),
                 
             new SlashCommandBuilder()
                 .setName('reset-verification')
-                .setDescription('Reset your verification status (for testing)')
+                .setDescription('Reset your verification status (for testing)'),
+
+            new SlashCommandBuilder()
+                .setName('test-role-rule')
+                .setDescription('Test a role rule against a wallet before enabling it')
+                .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+                .addStringOption(option => option
+                    .setName('wallet')
+                    .setDescription('Wallet address to check')
+                    .setRequired(true))
+                .addStringOption(option => option
+                    .setName('rule')
+                    .setDescription('Rule name from role-rules.json, or an expression like monad.sybil_pass >= 1')
+                    .setRequired(true)),
+
+            new SlashCommandBuilder()
+                .setName('config-doctor')
+                .setDescription('Check the bot configuration, roles and endpoints')
+                .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
         ];
 
         // Wait a moment for guild cache to populate
@@ -160,11 +800,13 @@ async function handleSlashCommand(interaction) {
             .addFields(
                 {
                     name: '📋 How it works:',
-                    value: '• **Monad Testnet**: Primary verification (transaction required)\n• **Arbitrum/Bera**: Can use your Monad-verified address\n• Gain access to exclusive channels upon successful verification'
+                    value: `• **Monad Testnet**: Primary verification (transaction required)\n• **${getSecondaryChains().map(chain => chain.shortName).join('/')}**: Can use your Monad-verified address\n• Gain access to exclusive channels upon successful verification`
                 },
                 {
                     name: '🔗 Supported Networks:',
-                    value: '🟣 **Monad Testnet** - S.Y.B.I.L Pass\n🔵 **Arbitrum** - Schizo Sybils (Gen 1)\n🐻 **Bera** - Super Schizos (Gen 2)',
+                    value: getChains().map(chain =>
+                        `${chain.emoji} **${chain.primary ? chain.name : chain.shortName}** - ${chain.collections.map(collection => collection.name).join(', ') || 'Any collection'}`
+                    ).join('\n'),
                     inline: false
                 }
             );
@@ -172,23 +814,13 @@ async function handleSlashCommand(interaction) {
         const selectMenu = new StringSelectMenuBuilder()
             .setCustomId('select_verification_chain')
             .setPlaceholder('Choose a blockchain to verify on...')
-            .addOptions(
-                new StringSelectMenuOptionBuilder()
-                    .setLabel('Monad Testnet')
-                    .setDescription('Primary verification with transaction & staking support')
-                    .setValue('monad_testnet')
-                    .setEmoji('🟣'),
+            .addOptions(getChains().map(chain =>
                 new StringSelectMenuOptionBuilder()
-                    .setLabel('Arbitrum')
-                    .setDescription('Verify NFTs on Arbitrum network')
-                    .setValue('arbitrum')
-                    .setEmoji('🔵'),
-                new StringSelectMenuOptionBuilder()
-                    .setLabel('Bera')
-                    .setDescription('Verify NFTs on Bera network')
-                    .setValue('bera')
-                    .setEmoji('🐻')
-            );
+                    .setLabel(chain.primary ? chain.name : chain.shortName)
+                    .setDescription(chain.description || `Verify NFTs on ${chain.shortName} network`)
+                    .setValue(chain.id)
+                    .setEmoji(chain.emoji)
+            ));
 
         const row = new ActionRowBuilder().addComponents(selectMenu);
         await interaction.reply({ embeds: [embed], components: [row] });
@@ -222,7 +854,12 @@ async function handleSlashCommand(interaction) {
                 }
             );
 
-        if (config.requiredCollection) {
+        if (config.collections.length > 1) {
+            embed.addFields({
+                name: 'Required Collections:',
+                value: config.collections.map(collection => `• ${collection.name}: \`${collection.address}\` (min ${collection.minCount})`).join('\n')
+            });
+        } else if (config.requiredCollection) {
             embed.addFields({
                 name: 'Required Collection:',
                 value: `\`${config.requiredCollection}\``
@@ -253,6 +890,18 @@ async function handleSlashCommand(interaction) {
             });
         }
 
+        const proofModeLabels = {
+            bot_transfer: '💰 Transfer to bot wallet',
+            self_transfer: '🔁 Self-transfer',
+            calldata: '🔤 Verification code in transaction data',
+            signature: '✍️ Message signature'
+        };
+        embed.addFields({
+            name: 'Proof Modes:',
+            value: config.proofModes.map(mode => proofModeLabels[mode]).join('\n'),
+            inline: false
+        });
+
         await interaction.reply({ embeds: [embed], ephemeral: true });
         
     } else if (interaction.commandName === 'verification-status') {
@@ -277,46 +926,37 @@ async function handleSlashCommand(interaction) {
             // Add Monad verification
             if (userVerifications.monad_testnet?.verificationResult?.verified) {
                 const monadData = userVerifications.monad_testnet;
+                const proofTx = monadData.verificationResult.proofTransaction;
                 embed.addFields({
                     name: '🟣 Monad Testnet',
-                    value: `✅ Verified\n\`${monadData.walletAddress}\`\n📅 ${new Date(monadData.verifiedAt).toLocaleDateString()}`,
-                    inline: true
-                });
-                fieldsAdded = true;
-            }
-
-            // Add Arbitrum verification
-            if (userVerifications.arbitrum?.verificationResult?.verified) {
-                const arbitrumData = userVerifications.arbitrum;
-                embed.addFields({
-                    name: '🔵 Arbitrum',
-                    value: `✅ Verified\n\`${arbitrumData.walletAddress}\`\n📅 ${new Date(arbitrumData.verifiedAt).toLocaleDateString()}`,
+                    value: `✅ Verified\n\`${monadData.walletAddress}\`\n📅 ${new Date(monadData.verifiedAt).toLocaleDateString()}` +
+                        (proofTx ? `\n🧾 Tx: \`${proofTx.txHash}\`` : ''),
                     inline: true
                 });
                 fieldsAdded = true;
             }
 
-            // Add Bera verification
-            if (userVerifications.berachain?.verificationResult?.verified) {
-                const beraData = userVerifications.berachain;
-                embed.addFields({
-                    name: '🐻 Berachain',
-                    value: `✅ Verified\n\`${beraData.walletAddress}\`\n📅 ${new Date(beraData.verifiedAt).toLocaleDateString()}`,
-                    inline: true
-                });
-                fieldsAdded = true;
-            }
-
-            // Add available networks to verify
+            // Add verifications for the other registry chains (saved under the chain id or an alias)
             const availableNetworks = [];
             if (!userVerifications.monad_testnet?.verificationResult?.verified) {
                 availableNetworks.push('🟣 Monad Testnet (Required first)');
             }
-            if (!userVerifications.arbitrum?.verificationResult?.verified) {
-                availableNetworks.push('🔵 Arbitrum');
-            }
-            if (!userVerifications.berachain?.verificationResult?.verified) {
-                availableNetworks.push('🐻 Berachain');
+
+            for (const chain of getSecondaryChains()) {
+                const chainData = getNetworkIds(chain)
+                    .map(network => userVerifications[network])
+                    .find(verification => verification?.verificationResult?.verified);
+
+                if (chainData) {
+                    embed.addFields({
+                        name: `${chain.emoji} ${chain.shortName}`,
+                        value: `✅ Verified\n\`${chainData.walletAddress}\`\n📅 ${new Date(chainData.verifiedAt).toLocaleDateString()}`,
+                        inline: true
+                    });
+                    fieldsAdded = true;
+                } else {
+                    availableNetworks.push(`${chain.emoji} ${chain.shortName}`);
+                }
             }
 
             if (availableNetworks.length > 0) {
@@ -330,28 +970,187 @@ async function handleSlashCommand(interaction) {
             await interaction.reply({ embeds: [embed], ephemeral: true });
         }
         
+    } else if (interaction.commandName === 'wallets') {
+        const linkedWallets = await verificationDB.getLinkedWallets(interaction.user.id);
+        const proofLabels = {
+            transaction: '💰 Transaction',
+            signature: '✍️ Signature',
+            legacy: '📜 Earlier verification'
+        };
+
+        const embed = new EmbedBuilder()
+            .setColor('#9900ff')
+            .setTitle('👛 Linked Wallets')
+            .setDescription(linkedWallets.length > 0
+                ? 'NFT holdings are combined across all of these wallets on every chain.'
+                : 'You have not linked any wallets yet. Link one to start verifying.');
+
+        linkedWallets.forEach((wallet, index) => {
+            embed.addFields({
+                name: `${index + 1}. ${proofLabels[wallet.proof?.method] || '🔗 Linked'}`,
+                value: `\`${wallet.walletAddress}\`\n📅 ${new Date(wallet.linkedAt).toLocaleDateString()}`,
+                inline: false
+            });
+        });
+
+        const components = [];
+
+        if (linkedWallets.length > 0) {
+            const removeMenu = new StringSelectMenuBuilder()
+                .setCustomId('remove_linked_wallet')
+                .setPlaceholder('Remove a wallet...')
+                .addOptions(linkedWallets.slice(0, 25).map(wallet =>
+                    new StringSelectMenuOptionBuilder()
+                        .setLabel(wallet.walletAddress)
+                        .setValue(wallet.walletAddress)
+                        .setEmoji('🗑️')
+                ));
+            components.push(new ActionRowBuilder().addComponents(removeMenu));
+        }
+
+        const linkButton = new ButtonBuilder()
+            .setCustomId('request_monad_wallet')
+            .setLabel(linkedWallets.length > 0 ? 'Link Another Wallet' : 'Link a Wallet')
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji('🔗');
+        components.push(new ActionRowBuilder().addComponents(linkButton));
+
+        await interaction.reply({ embeds: [embed], components, ephemeral: true });
+
+    } else if (interaction.commandName === 'test-role-rule') {
+        if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageRoles)) {
+            const embed = new EmbedBuilder()
+                .setColor('#ff0000')
+                .setTitle('❌ Not Allowed')
+                .setDescription('Testing role rules requires the Manage Roles permission.');
+
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+
+        const walletAddress = interaction.options.getString('wallet').trim();
+        const ruleInput = interaction.options.getString('rule').trim();
+
+        if (!isValidEthereumAddress(walletAddress)) {
+            const embed = new EmbedBuilder()
+                .setColor('#ff0000')
+                .setTitle('❌ Invalid Wallet Address')
+                .setDescription('Please provide a valid Ethereum wallet address (should start with 0x and be 42 characters long).');
+
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+
+        // A configured rule (enabled or not) by name, otherwise an ad-hoc expression
+        const configuredRule = getRoleRules().find(rule => rule.name.toLowerCase() === ruleInput.toLowerCase());
+        let tree;
+        try {
+            tree = configuredRule ? configuredRule.tree : parseRuleExpression(ruleInput);
+            const problems = validateRuleIdentifiers(tree);
+            if (problems.length > 0) {
+                throw new Error(problems.join('\n'));
+            }
+        } catch (error) {
+            const embed = new EmbedBuilder()
+                .setColor('#ff0000')
+                .setTitle('❌ Invalid Rule')
+                .setDescription(error.message);
+
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        // Fresh results for this wallet alone on every chain the rule references
+        const results = [];
+        for (const chainId of getReferencedChainIds(tree)) {
+            results.push(await LINKED_WALLET_NETWORKS[chainId].verify([walletAddress]));
+        }
+
+        const { passed, unavailable, terms } = evaluateRule(tree, buildRuleContext(results));
+        const failedChecks = results.filter(result => result.error);
+
+        const embed = new EmbedBuilder()
+            .setColor(unavailable ? '#ff9900' : (passed ? '#00ff00' : '#ff0000'))
+            .setTitle(unavailable ? '🧮 Rule Could Not Be Evaluated' : (passed ? '🧮 Rule Passes' : '🧮 Rule Fails'))
+            .addFields(
+                {
+                    name: 'Rule:',
+                    // Expressions are free text: leave room for the name and code formatting
+                    value: configuredRule
+                        ? `**${truncateText(configuredRule.name, 100)}**${configuredRule.enabled ? '' : ' (disabled)'}\n\`${truncateText(configuredRule.expression, 900)}\``
+                        : `\`${truncateText(ruleInput, 1000)}\``
+                },
+                {
+                    name: 'Wallet:',
+                    value: `\`${walletAddress}\``
+                },
+                {
+                    name: 'Requirements:',
+                    value: formatFieldLines(terms.map(term =>
+                        `${term.unavailable ? '⚠️' : (term.passed ? '✅' : '❌')} ${term.identifier} ${term.operator} ${term.threshold} (value: ${term.unavailable ? 'unknown' : term.value})`
+                    ))
+                }
+            );
+
+        if (failedChecks.length > 0) {
+            embed.addFields({
+                name: '⚠️ Checks Failed:',
+                value: formatFieldLines([
+                    ...failedChecks.map(result => truncateText(`${result.network}: ${result.error}`, 300)),
+                    'Role rules are not applied while a referenced chain cannot be checked.'
+                ])
+            });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+
+    } else if (interaction.commandName === 'config-doctor') {
+        if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+            const embed = new EmbedBuilder()
+                .setColor('#ff0000')
+                .setTitle('❌ Not Allowed')
+                .setDescription('The configuration check requires the Administrator permission.');
+
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const { errors, warnings, roleLines, endpointLines } = await runConfigDoctor(interaction.guild);
+
+        const embed = new EmbedBuilder()
+            .setColor(errors.length > 0 ? '#ff0000' : (warnings.length > 0 ? '#ff9900' : '#00ff00'))
+            .setTitle(errors.length > 0 ? '🩺 Configuration Has Problems' : '🩺 Configuration OK')
+            .setDescription(`${errors.length} error(s), ${warnings.length} warning(s)`)
+            .addFields(
+                { name: '❌ Errors:', value: formatFieldLines(errors.map(error => `• ${error}`)) },
+                { name: '⚠️ Warnings:', value: formatFieldLines(warnings.map(warning => `• ${warning}`)) },
+                { name: '🏷️ Roles:', value: formatFieldLines(roleLines) },
+                { name: '🔌 Endpoints:', value: formatFieldLines(endpointLines) }
+            )
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+
     } else if (interaction.commandName === 'reset-verification') {
         const userId = interaction.user.id;
         
         // Remove from database
         const removed = await verificationDB.removeVerification(userId);
         
-        // Remove from legacy verification codes
-        const userCodeEntry = Object.entries(verificationCodes).find(([code, data]) => data.userId === userId);
-        if (userCodeEntry) {
-            const [code, data] = userCodeEntry;
-            delete verificationCodes[code];
-            saveVerificationCodes();
-        }
+        // Remove pending verification challenges
+        const removedChallenges = await verificationDB.removeChallenges(userId);
         
-        if (removed || userCodeEntry) {
+        if (removed || removedChallenges) {
             // Remove verified roles
             const member = interaction.guild.members.cache.get(userId);
-            const roleIds = [
-                process.env.VERIFIED_ROLE_ID,
-                process.env.ARBITRUM_ROLE_ID,
-                process.env.BERACHAIN_ROLE_ID
-            ].filter(Boolean);
+            const roleIds = getChains()
+                .flatMap(chain => [getRoleId(chain), ...getRequirementRoleIds(chain)])
+                .concat(getActiveRoleRules().map(rule => rule.roleId))
+                .filter(Boolean);
             
             if (member && roleIds.length > 0) {
                 try {
@@ -387,7 +1186,39 @@ async function handleSlashCommand(interaction) {
 }
 
 async function handleSelectMenuInteraction(interaction) {
-    if (interaction.customId === 'select_verification_chain') {
+    if (interaction.customId === 'remove_linked_wallet') {
+        await interaction.deferReply({ ephemeral: true });
+
+        const walletAddress = interaction.values[0];
+        const removed = await verificationDB.unlinkWallet(interaction.user.id, walletAddress);
+
+        if (!removed) {
+            const embed = new EmbedBuilder()
+                .setColor('#ff0000')
+                .setTitle('❌ Wallet Not Found')
+                .setDescription('That wallet is not linked to your account. Use `/wallets` to see your linked wallets.');
+
+            await interaction.editReply({ embeds: [embed] });
+            return;
+        }
+
+        // Holdings may have dropped below the requirements without this wallet
+        const revoked = await recheckLinkedWallets(interaction.guild, interaction.user);
+
+        const embed = new EmbedBuilder()
+            .setColor('#ff9900')
+            .setTitle('🗑️ Wallet Removed')
+            .setDescription(`\`${walletAddress}\` is no longer linked to your account.`)
+            .addFields({
+                name: 'Verification Status:',
+                value: revoked.length > 0
+                    ? `Your remaining wallets no longer meet the requirements for: ${revoked.join(', ')}. The matching roles were removed.`
+                    : 'Your verifications are unchanged.'
+            });
+
+        await interaction.editReply({ embeds: [embed] });
+
+    } else if (interaction.customId === 'select_verification_chain') {
         const selectedChain = interaction.values[0];
         const userId = interaction.user.id;
         
@@ -402,9 +1233,11 @@ async function handleSelectMenuInteraction(interaction) {
                 .addFields(
                     { 
                         name: '📋 Requirements:', 
-                        value: config.requiredCollection 
-                            ? `• Must own NFTs from specific collection\n• Minimum ${config.minNftCount} NFT(s) required`
-                            : `• Must own at least ${config.minNftCount} NFT(s) from any collection`
+                        value: config.collections.length > 1
+                            ? '• Must meet the minimum of at least one required collection\n• Each collection can grant its own role'
+                            : config.requiredCollection 
+                                ? `• Must own NFTs from specific collection\n• Minimum ${config.minNftCount} NFT(s) required`
+                                : `• Must own at least ${config.minNftCount} NFT(s) from any collection`
                     },
                     {
                         name: '🔗 Network:',
@@ -420,7 +1253,12 @@ async function handleSelectMenuInteraction(interaction) {
                     }
                 );
 
-            if (config.requiredCollection) {
+            if (config.collections.length > 1) {
+                embed.addFields({
+                    name: '🎨 Required Collections:',
+                    value: config.collections.map(collection => `• ${collection.name}: \`${collection.address}\` (min ${collection.minCount})`).join('\n')
+                });
+            } else if (config.requiredCollection) {
                 embed.addFields({
                     name: '🎨 Required Collection:',
                     value: `\`${config.requiredCollection}\``
@@ -436,35 +1274,37 @@ async function handleSelectMenuInteraction(interaction) {
             const row = new ActionRowBuilder().addComponents(button);
             await interaction.reply({ embeds: [embed], components: [row], ephemeral: true });
             
-        } else if (selectedChain === 'arbitrum' || selectedChain === 'bera') {
+        } else if (chainVerifiers.has(getChain(selectedChain)?.id)) {
+            const chain = getChain(selectedChain);
+            const networkName = chain.shortName;
+            const emoji = chain.emoji;
+
             // Check if user has Monad verification first
             const hasMonadVerification = await verificationDB.hasMonadVerification(userId);
             
             if (hasMonadVerification) {
-                // Use Monad-verified address only
-                const verifiedWallet = await verificationDB.getVerifiedWallet(userId);
-                const networkName = selectedChain === 'arbitrum' ? 'Arbitrum' : 'Bera';
-                const emoji = selectedChain === 'arbitrum' ? '🔵' : '🐻';
+                // Use the wallets proven through Monad verification
+                const linkedWallets = await verificationDB.getLinkedWallets(userId);
                 
                 const embed = new EmbedBuilder()
-                    .setColor(selectedChain === 'arbitrum' ? '#4A90E2' : '#8B4513')
+                    .setColor(chain.color)
                     .setTitle(`${emoji} ${networkName} NFT Verification`)
                     .setDescription(`Ready to verify your Monad-verified wallet on ${networkName}!`)
                     .addFields(
                         {
-                            name: '🟣 Your Monad-Verified Wallet:',
-                            value: `\`${verifiedWallet}\``,
+                            name: linkedWallets.length > 1 ? '🟣 Your Linked Wallets:' : '🟣 Your Monad-Verified Wallet:',
+                            value: linkedWallets.map(wallet => `\`${wallet.walletAddress}\``).join('\n'),
                             inline: false
                         },
                         {
                             name: '⚡ Verification Process:',
-                            value: `Click the button below to verify this wallet on ${networkName}. No transaction required!`,
+                            value: `Click the button below to verify ${linkedWallets.length > 1 ? 'these wallets' : 'this wallet'} on ${networkName}. No transaction required!`,
                             inline: false
                         }
                     );
 
                 const useVerifiedButton = new ButtonBuilder()
-                    .setCustomId(`use_verified_wallet_${selectedChain}`)
+                    .setCustomId(`use_verified_wallet_${chain.id}`)
                     .setLabel(`Verify on ${networkName}`)
                     .setStyle(ButtonStyle.Primary)
                     .setEmoji('⚡');
@@ -473,9 +1313,6 @@ async function handleSelectMenuInteraction(interaction) {
                 await interaction.reply({ embeds: [embed], components: [row], ephemeral: true });
             } else {
                 // No Monad verification - require it first
-                const networkName = selectedChain === 'arbitrum' ? 'Arbitrum' : 'Bera';
-                const emoji = selectedChain === 'arbitrum' ? '🔵' : '🐻';
-                
                 const embed = new EmbedBuilder()
                     .setColor('#ff9900')
                     .setTitle(`${emoji} ${networkName} Verification Requires Monad First`)
@@ -528,12 +1365,17 @@ async function handleButtonInteraction(interaction) {
     } else if (interaction.customId === 'confirm_monad_transaction') {
         await interaction.deferReply({ ephemeral: true });
 
+        if (!isTransferProofEnabled()) {
+            await replyProofModeDisabled(interaction, 'Transaction verification is not enabled on this server.');
+            return;
+        }
+
         const userId = interaction.user.id;
 
         // Find user's verification request
-        const userVerification = Object.entries(verificationCodes).find(([id, data]) => data.userId === userId);
+        const challenge = await verificationDB.getActiveChallenge(userId);
         
-        if (!userVerification) {
+        if (!challenge) {
             const embed = new EmbedBuilder()
                 .setColor('#ff0000')
                 .setTitle('❌ No Verification Request')
@@ -543,8 +1385,7 @@ async function handleButtonInteraction(interaction) {
             return;
         }
 
-        const [verificationId, verificationData] = userVerification;
-        const walletAddress = verificationData.walletAddress;
+        const walletAddress = challenge.walletAddress;
 
         if (!walletAddress) {
             const embed = new EmbedBuilder()
@@ -558,13 +1399,55 @@ async function handleButtonInteraction(interaction) {
 
         try {
             // Step 1: Check for verification transaction
-            console.log('💰 Checking for verification transaction...');
-            const config = monadVerifier.getConfig();
-            const transactionFound = await monadVerifier.checkVerificationTransaction(
-                walletAddress, 
-                config.botWallet, 
-                verificationData.amountWei
-            );
+            let transactionFound = !!challenge.proofTransaction;
+
+            if (!transactionFound && isWatcherRunning()) {
+                // The watcher follows every block, so there is nothing to scan here
+                const embed = new EmbedBuilder()
+                    .setColor('#ff9900')
+                    .setTitle('⏳ Transaction Not Detected Yet')
+                    .setDescription('Your verification transaction has not been seen on Monad testnet yet. We are watching new blocks and will DM you as soon as it arrives.')
+                    .addFields(
+                        ...describeTransactionProof(challenge),
+                        { name: 'From Wallet:', value: `\`${walletAddress}\`` },
+                        { name: 'Sent it a while ago?', value: 'Use **Submit Tx Hash** to verify a specific transaction.' }
+                    );
+
+                await interaction.editReply({ embeds: [embed] });
+                return;
+            }
+
+            if (!transactionFound) {
+                console.log('💰 Checking for verification transaction...');
+                const txCheck = await monadVerifier.checkVerificationTransaction(
+                    walletAddress, 
+                    monadVerifier.getProofRecipients(walletAddress), 
+                    challenge.amountWei,
+                    {
+                        isTxHashUsed: isProofTransactionUsed,
+                        verificationCode: getActiveVerificationCode(challenge),
+                        notBefore: challenge.createdAt
+                    }
+                );
+
+                if (txCheck.found && !await bindProofTransaction(challenge, {
+                    txHash: txCheck.txHash,
+                    blockNumber: txCheck.blockNumber,
+                    timestamp: txCheck.timestamp
+                })) {
+                    const embed = new EmbedBuilder()
+                        .setColor('#ff0000')
+                        .setTitle('❌ Transaction Already Used')
+                        .setDescription('This transaction has already been used to verify another account. Please send a new verification transaction.')
+                        .addFields(
+                            { name: 'Transaction:', value: `\`${txCheck.txHash}\`` }
+                        );
+
+                    await interaction.editReply({ embeds: [embed] });
+                    return;
+                }
+                transactionFound = txCheck.found;
+            }
             
             if (!transactionFound) {
                 const embed = new EmbedBuilder()
@@ -572,9 +1455,8 @@ async function handleButtonInteraction(interaction) {
                     .setTitle('❌ Transaction Not Found')
                     .setDescription('The verification transaction was not found on Monad testnet.')
                     .addFields(
-                        { name: 'Please ensure:', value: '• You sent the exact amount specified\n• Transaction was sent to the correct address\n• Transaction was on Monad Testnet\n• Transaction was sent recently (within 3 minutes)' },
-                        { name: 'Required Amount:', value: `**${formatAmountForDisplay(verificationData.amount)} MON**` },
-                        { name: 'Bot Wallet:', value: `\`${config.botWallet}\`` },
+                        { name: 'Please ensure:', value: '• You sent the exact amount (or verification code) specified\n• Transaction was sent to the correct address\n• Transaction was on Monad Testnet\n• Transaction was sent recently (within 3 minutes)\n• Otherwise use **Submit Tx Hash** to verify an older transaction' },
+                        ...describeTransactionProof(challenge),
                         { name: 'From Wallet:', value: `\`${walletAddress}\`` }
                     );
 
@@ -585,41 +1467,8 @@ async function handleButtonInteraction(interaction) {
             console.log('✅ Verification transaction confirmed on blockchain');
 
             // Step 2: Verify NFT ownership on Monad (with staking support)
-            console.log('🟣 Verifying NFT ownership on Monad (checking direct ownership and staking)...');
-            const nftResult = await monadVerifier.verifyNFTOwnershipWithStaking(walletAddress);
-            
-            if (nftResult.verified) {
-                // Verification successful - save to database
-                await verificationDB.saveMonadVerification(userId, interaction.user.username, walletAddress, nftResult);
-                
-                // Update legacy verification codes
-                verificationCodes[verificationId].verified = true;
-                verificationCodes[verificationId].verifiedAt = Date.now();
-                verificationCodes[verificationId].nftVerificationResult = nftResult;
-                saveVerificationCodes();
-
-                // Assign verified role
-                const member = interaction.guild.members.cache.get(userId);
-                const roleId = process.env.VERIFIED_ROLE_ID;
-                
-                if (roleId && member) {
-                    try {
-                        const role = interaction.guild.roles.cache.get(roleId);
-                        if (role) {
-                            await member.roles.add(role);
-                        }
-                    } catch (error) {
-                        console.error('Error assigning role:', error);
-                    }
-                }
-
-                const successEmbed = monadVerifier.formatDiscordEmbed(nftResult);
-                await interaction.editReply({ embeds: [successEmbed] });
-            } else {
-                // NFT verification failed
-                const failEmbed = monadVerifier.formatDiscordEmbed(nftResult);
-                await interaction.editReply({ embeds: [failEmbed] });
-            }
+            const nftResult = await completeMonadVerification(interaction.guild, interaction.user, challenge, walletAddress);
+            await interaction.editReply({ embeds: [monadVerifier.formatDiscordEmbed(nftResult)] });
             
         } catch (error) {
             console.error('Verification error:', error);
@@ -634,12 +1483,140 @@ async function handleButtonInteraction(interaction) {
 
             await interaction.editReply({ embeds: [embed] });
         }
-        
+
+    } else if (interaction.customId === 'submit_monad_tx_hash') {
+        const modal = new ModalBuilder()
+            .setCustomId('monad_tx_hash_modal')
+            .setTitle('Submit Your Transaction Hash');
+
+        const txHashInput = new TextInputBuilder()
+            .setCustomId('tx_hash')
+            .setLabel('Transaction Hash')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('0x...')
+            .setRequired(true)
+            .setMinLength(66)
+            .setMaxLength(66);
+
+        const firstActionRow = new ActionRowBuilder().addComponents(txHashInput);
+        modal.addComponents(firstActionRow);
+
+        await interaction.showModal(modal);
+
+    } else if (interaction.customId === 'request_monad_signature') {
+        if (!monadVerifier.getProofModes().includes('signature')) {
+            await replyProofModeDisabled(interaction, 'Signature verification is not enabled on this server.');
+            return;
+        }
+
+        const userId = interaction.user.id;
+        const challenge = await verificationDB.getActiveChallenge(userId);
+
+        if (!challenge || !challenge.walletAddress) {
+            const embed = new EmbedBuilder()
+                .setColor('#ff0000')
+                .setTitle('❌ No Verification Request')
+                .setDescription('You need to start verification first. Use `/verify-holdings` to begin.');
+
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+
+        // Issue a fresh single-use signing challenge every time the user asks for one
+        const signingChallenge = siweVerifier.createChallenge(challenge.walletAddress);
+        challenge.siwe = signingChallenge;
+        await verificationDB.saveChallenge(challenge);
+
+        const embed = new EmbedBuilder()
+            .setColor('#9900ff')
+            .setTitle('✍️ Sign to Verify (No Gas)')
+            .setDescription('Sign the message below with your wallet to prove ownership. Signing is free and does not send a transaction.')
+            .addFields(
+                { name: '📝 Message to Sign:', value: `\`\`\`\n${signingChallenge.message}\n\`\`\`` },
+                { name: '🔧 How to sign:', value: '• Copy the message exactly as shown (including line breaks)\n• Sign it with `personal_sign` from the wallet entered above (e.g. a wallet\'s "Sign Message" feature or a signature tool)\n• Click the button below and paste the resulting `0x...` signature' },
+                { name: '⏰ Time Limit:', value: `This message expires in ${siweVerifier.expiryMinutes} minutes and can only be used once` }
+            );
+
+        const button = new ButtonBuilder()
+            .setCustomId('submit_monad_signature')
+            .setLabel('Submit Signature')
+            .setStyle(ButtonStyle.Success)
+            .setEmoji('✍️');
+
+        const row = new ActionRowBuilder().addComponents(button);
+        await interaction.reply({ embeds: [embed], components: [row], ephemeral: true });
+
+    } else if (interaction.customId === 'request_monad_signing_link') {
+        if (!monadVerifier.getProofModes().includes('signature')) {
+            await replyProofModeDisabled(interaction, 'Signature verification is not enabled on this server.');
+            return;
+        }
+
+        const userId = interaction.user.id;
+        const challenge = await verificationDB.getActiveChallenge(userId);
+
+        if (!challenge || !challenge.walletAddress || !process.env.PUBLIC_URL) {
+            const embed = new EmbedBuilder()
+                .setColor('#ff0000')
+                .setTitle('❌ No Verification Request')
+                .setDescription('You need to start verification first. Use `/verify-holdings` to begin.');
+
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+
+        // Each link carries its own signing challenge and works exactly once
+        const signingChallenge = siweVerifier.createChallenge(challenge.walletAddress);
+        signingChallenge.linkToken = crypto.randomBytes(24).toString('hex');
+        challenge.siwe = signingChallenge;
+        await verificationDB.saveChallenge(challenge);
+
+        const signingUrl = `${process.env.PUBLIC_URL.replace(/\/+$/, '')}/verify/${signingChallenge.linkToken}`;
+
+        const embed = new EmbedBuilder()
+            .setColor('#9900ff')
+            .setTitle('🌐 Sign in Your Browser')
+            .setDescription('Open the link below in a browser with your wallet extension, connect the wallet entered above and sign the message. No gas is required.')
+            .addFields(
+                { name: '🔒 Keep it private:', value: 'This link is personal and works only once. Do not share it.' },
+                { name: '⏰ Time Limit:', value: `The link expires in ${siweVerifier.expiryMinutes} minutes` }
+            )
+            .setFooter({ text: 'You will receive a DM once verification completes.' });
+
+        const linkButton = new ButtonBuilder()
+            .setLabel('Open Signing Page')
+            .setStyle(ButtonStyle.Link)
+            .setURL(signingUrl);
+
+        const row = new ActionRowBuilder().addComponents(linkButton);
+        await interaction.reply({ embeds: [embed], components: [row], ephemeral: true });
+
+    } else if (interaction.customId === 'submit_monad_signature') {
+        const modal = new ModalBuilder()
+            .setCustomId('monad_signature_modal')
+            .setTitle('Submit Your Signature');
+
+        const signatureInput = new TextInputBuilder()
+            .setCustomId('signature')
+            .setLabel('Signature')
+            .setStyle(TextInputStyle.Paragraph)
+            .setPlaceholder('0x...')
+            .setRequired(true)
+            .setMinLength(2)    // Smart contract wallets may return short or long signatures
+            .setMaxLength(4000);
+
+        const firstActionRow = new ActionRowBuilder().addComponents(signatureInput);
+        modal.addComponents(firstActionRow);
+
+        await interaction.showModal(modal);
+
     } else if (interaction.customId.startsWith('use_verified_wallet_')) {
         // Use Monad-verified wallet for other chains
-        const network = interaction.customId.replace('use_verified_wallet_', '');
+        // Buttons from before the chain registry may still use a chain alias
+        const chain = getChain(interaction.customId.replace('use_verified_wallet_', ''));
         const userId = interaction.user.id;
-        const verifiedWallet = await verificationDB.getVerifiedWallet(userId);
+        const linkedWallets = (await verificationDB.getLinkedWallets(userId)).map(wallet => wallet.walletAddress);
+        const verifiedWallet = linkedWallets[0];
         
         if (!verifiedWallet) {
             const embed = new EmbedBuilder()
@@ -653,31 +1630,26 @@ async function handleButtonInteraction(interaction) {
 
         await interaction.deferReply({ ephemeral: true });
 
+        const verifier = chainVerifiers.get(chain?.id);
+        const networkName = chain?.shortName || 'Unknown';
+        const emoji = chain?.emoji;
+
         try {
-            let verifier, networkName, emoji;
-            
-            if (network === 'arbitrum') {
-                verifier = arbitrumVerifier;
-                networkName = 'Arbitrum';
-                emoji = '🔵';
-            } else if (network === 'bera') {
-                verifier = beraVerifier;
-                networkName = 'Bera';
-                emoji = '🐻';
-            } else {
+            if (!verifier) {
                 throw new Error('Invalid network');
             }
 
-            console.log(`${emoji} Verifying NFT ownership on ${networkName} for: ${verifiedWallet}`);
-            const nftResult = await verifier.verifyNFTOwnership(verifiedWallet);
+            console.log(`${emoji} Verifying NFT ownership on ${networkName} for: ${linkedWallets.join(', ')}`);
+            const nftResult = await verifier.verifyNFTOwnership(linkedWallets);
+            await syncRequirementRoles(interaction.guild, userId, nftResult);
             
             if (nftResult.verified) {
                 // Save verification to database
-                await verificationDB.saveVerification(userId, interaction.user.username, verifiedWallet, nftResult, network);
+                await verificationDB.saveVerification(userId, interaction.user.username, verifiedWallet, nftResult, chain.id);
                 
                 // Assign role
                 const member = interaction.guild.members.cache.get(userId);
-                const roleId = network === 'arbitrum' ? process.env.ARBITRUM_ROLE_ID : process.env.BERACHAIN_ROLE_ID;
+                const roleId = getRoleId(chain);
                 
                 if (roleId && member) {
                     try {
@@ -694,9 +1666,13 @@ async function handleButtonInteraction(interaction) {
                 const successEmbed = verifier.formatDiscordEmbed(nftResult);
                 await interaction.editReply({ embeds: [successEmbed] });
             } else {
+                await saveRequirementOnlyResult(interaction.user, verifiedWallet, nftResult, chain.id);
+
                 const failEmbed = verifier.formatDiscordEmbed(nftResult);
                 await interaction.editReply({ embeds: [failEmbed] });
             }
+
+            await applyRoleRules(interaction.guild, userId);
             
         } catch (error) {
             console.error(`${networkName} verification error:`, error);
@@ -733,60 +1709,102 @@ async function handleModalSubmit(interaction) {
             return;
         }
 
-        // Check if user already verified
-        const existingCode = Object.entries(verificationCodes).find(([code, data]) => data.userId === userId);
+        // Verified users can link additional wallets, but each wallet belongs to one account
+        const walletOwner = await verificationDB.getWalletOwner(walletAddress);
         
-        if (existingCode && existingCode[1].verified) {
-            const embed = new EmbedBuilder()
-                .setColor('#00ff00')
-                .setTitle('✅ Already Verified')
-                .setDescription('You are already verified! You have access to all Monad NFT holder features.');
+        if (walletOwner) {
+            const embed = walletOwner === userId
+                ? new EmbedBuilder()
+                    .setColor('#00ff00')
+                    .setTitle('✅ Wallet Already Linked')
+                    .setDescription('This wallet is already linked to your account. Use `/wallets` to see your linked wallets.')
+                : new EmbedBuilder()
+                    .setColor('#ff0000')
+                    .setTitle('❌ Wallet Linked Elsewhere')
+                    .setDescription('This wallet is already linked to another Discord account.');
             
             await interaction.editReply({ embeds: [embed] });
             return;
         }
 
-        let verificationAmount;
-        let verificationId;
-        if (existingCode && !existingCode[1].verified) {
-            // Use existing amount if it exists, otherwise generate new one
-            verificationAmount = existingCode[1].amount || generateVerificationAmount();
-            verificationId = existingCode[0];
-            
-            // Update existing code with wallet address and amount
-            verificationCodes[verificationId].walletAddress = walletAddress;
-            if (!existingCode[1].amount) {
-                verificationCodes[verificationId].amount = verificationAmount;
-                verificationCodes[verificationId].amountWei = ethToWei(verificationAmount);
-            }
-            saveVerificationCodes();
+        const existingChallenge = await verificationDB.getActiveChallenge(userId);
+        let challenge;
+
+        if (existingChallenge) {
+            // Reuse the open challenge (and its amount) with the new wallet address
+            challenge = existingChallenge;
+            challenge.walletAddress = walletAddress;
+            challenge.expiresAt = Date.now() + CHALLENGE_EXPIRY_MINUTES * 60 * 1000;
+            delete challenge.siwe; // Signing challenge was issued for the old address
+            delete challenge.proofTransaction;
         } else {
-            verificationAmount = generateVerificationAmount();
-            verificationId = Date.now().toString(); // Use timestamp as ID
-            verificationCodes[verificationId] = {
+            challenge = {
+                id: crypto.randomUUID(),
                 userId: userId,
                 username: interaction.user.username,
                 walletAddress: walletAddress,
-                amount: verificationAmount,
-                amountWei: ethToWei(verificationAmount),
-                timestamp: Date.now(),
-                verified: false
+                status: 'pending',
+                createdAt: Date.now(),
+                expiresAt: Date.now() + CHALLENGE_EXPIRY_MINUTES * 60 * 1000
             };
-            saveVerificationCodes();
         }
 
-        const config = monadVerifier.getConfig();
-        const embed = new EmbedBuilder()
-            .setColor('#9900ff')
-            .setTitle('💰 Verification Transaction Required')
-            .setDescription('To verify wallet ownership, send a small transaction with the exact amount below:')
-            .addFields(
-                { name: '💸 Amount to Send:', value: `\`${formatAmountForDisplay(verificationAmount)} MON\``, inline: false },
-                { name: '📍 Send exact amount from your Wallet to:', value: `\`${config.botWallet}\``, inline: false },
-                { name: '⚠️ Important:', value: '• Use the **EXACT** amount shown above\n• Send from the wallet address specified above\n• Transaction must be on Monad Testnet\n• Only send MON (not tokens)' },
-                { name: '⏰ Time Limit:', value: 'Transaction must be sent within 3 minutes (we check last 1000 blocks)' }
-            )
-            .setFooter({ text: 'After sending, click the button below to verify!' });
+        const proofModes = monadVerifier.getProofModes();
+
+        // Codes are unique by construction, so no check against other challenges is needed
+        if (proofModes.includes('calldata') && !challenge.verificationCode) {
+            challenge.verificationCode = generateVerificationCode();
+        }
+
+        // Amounts must be unique among open challenges so a transfer identifies exactly one user
+        await verificationDB.saveChallengeWithUniqueAmount(challenge, generateVerificationAmountWei);
+
+        const transferEnabled = isTransferProofEnabled();
+        const signatureEnabled = proofModes.includes('signature');
+        const watcherRunning = isWatcherRunning();
+        const recipients = describeProofRecipients(walletAddress);
+        const embed = new EmbedBuilder().setColor('#9900ff');
+
+        if (transferEnabled) {
+            const signatureHint = signatureEnabled ? ' No funds? Sign a message instead.' : '';
+            embed
+                .setTitle('💰 Verification Transaction Required')
+                .setDescription(recipients
+                    ? 'To verify wallet ownership, send a small transaction with the exact amount below:'
+                    : 'To verify wallet ownership, send a transaction with the verification code below as its data:');
+
+            if (recipients) {
+                embed.addFields(
+                    { name: '💸 Amount to Send:', value: `\`${weiToEth(challenge.amountWei)} MON\``, inline: false },
+                    { name: '📍 Send exact amount from your Wallet to:', value: recipients, inline: false },
+                    { name: '⚠️ Important:', value: '• Use the **EXACT** amount shown above\n• Send from the wallet address specified above\n• Transaction must be on Monad Testnet\n• Only send MON (not tokens)' }
+                );
+            }
+
+            const verificationCode = getActiveVerificationCode(challenge);
+            if (verificationCode) {
+                embed.addFields({
+                    name: recipients ? '🔤 Or Send a Verification Code:' : '🔤 Verification Code:',
+                    value: `Send **0 MON** from the wallet above (e.g. to yourself) with this hex as the transaction data:\n\`${encodeVerificationCode(verificationCode)}\`\nIt decodes to \`${verificationCode}\``,
+                    inline: false
+                });
+            }
+
+            embed
+                .addFields(
+                    { name: '⏰ Time Limit:', value: watcherRunning
+                        ? 'We watch new blocks and verify you automatically once the transaction arrives. You can also use "Submit Tx Hash".'
+                        : '"I Sent the Transaction" checks the last 1000 blocks (~3 minutes). For older transactions, use "Submit Tx Hash".' }
+                )
+                .setFooter({ text: watcherRunning
+                    ? `You will receive a DM once your transaction is detected.${signatureHint}`
+                    : `After sending, click the button below to verify!${signatureHint}` });
+        } else {
+            embed
+                .setTitle('✍️ Signature Required')
+                .setDescription('To verify wallet ownership, sign a one-time message with the wallet entered above. Signing is free and does not send a transaction.')
+                .setFooter({ text: 'Click the button below to get your message.' });
+        }
 
         const button = new ButtonBuilder()
             .setCustomId('confirm_monad_transaction')
@@ -794,9 +1812,195 @@ async function handleModalSubmit(interaction) {
             .setStyle(ButtonStyle.Success)
             .setEmoji('💰');
 
-        const row = new ActionRowBuilder().addComponents(button);
+        const txHashButton = new ButtonBuilder()
+            .setCustomId('submit_monad_tx_hash')
+            .setLabel('Submit Tx Hash')
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji('🧾');
+
+        const signButton = new ButtonBuilder()
+            .setCustomId('request_monad_signature')
+            .setLabel(transferEnabled ? 'Sign Message Instead' : 'Sign Message')
+            .setStyle(transferEnabled ? ButtonStyle.Secondary : ButtonStyle.Success)
+            .setEmoji('✍️');
+
+        // With the watcher running there is nothing to click after sending
+        const row = new ActionRowBuilder();
+        if (transferEnabled) {
+            row.addComponents(...(watcherRunning ? [] : [button]), txHashButton);
+        }
+        if (signatureEnabled) {
+            row.addComponents(signButton);
+        }
+
+        // Browser signing is only offered when the signing page is reachable
+        if (signatureEnabled && process.env.PUBLIC_URL) {
+            row.addComponents(
+                new ButtonBuilder()
+                    .setCustomId('request_monad_signing_link')
+                    .setLabel('Sign in Browser')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('🌐')
+            );
+        }
         await interaction.editReply({ embeds: [embed], components: [row] });
         
+    } else if (interaction.customId === 'monad_tx_hash_modal') {
+        await interaction.deferReply({ ephemeral: true });
+
+        if (!isTransferProofEnabled()) {
+            await replyProofModeDisabled(interaction, 'Transaction verification is not enabled on this server.');
+            return;
+        }
+
+        const txHash = interaction.fields.getTextInputValue('tx_hash').trim();
+        const userId = interaction.user.id;
+        const challenge = await verificationDB.getActiveChallenge(userId);
+
+        if (!challenge || !challenge.walletAddress || !challenge.amountWei) {
+            const embed = new EmbedBuilder()
+                .setColor('#ff0000')
+                .setTitle('❌ No Verification Request')
+                .setDescription('You need to start verification first. Use `/verify-holdings` to begin.');
+
+            await interaction.editReply({ embeds: [embed] });
+            return;
+        }
+
+        if (!/^0x[a-fA-F0-9]{64}$/.test(txHash)) {
+            const embed = new EmbedBuilder()
+                .setColor('#ff0000')
+                .setTitle('❌ Invalid Transaction Hash')
+                .setDescription('Please provide a valid transaction hash (should start with 0x and be 66 characters long).');
+
+            await interaction.editReply({ embeds: [embed] });
+            return;
+        }
+
+        const walletAddress = challenge.walletAddress;
+
+        try {
+            const txCheck = await monadVerifier.verifyTransactionByHash(
+                txHash,
+                walletAddress,
+                monadVerifier.getProofRecipients(walletAddress),
+                challenge.amountWei,
+                challenge.createdAt,
+                { verificationCode: getActiveVerificationCode(challenge) }
+            );
+
+            if (!txCheck.found) {
+                const embed = new EmbedBuilder()
+                    .setColor('#ff0000')
+                    .setTitle('❌ Transaction Not Accepted')
+                    .setDescription(txCheck.reason)
+                    .addFields(
+                        ...describeTransactionProof(challenge),
+                        { name: 'From Wallet:', value: `\`${walletAddress}\`` },
+                        { name: 'Transaction:', value: `\`${txHash}\`` }
+                    );
+
+                await interaction.editReply({ embeds: [embed] });
+                return;
+            }
+
+            const bound = await bindProofTransaction(challenge, {
+                txHash: txCheck.txHash,
+                blockNumber: txCheck.blockNumber,
+                timestamp: txCheck.timestamp
+            });
+
+            if (!bound) {
+                const embed = new EmbedBuilder()
+                    .setColor('#ff0000')
+                    .setTitle('❌ Transaction Already Used')
+                    .setDescription('This transaction has already been used to verify another account. Please send a new verification transaction.')
+                    .addFields(
+                        { name: 'Transaction:', value: `\`${txHash}\`` }
+                    );
+
+                await interaction.editReply({ embeds: [embed] });
+                return;
+            }
+
+            console.log('✅ Verification transaction confirmed by hash');
+
+            const nftResult = await completeMonadVerification(interaction.guild, interaction.user, challenge, walletAddress);
+            await interaction.editReply({ embeds: [monadVerifier.formatDiscordEmbed(nftResult)] });
+        } catch (error) {
+            console.error('Verification error:', error);
+
+            const embed = new EmbedBuilder()
+                .setColor('#ff0000')
+                .setTitle('❌ Verification Error')
+                .setDescription('Failed to verify your wallet and NFTs. Please try again later.')
+                .addFields(
+                    { name: 'Error Details:', value: error.message || 'Unknown error occurred' }
+                );
+
+            await interaction.editReply({ embeds: [embed] });
+        }
+
+    } else if (interaction.customId === 'monad_signature_modal') {
+        await interaction.deferReply({ ephemeral: true });
+
+        const signature = interaction.fields.getTextInputValue('signature').trim();
+        const userId = interaction.user.id;
+        const challenge = await verificationDB.getActiveChallenge(userId);
+
+        if (!challenge || !challenge.siwe) {
+            const embed = new EmbedBuilder()
+                .setColor('#ff0000')
+                .setTitle('❌ No Signing Challenge')
+                .setDescription('Request a message to sign first. Use `/verify-holdings` to begin.');
+
+            await interaction.editReply({ embeds: [embed] });
+            return;
+        }
+
+        const walletAddress = challenge.walletAddress;
+        const signatureCheck = await siweVerifier.verifySignature(challenge.siwe, signature, walletAddress);
+
+        if (!signatureCheck.valid) {
+            const embed = new EmbedBuilder()
+                .setColor('#ff0000')
+                .setTitle('❌ Signature Not Accepted')
+                .setDescription(signatureCheck.error)
+                .addFields(
+                    { name: 'Please ensure:', value: '• You signed the exact message, including line breaks\n• You signed with the wallet entered above\n• The message has not expired (request a new one if needed)' },
+                    { name: 'Expected Wallet:', value: `\`${walletAddress}\`` }
+                );
+
+            if (signatureCheck.recoveredAddress) {
+                embed.addFields({ name: 'Signed By:', value: `\`${signatureCheck.recoveredAddress}\`` });
+            }
+
+            await interaction.editReply({ embeds: [embed] });
+            return;
+        }
+
+        console.log('✅ Wallet ownership proven by signature');
+
+        // Consume the signing challenge so the signature cannot be submitted again
+        delete challenge.siwe;
+        await verificationDB.saveChallenge(challenge);
+
+        try {
+            const nftResult = await completeMonadVerification(interaction.guild, interaction.user, challenge, walletAddress);
+            await interaction.editReply({ embeds: [monadVerifier.formatDiscordEmbed(nftResult)] });
+        } catch (error) {
+            console.error('Verification error:', error);
+
+            const embed = new EmbedBuilder()
+                .setColor('#ff0000')
+                .setTitle('❌ Verification Error')
+                .setDescription('Failed to verify your wallet and NFTs. Please try again later.')
+                .addFields(
+                    { name: 'Error Details:', value: error.message || 'Unknown error occurred' }
+                );
+
+            await interaction.editReply({ embeds: [embed] });
+        }
     }
 }
 
@@ -0,0 +1,100 @@
+const { Interface } = require('ethers');
+const BalanceRequirementChecker = require('../verifiers/balance-requirements');
+
+const TOKEN = '0x7070707070707070707070707070707070707070';
+const WALLET = '0x1234567890abcdef1234567890abcdef12345678';
+const VAULT = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+
+const erc20Interface = new Interface([
+    'function balanceOf(address owner) view returns (uint256)',
+    'function decimals() view returns (uint8)'
+]);
+
+// JSON-RPC client stand-in with token balances, native balances (wei) and the token's decimals
+function createRpcClient({ tokenBalances = {}, nativeBalances = {}, decimals = 18 }) {
+    return {
+        call: jest.fn(async (method, params) => {
+            if (method === 'eth_getBalance') {
+                return '0x' + BigInt(nativeBalances[params[0]] || 0).toString(16);
+            }
+            const { name, args } = erc20Interface.parseTransaction({ data: params[0].data });
+            const result = name === 'decimals' ? decimals : BigInt(tokenBalances[args[0].toLowerCase()] || 0);
+            return erc20Interface.encodeFunctionResult(name, [result]);
+        })
+    };
+}
+
+function requirement(extra) {
+    return { name: 'Holder', type: 'erc20', address: TOKEN, symbol: 'TKN', minBalance: '100', roleId: '42', ...extra };
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('BalanceRequirementChecker', () => {
+    test('compares ERC-20 balances in whole tokens using the contract decimals', async () => {
+        const rpc = createRpcClient({ tokenBalances: { [WALLET]: 100_500_000n }, decimals: 6 });
+        const checker = new BalanceRequirementChecker(rpc, [requirement(), requirement({ name: 'Whale', minBalance: '100.6' })]);
+
+        const [holder, whale] = await checker.evaluate([WALLET]);
+
+        expect(holder).toEqual({
+            name: 'Holder', type: 'erc20', token: TOKEN, symbol: 'TKN', minBalance: '100', roleId: '42', balance: '100.5', verified: true
+        });
+        expect(whale).toMatchObject({ balance: '100.5', verified: false });
+    });
+
+    test('reads the decimals once per token', async () => {
+        const rpc = createRpcClient({ decimals: 6 });
+        const checker = new BalanceRequirementChecker(rpc, [requirement()]);
+
+        await checker.evaluate([WALLET]);
+        await checker.evaluate([WALLET]);
+
+        const decimalsCalls = rpc.call.mock.calls.filter(([, [{ data }]]) => erc20Interface.parseTransaction({ data }).name === 'decimals');
+        expect(decimalsCalls).toHaveLength(1);
+    });
+
+    test('uses decimals from the registry without asking the contract', async () => {
+        const rpc = createRpcClient({ tokenBalances: { [WALLET]: 10n ** 20n }, decimals: 6 });
+        const checker = new BalanceRequirementChecker(rpc, [requirement({ decimals: 18 })]);
+
+        const [result] = await checker.evaluate([WALLET]);
+
+        expect(result).toMatchObject({ balance: '100.0', verified: true });
+        expect(rpc.call).toHaveBeenCalledTimes(1);
+    });
+
+    test('sums balances across wallets', async () => {
+        const rpc = createRpcClient({ tokenBalances: { [WALLET]: 60n * 10n ** 18n, [VAULT]: 40n * 10n ** 18n } });
+        const checker = new BalanceRequirementChecker(rpc, [requirement()]);
+
+        const [result] = await checker.evaluate([WALLET, VAULT]);
+
+        expect(result).toMatchObject({ balance: '100.0', verified: true });
+    });
+
+    test('compares native balances with 18 decimals and the chain currency', async () => {
+        const rpc = createRpcClient({ nativeBalances: { [WALLET]: 2n * 10n ** 18n - 1n } });
+        const checker = new BalanceRequirementChecker(rpc, [{ name: 'Two MON', type: 'native', minBalance: '2' }], 'MON');
+
+        const [result] = await checker.evaluate([WALLET]);
+
+        expect(result).toMatchObject({ token: 'native', symbol: 'MON', balance: '1.999999999999999999', verified: false });
+    });
+
+    test('leaves a requirement unevaluated when its balance cannot be read', async () => {
+        const rpc = { call: jest.fn().mockResolvedValue('0x') };
+        const checker = new BalanceRequirementChecker(rpc, [requirement()]);
+
+        const [result] = await checker.evaluate([WALLET]);
+
+        expect(result).toMatchObject({ verified: null, error: 'eth_call returned no data' });
+        expect(result).not.toHaveProperty('balance');
+    });
+});
@@ -0,0 +1,51 @@
+const { generateVerificationAmountWei, weiToEth } = require('../verifiers/base-verifier');
+
+describe('generateVerificationAmountWei', () => {
+    test('returns a whole number of 10^6 wei steps between 0.00000001 and 0.0000001 MON', () => {
+        for (let i = 0; i < 50; i++) {
+            const amountWei = BigInt(generateVerificationAmountWei());
+            expect(amountWei % 10n ** 6n).toBe(0n);
+            expect(amountWei).toBeGreaterThanOrEqual(10n ** 10n);
+            expect(amountWei).toBeLessThanOrEqual(10n ** 11n);
+        }
+    });
+
+    test('never returns an amount held by an open challenge', () => {
+        // Every step but one is taken
+        const open = [];
+        for (let steps = 10000; steps <= 100000; steps++) {
+            if (steps !== 54321) open.push((BigInt(steps) * 10n ** 6n).toString());
+        }
+
+        expect(generateVerificationAmountWei(open)).toBe('54321000000');
+    });
+
+    test('ignores missing amounts of older challenges', () => {
+        expect(() => generateVerificationAmountWei([undefined, null, ''])).not.toThrow();
+    });
+
+    test('throws when every amount is taken', () => {
+        const open = [];
+        for (let steps = 10000; steps <= 100000; steps++) {
+            open.push((BigInt(steps) * 10n ** 6n).toString());
+        }
+
+        expect(() => generateVerificationAmountWei(open)).toThrow('No unused verification amounts available');
+    });
+});
+
+describe('weiToEth', () => {
+    test.each([
+        ['0', '0'],
+        ['1', '0.000000000000000001'],
+        ['12345000000', '0.000000012345'],
+        ['1000000000000000000', '1'],
+        ['1500000000000000000', '1.5']
+    ])('%s wei is %s MON', (amountWei, expected) => {
+        expect(weiToEth(amountWei)).toBe(expected);
+    });
+
+    test('accepts BigInt amounts', () => {
+        expect(weiToEth(2n * 10n ** 18n + 5n)).toBe('2.000000000000000005');
+    });
+});
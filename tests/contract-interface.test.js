@@ -0,0 +1,61 @@
+const { AbiCoder, getAddress } = require('ethers');
+const { ContractInterface, getContractInterface } = require('../verifiers/contract-interface');
+
+const coder = AbiCoder.defaultAbiCoder();
+const WALLET = '0x1234567890abcdef1234567890abcdef12345678';
+
+describe('getContractInterface', () => {
+    test('loads an ABI file once and shares the interface', () => {
+        expect(getContractInterface('ContractABI.json')).toBe(getContractInterface('ContractABI.json'));
+    });
+});
+
+describe('ContractInterface', () => {
+    const staking = getContractInterface('ContractABI.json');
+
+    test('encodes calls by function name', () => {
+        const data = staking.encodeCall('getStakedTokenIds', [WALLET]);
+        expect(data).toBe('0x7047bc52' + coder.encode(['address'], [WALLET]).slice(2));
+    });
+
+    test('throws for functions that are not in the ABI', () => {
+        expect(() => staking.encodeCall('notAFunction')).toThrow('Function notAFunction is not in the contract ABI');
+    });
+
+    test('decodes single outputs as the value, keeping uints as BigInt', () => {
+        const huge = 2n ** 200n;
+        expect(staking.decodeResult('nftStakeCount', coder.encode(['uint256'], [7]))).toBe(7n);
+        expect(staking.decodeResult('getStakedTokenIds', coder.encode(['uint256[]'], [[1, huge]]))).toEqual([1n, huge]);
+    });
+
+    test('decodes several outputs into an object keyed by name', () => {
+        const data = coder.encode(['uint256', 'uint256', 'uint256'], [3, 100, 5]);
+        expect(staking.decodeResult('estimatePurchase', data)).toEqual({ keysBought: 3n, ethSpent: 100n, remainingETH: 5n });
+    });
+
+    test('decodes struct arrays into plain objects', () => {
+        const contract = new ContractInterface([
+            'function getBuyers() view returns ((address addr, uint256 keys)[] buyers)'
+        ]);
+        const data = coder.encode(['(address addr, uint256 keys)[]'], [[[WALLET, 2]]]);
+
+        expect(contract.decodeResult('getBuyers', data)).toEqual([{ addr: getAddress(WALLET), keys: 2n }]);
+    });
+
+    test('calls through a JSON-RPC client and decodes the result', async () => {
+        const rpcClient = { call: jest.fn().mockResolvedValue(coder.encode(['uint256'], [4])) };
+
+        await expect(staking.call(rpcClient, '0xcontract', 'nftStakeCount', [WALLET])).resolves.toBe(4n);
+        expect(rpcClient.call).toHaveBeenCalledWith('eth_call', [
+            { to: '0xcontract', data: staking.encodeCall('nftStakeCount', [WALLET]) },
+            'latest'
+        ]);
+    });
+
+    test('throws when the call returns no data (no contract at the address)', async () => {
+        const rpcClient = { call: jest.fn().mockResolvedValue('0x') };
+
+        await expect(staking.call(rpcClient, '0xcontract', 'nftStakeCount', [WALLET]))
+            .rejects.toThrow('nftStakeCount returned no data from 0xcontract');
+    });
+});
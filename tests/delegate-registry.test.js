@@ -0,0 +1,124 @@
+const { Interface, ZeroAddress, getAddress } = require('ethers');
+
+// Collections of the registry's arbitrum entry, read when the verifier is created
+process.env.ALCHEMY_API_KEY = 'test-key';
+process.env.ARBITRUM_NFT_COLLECTION = '0x1111111111111111111111111111111111111111';
+process.env.ARBITRUM_COMPANION_NFT_COLLECTION = '0x2222222222222222222222222222222222222222';
+
+const DelegateRegistry = require('../verifiers/delegate-registry');
+const ChainNFTVerifier = require('../verifiers/chain-verifier');
+const { getChain } = require('../verifiers/chain-registry');
+
+const GEN1 = process.env.ARBITRUM_NFT_COLLECTION;
+const COMPANION = process.env.ARBITRUM_COMPANION_NFT_COLLECTION;
+const HOT = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const VAULT = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+const EMPTY_RIGHTS = '0x' + '0'.repeat(64);
+
+const registryInterface = new Interface([
+    'function getIncomingDelegations(address to) view returns (tuple(uint8 type_, address to, address from, bytes32 rights, address contract_, uint256 tokenId, uint256 amount)[] delegations)'
+]);
+
+function delegation(type, { from = VAULT, contract = ZeroAddress, tokenId = 0, rights = EMPTY_RIGHTS } = {}) {
+    return [type, HOT, from, rights, contract, tokenId, 0];
+}
+
+// JSON-RPC client stand-in answering getIncomingDelegations with the given delegations
+function createRpcClient(delegations) {
+    return {
+        call: jest.fn(async () => registryInterface.encodeFunctionResult('getIncomingDelegations', [delegations]))
+    };
+}
+
+function nft(contract, tokenId) {
+    return { contract: { address: contract }, tokenId: String(tokenId) };
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('DelegateRegistry.getDelegatedVaults', () => {
+    test('a wallet-wide delegation covers every token in the vault', async () => {
+        const registry = new DelegateRegistry(createRpcClient([delegation(1)]));
+
+        expect(await registry.getDelegatedVaults([HOT], [GEN1])).toEqual([{ vault: getAddress(VAULT), delegatedTo: HOT, tokens: null }]);
+    });
+
+    test('a contract delegation covers only the delegated contract', async () => {
+        const registry = new DelegateRegistry(createRpcClient([delegation(2, { contract: COMPANION })]));
+
+        const [vault] = await registry.getDelegatedVaults([HOT], [GEN1, COMPANION]);
+        expect(vault.tokens).toEqual([{ contract: COMPANION, tokenId: null }]);
+    });
+
+    test('token delegations list their tokens and are merged per vault', async () => {
+        const registry = new DelegateRegistry(createRpcClient([
+            delegation(3, { contract: GEN1, tokenId: 7 }),
+            delegation(2, { contract: COMPANION })
+        ]));
+
+        const [vault] = await registry.getDelegatedVaults([HOT], [GEN1, COMPANION]);
+        expect(vault.tokens).toEqual([{ contract: GEN1, tokenId: '7' }, { contract: COMPANION, tokenId: null }]);
+    });
+
+    test('ignores delegations of other collections, with limited rights or from linked wallets', async () => {
+        const registry = new DelegateRegistry(createRpcClient([
+            delegation(2, { contract: '0x3333333333333333333333333333333333333333' }),
+            delegation(1, { rights: '0x' + '1'.repeat(64) }),
+            delegation(1, { from: HOT })
+        ]));
+
+        expect(await registry.getDelegatedVaults([HOT], [GEN1])).toEqual([]);
+    });
+
+    test('treats a chain without the registry as having no delegations', async () => {
+        const registry = new DelegateRegistry({ call: jest.fn().mockResolvedValue('0x') });
+
+        expect(await registry.getDelegatedVaults([HOT], [GEN1])).toEqual([]);
+    });
+});
+
+describe('ChainNFTVerifier with delegated vaults', () => {
+    function createVerifier(delegations, holdings) {
+        const verifier = new ChainNFTVerifier(getChain('arbitrum'));
+        verifier.delegateRegistry = new DelegateRegistry(createRpcClient(delegations));
+        verifier.nftProvider = {
+            getNFTsForOwner: jest.fn(async wallet => {
+                const ownedNfts = holdings[wallet.toLowerCase()] || [];
+                return { ownedNfts, totalCount: ownedNfts.length, truncated: false };
+            })
+        };
+        return verifier;
+    }
+
+    test('credits only the delegated collection of a vault holding two collections', async () => {
+        const verifier = createVerifier([delegation(2, { contract: COMPANION })], {
+            [VAULT]: [nft(GEN1, 1), nft(GEN1, 2), nft(COMPANION, 5)]
+        });
+
+        const result = await verifier.verifyNFTOwnership([HOT]);
+
+        expect(result.collections.map(collection => [collection.id, collection.heldCount])).toEqual([['gen1', 0], ['companion', 1]]);
+        expect(result.walletBreakdown).toEqual([
+            { walletAddress: HOT, nftCount: 0 },
+            { walletAddress: getAddress(VAULT), nftCount: 1, delegatedTo: HOT }
+        ]);
+        expect(result.totalNFTs).toBe(1);
+    });
+
+    test('credits every collection of a vault delegated in full', async () => {
+        const verifier = createVerifier([delegation(1)], {
+            [VAULT]: [nft(GEN1, 1), nft(COMPANION, 5)]
+        });
+
+        const result = await verifier.verifyNFTOwnership([HOT]);
+
+        expect(result.collections.map(collection => collection.heldCount)).toEqual([1, 1]);
+    });
+});
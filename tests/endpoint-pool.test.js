@@ -0,0 +1,159 @@
+// Short backoff and a fixed retry count, read when the module loads
+process.env.RPC_RETRY_BASE_MS = '1';
+process.env.RPC_MAX_RETRIES = '2';
+process.env.RPC_FAILURE_THRESHOLD = '3';
+
+jest.mock('axios');
+const axios = require('axios');
+const { EndpointPool, isRetryableError, isAuthError, redactUrl } = require('../verifiers/endpoint-pool');
+
+function httpError(status) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status };
+    return error;
+}
+
+function networkError(code) {
+    const error = new Error(code);
+    error.code = code;
+    error.request = {};
+    return error;
+}
+
+// Breaker state is shared per URL, so every test uses its own endpoints
+let testNumber = 0;
+function createPool(count = 2) {
+    testNumber++;
+    const urls = Array.from({ length: count }, (_, index) => `https://rpc${index}.test${testNumber}.example`);
+    return new EndpointPool(`test${testNumber}`, urls);
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    axios.post.mockReset();
+});
+
+describe('isRetryableError', () => {
+    test.each([429, 500, 502, 503])('HTTP %i is retried', status => {
+        expect(isRetryableError(httpError(status))).toBe(true);
+    });
+
+    test.each([400, 401, 403, 404])('HTTP %i is not retried', status => {
+        expect(isRetryableError(httpError(status))).toBe(false);
+    });
+
+    test('timeouts and dropped connections are retried', () => {
+        expect(isRetryableError(networkError('ECONNABORTED'))).toBe(true);
+        expect(isRetryableError(networkError('ECONNRESET'))).toBe(true);
+    });
+
+    test('rate-limit errors inside a 200 response are retried, other JSON-RPC errors are not', () => {
+        expect(isRetryableError(Object.assign(new Error('limit'), { rpcCode: -32005 }))).toBe(true);
+        expect(isRetryableError(Object.assign(new Error('bad'), { rpcCode: -32602 }))).toBe(false);
+    });
+});
+
+describe('isAuthError', () => {
+    test('only 401 and 403 are rejected credentials', () => {
+        expect(isAuthError(httpError(401))).toBe(true);
+        expect(isAuthError(httpError(403))).toBe(true);
+        expect(isAuthError(httpError(404))).toBe(false);
+        expect(isAuthError(networkError('ETIMEDOUT'))).toBe(false);
+    });
+});
+
+describe('redactUrl', () => {
+    test('hides path and query API keys', () => {
+        expect(redactUrl('https://eth-mainnet.g.alchemy.com/v2/abcdefgh12345678')).toBe('https://eth-mainnet.g.alchemy.com/v2/[API_KEY]');
+        expect(redactUrl('https://rpc.example/?apikey=secret&x=1')).toBe('https://rpc.example/?apikey=[API_KEY]&x=1');
+    });
+});
+
+describe('EndpointPool.request', () => {
+    test('retries transient errors on the same endpoint', async () => {
+        const pool = createPool();
+        const send = jest.fn()
+            .mockRejectedValueOnce(httpError(503))
+            .mockResolvedValueOnce('ok');
+
+        await expect(pool.request(send)).resolves.toBe('ok');
+        expect(send.mock.calls.map(([url]) => url)).toEqual([pool.urls[0], pool.urls[0]]);
+    });
+
+    test('fails over once an endpoint runs out of retries', async () => {
+        const pool = createPool();
+        const send = jest.fn(async url => {
+            if (url === pool.urls[0]) throw networkError('ETIMEDOUT');
+            return 'second';
+        });
+
+        await expect(pool.request(send)).resolves.toBe('second');
+        expect(send).toHaveBeenCalledTimes(4); // 3 attempts on the first endpoint, then the second
+        expect(pool.getHealth()[0].consecutiveFailures).toBe(1);
+    });
+
+    test.each([401, 403])('fails over on HTTP %i without retrying and counts it as a failure', async status => {
+        const pool = createPool();
+        const send = jest.fn(async url => {
+            if (url === pool.urls[0]) throw httpError(status);
+            return 'second';
+        });
+
+        await expect(pool.request(send)).resolves.toBe('second');
+        expect(send.mock.calls.map(([url]) => url)).toEqual(pool.urls);
+        expect(pool.getHealth()[0]).toMatchObject({ state: 'degraded', consecutiveFailures: 1 });
+    });
+
+    test('returns other 4xx errors at once without counting them as a success', async () => {
+        const pool = createPool();
+        pool.recordFailure(pool.urls[0], new Error('earlier failure'));
+        const send = jest.fn().mockRejectedValue(httpError(404));
+
+        await expect(pool.request(send)).rejects.toThrow('status code 404');
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(pool.getHealth()[0].consecutiveFailures).toBe(1);
+    });
+
+    test('counts a non-transient JSON-RPC error as an answer from a healthy endpoint', async () => {
+        const pool = createPool();
+        pool.recordFailure(pool.urls[0], new Error('earlier failure'));
+        const send = jest.fn().mockRejectedValue(Object.assign(new Error('invalid params'), { rpcCode: -32602 }));
+
+        await expect(pool.request(send)).rejects.toThrow('invalid params');
+        expect(pool.getHealth()[0]).toMatchObject({ state: 'healthy', consecutiveFailures: 0 });
+    });
+
+    test('skips an endpoint after repeated failures', () => {
+        const pool = createPool();
+        for (let i = 0; i < 3; i++) pool.recordFailure(pool.urls[0], new Error('down'));
+
+        expect(pool.getAvailableUrls()).toEqual([pool.urls[1]]);
+        expect(pool.getHealth()[0].state).toBe('open');
+    });
+
+    test('throws the last error when every endpoint fails', async () => {
+        const pool = createPool();
+        const send = jest.fn().mockRejectedValue(httpError(403));
+
+        await expect(pool.request(send)).rejects.toThrow('status code 403');
+        expect(send).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('EndpointPool.post', () => {
+    test('retries a 200 response carrying a rate-limit error', async () => {
+        const pool = createPool(1);
+        axios.post
+            .mockResolvedValueOnce({ data: { jsonrpc: '2.0', id: 1, error: { code: -32005, message: 'rate limited' } } })
+            .mockResolvedValueOnce({ data: { jsonrpc: '2.0', id: 1, result: '0x1' } });
+
+        const response = await pool.post({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] });
+        expect(response.data.result).toBe('0x1');
+        expect(axios.post).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,100 @@
+process.env.ALCHEMY_API_KEY = 'test-key';
+
+const MonadNFTVerifier = require('../verifiers/monad-verifier');
+const { encodeVerificationCode } = require('../verifiers/base-verifier');
+
+const BOT = '0xb0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0';
+const USER = '0x1234567890abcdef1234567890abcdef12345678';
+const AMOUNT = '1000000000000123';
+const CODE = 'Schizo-ABC123XYZ789';
+
+// Same address in upper case hex digits
+function upperCase(address) {
+    return '0x' + address.slice(2).toUpperCase();
+}
+
+function tx({ to = BOT, value = AMOUNT, input = '0x' } = {}) {
+    return { from: USER, to, value: '0x' + BigInt(value).toString(16), input };
+}
+
+let verifier;
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    verifier = new MonadNFTVerifier();
+    jest.restoreAllMocks();
+});
+
+afterEach(() => {
+    delete process.env.MONAD_PROOF_MODES;
+    delete process.env.BOT_WALLET_ADDRESS;
+});
+
+describe('MonadNFTVerifier proof modes', () => {
+    test('offers bot transfers and signatures by default', () => {
+        process.env.BOT_WALLET_ADDRESS = BOT;
+        expect(verifier.getProofModes()).toEqual(['bot_transfer', 'signature']);
+    });
+
+    test('drops bot transfers without a bot wallet and unknown modes', () => {
+        process.env.MONAD_PROOF_MODES = 'bot_transfer, Self_Transfer, airdrop, self_transfer';
+        expect(verifier.getProofModes()).toEqual(['self_transfer']);
+    });
+
+    test('falls back to signatures when no configured mode is usable', () => {
+        process.env.MONAD_PROOF_MODES = 'bot_transfer';
+        expect(verifier.getProofModes()).toEqual(['signature']);
+    });
+
+    test('accepts transfers to the bot and back to the sender, per enabled mode', () => {
+        process.env.BOT_WALLET_ADDRESS = upperCase(BOT);
+        process.env.MONAD_PROOF_MODES = 'bot_transfer,self_transfer';
+
+        expect(verifier.getProofRecipients(upperCase(USER))).toEqual([BOT, USER]);
+    });
+});
+
+describe('MonadNFTVerifier.isVerificationProof', () => {
+    test('accepts the exact amount to an accepted recipient', () => {
+        expect(verifier.isVerificationProof(tx(), [BOT], AMOUNT, null)).toBe(true);
+        expect(verifier.isVerificationProof(tx({ to: USER }), [BOT, USER], AMOUNT, null)).toBe(true);
+    });
+
+    test('compares recipients without regard to case', () => {
+        expect(verifier.isVerificationProof(tx({ to: upperCase(BOT) }), [BOT], AMOUNT, null)).toBe(true);
+    });
+
+    test('rejects other amounts and recipients', () => {
+        expect(verifier.isVerificationProof(tx({ value: BigInt(AMOUNT) + 1n }), [BOT], AMOUNT, null)).toBe(false);
+        expect(verifier.isVerificationProof(tx({ to: USER }), [BOT], AMOUNT, null)).toBe(false);
+        expect(verifier.isVerificationProof(tx({ to: null }), [BOT], AMOUNT, null)).toBe(false);
+    });
+
+    test('accepts the verification code as input data to any recipient', () => {
+        const withCode = tx({ to: '0x0000000000000000000000000000000000000001', value: 0, input: encodeVerificationCode(CODE) });
+
+        expect(verifier.isVerificationProof(withCode, [], null, CODE)).toBe(true);
+    });
+
+    test('rejects input data carrying another code, or a code when calldata mode is off', () => {
+        const withCode = tx({ value: 0, input: encodeVerificationCode(CODE) });
+
+        expect(verifier.isVerificationProof(withCode, [BOT], AMOUNT, 'Schizo-OTHER0000000')).toBe(false);
+        expect(verifier.isVerificationProof(withCode, [BOT], AMOUNT, null)).toBe(false);
+    });
+});
+
+describe('MonadNFTVerifier.decodeVerificationCode', () => {
+    test('reads a code, ignoring trailing zero padding', () => {
+        expect(verifier.decodeVerificationCode(encodeVerificationCode(CODE) + '0000')).toBe(CODE);
+    });
+
+    test.each([
+        ['no input', '0x'],
+        ['odd-length hex', '0x123'],
+        ['contract call data', '0xa9059cbb' + '00'.repeat(64)],
+        ['text that is not a code', encodeVerificationCode('hello')]
+    ])('returns null for %s', (_, input) => {
+        expect(verifier.decodeVerificationCode(input)).toBeNull();
+    });
+});
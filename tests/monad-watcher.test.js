@@ -0,0 +1,223 @@
+// Proof modes and bot wallet, read when the verifier checks a challenge
+process.env.ALCHEMY_API_KEY = 'test-key';
+process.env.BOT_WALLET_ADDRESS = '0xb0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0';
+process.env.MONAD_PROOF_MODES = 'bot_transfer,calldata,signature';
+
+const MonadNFTVerifier = require('../verifiers/monad-verifier');
+const MonadTransactionWatcher = require('../workers/monad-watcher');
+
+const BOT = process.env.BOT_WALLET_ADDRESS;
+const USER = '0x1234567890abcdef1234567890abcdef12345678';
+const AMOUNT = '1000000000000123';
+// Block n is mined at second GENESIS + n
+const GENESIS = 1_700_000_000;
+
+function transfer(hash, { from = USER, to = BOT, value = AMOUNT } = {}) {
+    return { hash, from, to, value: '0x' + BigInt(value).toString(16), input: '0x' };
+}
+
+// JSON-RPC client stand-in serving blocks up to `latest`, with the given transactions and failed hashes
+function createRpcClient({ latest, transactions = {}, failed = [] }) {
+    return {
+        call: jest.fn(async (method, params) => {
+            switch (method) {
+                case 'eth_blockNumber':
+                    return '0x' + latest.toString(16);
+                case 'eth_getBlockByNumber': {
+                    const number = parseInt(params[0], 16);
+                    if (number > latest) return null;
+                    return { number: params[0], timestamp: '0x' + (GENESIS + number).toString(16), transactions: transactions[number] || [] };
+                }
+                case 'eth_getTransactionReceipt':
+                    return { transactionHash: params[0], status: failed.includes(params[0]) ? '0x0' : '0x1' };
+                default:
+                    throw new Error(`Unexpected method ${method}`);
+            }
+        })
+    };
+}
+
+function createVerifier(rpc) {
+    const verifier = new MonadNFTVerifier();
+    verifier.rpc = rpc;
+    return verifier;
+}
+
+// Challenge started halfway through the second of block `block`
+function challenge(block, extra = {}) {
+    return { walletAddress: USER, amountWei: AMOUNT, verificationCode: null, createdAt: (GENESIS + block) * 1000 + 500, ...extra };
+}
+
+function requestedBlocks(rpc) {
+    return rpc.call.mock.calls
+        .filter(([method]) => method === 'eth_getBlockByNumber')
+        .map(([, params]) => parseInt(params[0], 16));
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('MonadTransactionWatcher', () => {
+    function createWatcher(rpc, { cursor = null, challenges = [] } = {}) {
+        const verificationDB = {
+            getBotState: jest.fn().mockResolvedValue(cursor),
+            setBotState: jest.fn().mockResolvedValue()
+        };
+        const onMatch = jest.fn().mockResolvedValue();
+        const watcher = new MonadTransactionWatcher(createVerifier(rpc), verificationDB, {
+            getOpenChallenges: jest.fn(async () => [...challenges]),
+            onMatch
+        });
+        // As loaded by start()
+        watcher.cursor = cursor;
+        return { watcher, verificationDB, onMatch };
+    }
+
+    test('starts at the latest block without a saved cursor', async () => {
+        const rpc = createRpcClient({ latest: 120 });
+        const { watcher, verificationDB } = createWatcher(rpc, { challenges: [challenge(100)] });
+
+        await watcher.start();
+        watcher.stop();
+
+        expect(watcher.cursor).toBe(120);
+        expect(verificationDB.setBotState).toHaveBeenCalledWith('monad_watcher_cursor', 120);
+        expect(requestedBlocks(rpc)).toEqual([]);
+    });
+
+    test('resumes from the saved cursor and confirms a matching transfer', async () => {
+        const rpc = createRpcClient({ latest: 110, transactions: { 107: [transfer('0xaa')] } });
+        const open = challenge(100);
+        const { watcher, verificationDB, onMatch } = createWatcher(rpc, { cursor: 104, challenges: [open] });
+
+        await watcher.start();
+        watcher.stop();
+
+        expect(requestedBlocks(rpc)).toEqual([105, 106, 107, 108, 109, 110]);
+        expect(onMatch).toHaveBeenCalledWith(open, {
+            txHash: '0xaa',
+            blockNumber: 107,
+            timestamp: new Date((GENESIS + 107) * 1000).toISOString()
+        });
+        expect(verificationDB.setBotState).toHaveBeenLastCalledWith('monad_watcher_cursor', 110);
+    });
+
+    test('skips reverted transfers', async () => {
+        const rpc = createRpcClient({ latest: 110, transactions: { 107: [transfer('0xaa')] }, failed: ['0xaa'] });
+        const { watcher, onMatch } = createWatcher(rpc, { cursor: 104, challenges: [challenge(100)] });
+
+        await watcher.tick();
+
+        expect(onMatch).not.toHaveBeenCalled();
+        expect(watcher.cursor).toBe(110);
+    });
+
+    test('ignores transfers mined before the challenge was started', async () => {
+        const rpc = createRpcClient({ latest: 110, transactions: { 105: [transfer('0xaa')], 106: [transfer('0xbb')] } });
+        const { watcher, onMatch } = createWatcher(rpc, { cursor: 100, challenges: [challenge(106)] });
+
+        await watcher.tick();
+
+        // Block 106 shares the challenge second, so it still counts
+        expect(onMatch).toHaveBeenCalledTimes(1);
+        expect(onMatch.mock.calls[0][1].txHash).toBe('0xbb');
+    });
+
+    test('matches each challenge once', async () => {
+        const rpc = createRpcClient({ latest: 110, transactions: { 105: [transfer('0xaa')], 106: [transfer('0xbb')] } });
+        const { watcher, onMatch } = createWatcher(rpc, { cursor: 100, challenges: [challenge(100)] });
+
+        await watcher.tick();
+
+        expect(onMatch.mock.calls.map(([, transaction]) => transaction.txHash)).toEqual(['0xaa']);
+    });
+
+    test('advances by at most the configured number of blocks per poll', async () => {
+        process.env.MONAD_WATCHER_MAX_BLOCKS = '25';
+        try {
+            const rpc = createRpcClient({ latest: 500 });
+            const { watcher } = createWatcher(rpc, { cursor: 100, challenges: [challenge(100)] });
+
+            await watcher.tick();
+
+            expect(watcher.cursor).toBe(125);
+            expect(requestedBlocks(rpc)).toHaveLength(25);
+        } finally {
+            delete process.env.MONAD_WATCHER_MAX_BLOCKS;
+        }
+    });
+
+    test('keeps the cursor before a block that is not available yet', async () => {
+        const rpc = createRpcClient({ latest: 107 });
+        const { watcher } = createWatcher(rpc, { cursor: 100, challenges: [challenge(100)] });
+        // The node reports block 110 before it serves blocks 108-110
+        watcher.verifier.getLatestBlockNumber = jest.fn().mockResolvedValue(110);
+
+        await watcher.tick();
+
+        expect(watcher.cursor).toBe(107);
+    });
+
+    test('follows the chain without scanning while no challenge is open', async () => {
+        const rpc = createRpcClient({ latest: 150 });
+        const { watcher } = createWatcher(rpc, { cursor: 100 });
+
+        await watcher.tick();
+
+        expect(watcher.cursor).toBe(150);
+        expect(requestedBlocks(rpc)).toEqual([]);
+    });
+
+    test('keeps the cursor and records the error when the RPC fails', async () => {
+        const rpc = createRpcClient({ latest: 110 });
+        rpc.call.mockRejectedValue(new Error('socket hang up'));
+        const { watcher } = createWatcher(rpc, { cursor: 100, challenges: [challenge(100)] });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await watcher.tick();
+
+        expect(watcher.getStatus()).toMatchObject({ cursor: 100, lastError: 'socket hang up' });
+    });
+});
+
+describe('MonadNFTVerifier.checkVerificationTransaction', () => {
+    test('finds a successful transfer mined after notBefore', async () => {
+        const rpc = createRpcClient({ latest: 110, transactions: { 107: [transfer('0xaa')] } });
+
+        const result = await createVerifier(rpc).checkVerificationTransaction(USER, [BOT], AMOUNT, { notBefore: challenge(100).createdAt });
+
+        expect(result).toEqual({ found: true, txHash: '0xaa', blockNumber: 107, timestamp: new Date((GENESIS + 107) * 1000).toISOString() });
+    });
+
+    test('skips reverted transfers', async () => {
+        const rpc = createRpcClient({ latest: 110, transactions: { 107: [transfer('0xaa')] }, failed: ['0xaa'] });
+
+        const result = await createVerifier(rpc).checkVerificationTransaction(USER, [BOT], AMOUNT);
+
+        expect(result).toEqual({ found: false });
+    });
+
+    test('stops scanning at blocks mined before notBefore', async () => {
+        const rpc = createRpcClient({ latest: 110, transactions: { 95: [transfer('0xaa')] } });
+
+        const result = await createVerifier(rpc).checkVerificationTransaction(USER, [BOT], AMOUNT, { notBefore: challenge(100).createdAt });
+
+        expect(result).toEqual({ found: false });
+        expect(Math.min(...requestedBlocks(rpc))).toBeGreaterThan(90);
+    });
+
+    test('skips transfers already used for another verification', async () => {
+        const rpc = createRpcClient({ latest: 110, transactions: { 105: [transfer('0xaa')], 108: [transfer('0xbb')] } });
+        const isTxHashUsed = jest.fn(async txHash => txHash === '0xbb');
+
+        const result = await createVerifier(rpc).checkVerificationTransaction(USER, [BOT], AMOUNT, { isTxHashUsed });
+
+        expect(result.txHash).toBe('0xaa');
+    });
+});
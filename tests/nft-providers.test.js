@@ -0,0 +1,235 @@
+// Enumeration bound, read when the provider is created
+process.env.RPC_MAX_ENUMERATED_TOKENS = '3';
+
+const { Interface } = require('ethers');
+const { AlchemyNFTProvider, RpcNFTProvider } = require('../verifiers/nft-providers');
+const { resolveCollection, expandTokenIds } = require('../verifiers/chain-registry');
+const { evaluateCollections } = require('../verifiers/base-verifier');
+
+const WALLET = '0x1234567890abcdef1234567890abcdef12345678';
+const OTHER = '0x9999999999999999999999999999999999999999';
+const COLLECTION = '0x1111111111111111111111111111111111111111';
+
+const tokenInterface = new Interface([
+    'function balanceOf(address owner) view returns (uint256)',
+    'function ownerOf(uint256 tokenId) view returns (address)',
+    'function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)',
+    'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+    'function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])'
+]);
+
+// JSON-RPC client stand-in for one token contract held by WALLET
+function createRpcClient({ tokenIds = [], balance = tokenIds.length, enumerable = true, owners = {}, balances = {} }) {
+    const answer = (name, args) => {
+        switch (name) {
+            case 'balanceOf':
+                return [balance];
+            case 'supportsInterface':
+                if (!enumerable) throw new Error('execution reverted');
+                return [true];
+            case 'tokenOfOwnerByIndex':
+                return [tokenIds[Number(args[1])]];
+            case 'ownerOf':
+                if (!owners[args[0]]) throw new Error('execution reverted');
+                return [owners[args[0]]];
+            case 'balanceOfBatch':
+                return [args[1].map(id => balances[id] || 0)];
+        }
+    };
+
+    return {
+        call: jest.fn(async (method, [{ data }]) => {
+            const { name, args } = tokenInterface.parseTransaction({ data });
+            return tokenInterface.encodeFunctionResult(name, answer(name, args));
+        })
+    };
+}
+
+function createProvider(rpc) {
+    const provider = new RpcNFTProvider({ name: 'test:rpc', urls: [] });
+    provider.rpc = rpc;
+    return provider;
+}
+
+function calledFunctions(rpc) {
+    return rpc.call.mock.calls.map(([, [{ data }]]) => tokenInterface.parseTransaction({ data }).name);
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('RpcNFTProvider with ERC-721 collections', () => {
+    test('lists the token ids of an enumerable collection', async () => {
+        const provider = createProvider(createRpcClient({ tokenIds: [7, 42] }));
+
+        expect(await provider.getNFTsForOwner(WALLET, { collections: [{ address: COLLECTION }] })).toEqual({
+            ownedNfts: [
+                { contract: { address: COLLECTION }, tokenId: '7' },
+                { contract: { address: COLLECTION }, tokenId: '42' }
+            ],
+            totalCount: 2,
+            truncated: false
+        });
+    });
+
+    test('counts tokens above the enumeration bound in one entry and marks the result truncated', async () => {
+        const provider = createProvider(createRpcClient({ tokenIds: [1, 2, 3, 4, 5] }));
+
+        const result = await provider.getNFTsForOwner(WALLET, { collections: [{ address: COLLECTION }] });
+
+        expect(result.ownedNfts.map(nft => nft.tokenId)).toEqual(['1', '2', '3', null]);
+        expect(result.ownedNfts[3].balance).toBe('2');
+        expect(result.totalCount).toBe(5);
+        expect(result.truncated).toBe(true);
+    });
+
+    test('counts a collection that cannot be enumerated by its balance without marking it truncated', async () => {
+        const rpc = createRpcClient({ balance: 5, enumerable: false });
+        const provider = createProvider(rpc);
+
+        const result = await provider.getNFTsForOwner(WALLET, { collections: [{ address: COLLECTION }] });
+
+        expect(result).toEqual({
+            ownedNfts: [{ contract: { address: COLLECTION }, tokenId: null, balance: '5' }],
+            totalCount: 5,
+            truncated: false
+        });
+        expect(calledFunctions(rpc)).not.toContain('tokenOfOwnerByIndex');
+    });
+
+    test('checks explicit token lists with ownerOf, skipping burned tokens', async () => {
+        const rpc = createRpcClient({ owners: { 1: WALLET, 2: OTHER } });
+        const provider = createProvider(rpc);
+
+        const result = await provider.getNFTsForOwner(WALLET, { collections: [{ address: COLLECTION, tokenIds: ['1', '2', '3'] }] });
+
+        expect(result.ownedNfts).toEqual([{ contract: { address: COLLECTION }, tokenId: '1' }]);
+        expect(calledFunctions(rpc)).toEqual(['ownerOf', 'ownerOf', 'ownerOf']);
+    });
+
+    test('needs a collection address', async () => {
+        const provider = createProvider(createRpcClient({}));
+
+        await expect(provider.getNFTsForOwner(WALLET)).rejects.toThrow('The RPC provider needs a collection address');
+    });
+});
+
+describe('RpcNFTProvider with ERC-1155 collections', () => {
+    test('reads quantities of the listed token ids, in batches of 100', async () => {
+        const tokenIds = Array.from({ length: 150 }, (_, index) => String(index + 1));
+        const rpc = createRpcClient({ balances: { 5: 2, 120: 1 } });
+        const provider = createProvider(rpc);
+
+        const result = await provider.getNFTsForOwner(WALLET, { collections: [{ address: COLLECTION, standard: 'erc1155', tokenIds }] });
+
+        expect(result).toEqual({
+            ownedNfts: [
+                { contract: { address: COLLECTION }, tokenId: '5', tokenType: 'ERC1155', balance: '2' },
+                { contract: { address: COLLECTION }, tokenId: '120', tokenType: 'ERC1155', balance: '1' }
+            ],
+            totalCount: 3,
+            truncated: false
+        });
+        expect(calledFunctions(rpc)).toEqual(['balanceOfBatch', 'balanceOfBatch']);
+    });
+
+    test('needs token ids or ranges', async () => {
+        const provider = createProvider(createRpcClient({}));
+
+        await expect(provider.getNFTsForOwner(WALLET, { collections: [{ address: COLLECTION, standard: 'erc1155' }] }))
+            .rejects.toThrow(`The RPC provider needs token ids or ranges for ERC-1155 collection ${COLLECTION}`);
+    });
+});
+
+describe('ERC-1155 token filters', () => {
+    // As the verifier does: expand the registry entry, fetch, then count per requirement
+    async function heldCount(entry, balances) {
+        const collection = resolveCollection({ name: 'Badges', address: COLLECTION, standard: 'erc1155', ...entry });
+        const provider = createProvider(createRpcClient({ balances }));
+        const { ownedNfts } = await provider.getNFTsForOwner(WALLET, {
+            collections: [{ address: collection.address, standard: collection.standard, tokenIds: expandTokenIds(collection) }]
+        });
+        return evaluateCollections(ownedNfts, [collection])[0].heldCount;
+    }
+
+    test('counts quantities, not distinct token ids', async () => {
+        expect(await heldCount({ tokenIds: [1, 2] }, { 1: 3, 2: 1 })).toBe(4);
+    });
+
+    test('counts only the listed ids and ranges', async () => {
+        expect(await heldCount({ tokenIds: [1], tokenIdRanges: [{ from: 10, to: 12 }] }, { 1: 1, 5: 7, 11: 2 })).toBe(3);
+    });
+
+    test('ignores ids held below the minimum balance per id', async () => {
+        expect(await heldCount({ tokenIds: [1, 2], minBalancePerToken: 2 }, { 1: 1, 2: 5 })).toBe(5);
+    });
+
+    test('filters results that list every token of the contract (NFT API providers)', () => {
+        const collection = resolveCollection({ name: 'Badges', address: COLLECTION, standard: 'erc1155', tokenIdRanges: [{ from: 10, to: 12 }] });
+        const nfts = [5, 11, 13].map(tokenId => ({ contract: { address: COLLECTION }, tokenId: String(tokenId), balance: '1' }));
+
+        expect(evaluateCollections(nfts, [collection])[0].heldCount).toBe(1);
+    });
+});
+
+describe('AlchemyNFTProvider', () => {
+    function page(tokenIds, pageKey, totalCount = 250) {
+        return { data: { ownedNfts: tokenIds.map(tokenId => ({ contract: { address: COLLECTION }, tokenId: String(tokenId) })), totalCount, pageKey } };
+    }
+
+    test('follows pageKey until the last page', async () => {
+        const pool = { get: jest.fn() };
+        pool.get
+            .mockResolvedValueOnce(page([1, 2], 'page-2'))
+            .mockResolvedValueOnce(page([3], undefined));
+        const provider = new AlchemyNFTProvider(pool);
+
+        const result = await provider.getNFTsForOwner(WALLET, { collections: [{ address: COLLECTION }] });
+
+        expect(result.ownedNfts.map(nft => nft.tokenId)).toEqual(['1', '2', '3']);
+        expect(result).toMatchObject({ totalCount: 250, truncated: false });
+        expect(pool.get.mock.calls.map(([, { params }]) => params.pageKey)).toEqual([undefined, 'page-2']);
+        expect(pool.get.mock.calls[0][1].params).toMatchObject({ owner: WALLET, pageSize: 100, contractAddresses: [COLLECTION] });
+    });
+
+    test('stops at the page bound and marks the result truncated', async () => {
+        process.env.NFT_MAX_PAGES = '2';
+        try {
+            const pool = { get: jest.fn(async () => page([1], 'next')) };
+            const provider = new AlchemyNFTProvider(pool);
+
+            const result = await provider.getNFTsForOwner(WALLET);
+
+            expect(pool.get).toHaveBeenCalledTimes(2);
+            expect(result).toMatchObject({ totalCount: 250, truncated: true });
+            expect(pool.get.mock.calls[0][1].params).not.toHaveProperty('contractAddresses');
+        } finally {
+            delete process.env.NFT_MAX_PAGES;
+        }
+    });
+
+    test('keeps the pages already fetched when a later page times out', async () => {
+        const timeout = Object.assign(new Error('timeout of 20000ms exceeded'), { code: 'ECONNABORTED' });
+        const pool = { get: jest.fn() };
+        pool.get
+            .mockResolvedValueOnce(page([1, 2], 'page-2'))
+            .mockRejectedValueOnce(timeout);
+        const provider = new AlchemyNFTProvider(pool);
+
+        const result = await provider.getNFTsForOwner(WALLET);
+
+        expect(result.ownedNfts).toHaveLength(2);
+        expect(result.truncated).toBe(true);
+    });
+
+    test('throws when the first page fails', async () => {
+        const pool = { get: jest.fn().mockRejectedValue(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' })) };
+
+        await expect(new AlchemyNFTProvider(pool).getNFTsForOwner(WALLET)).rejects.toThrow('timeout');
+    });
+});
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    parseRuleExpression,
+    validateRuleIdentifiers,
+    getReferencedChainIds,
+    buildRuleContext,
+    evaluateRule
+} = require('../verifiers/role-rules');
+
+function result(network, collections, extra = {}) {
+    return {
+        network,
+        verified: collections.some(collection => collection.heldCount > 0),
+        collections,
+        timestamp: '2026-01-01T00:00:00.000Z',
+        ...extra
+    };
+}
+
+function evaluate(expression, results) {
+    return evaluateRule(parseRuleExpression(expression), buildRuleContext(results));
+}
+
+describe('parseRuleExpression', () => {
+    test('reads a comparison', () => {
+        expect(parseRuleExpression('monad_testnet.sybil_pass >= 2')).toEqual({
+            type: 'compare', identifier: 'monad_testnet.sybil_pass', operator: '>=', threshold: 2
+        });
+    });
+
+    test('reads a bare requirement as "above zero"', () => {
+        expect(parseRuleExpression('arbitrum.gen1')).toEqual({
+            type: 'compare', identifier: 'arbitrum.gen1', operator: '>', threshold: 0
+        });
+    });
+
+    test('binds NOT tighter than AND, and AND tighter than OR', () => {
+        const tree = parseRuleExpression('NOT a.x OR b.y AND c.z');
+
+        expect(tree.type).toBe('or');
+        expect(tree.operands[0]).toMatchObject({ type: 'not', operand: { identifier: 'a.x' } });
+        expect(tree.operands[1]).toMatchObject({ type: 'and', operands: [{ identifier: 'b.y' }, { identifier: 'c.z' }] });
+    });
+
+    test('groups with parentheses', () => {
+        const tree = parseRuleExpression('(a.x OR b.y) AND c.z');
+
+        expect(tree.type).toBe('and');
+        expect(tree.operands[0]).toMatchObject({ type: 'or', operands: [{ identifier: 'a.x' }, { identifier: 'b.y' }] });
+    });
+
+    test('accepts keywords in any case and lower-cases identifiers', () => {
+        const tree = parseRuleExpression('Monad.Sybil_Pass and not arbitrum.GEN1');
+
+        expect(tree).toMatchObject({
+            type: 'and',
+            operands: [{ identifier: 'monad.sybil_pass' }, { type: 'not', operand: { identifier: 'arbitrum.gen1' } }]
+        });
+    });
+
+    test.each([
+        ['', 'Rule expression is empty'],
+        ['   ', 'Rule expression is empty'],
+        ['(a.x AND b.y', 'Missing closing parenthesis'],
+        ['a.x >=', 'Expected a number after "a.x >="'],
+        ['a.x >= b.y', 'Expected a number after "a.x >="'],
+        ['a.x AND', 'Rule expression ends unexpectedly'],
+        ['a.x b.y', 'Unexpected "b.y" after the end of the expression'],
+        ['sybil_pass >= 1', 'Unexpected "sybil_pass"'],
+        ['a.x >= 1 $', 'Unexpected "$" at position 10'],
+        ['AND a.x', 'Expected a requirement but found "AND"']
+    ])('rejects %j', (expression, message) => {
+        expect(() => parseRuleExpression(expression)).toThrow(message);
+    });
+});
+
+describe('validateRuleIdentifiers', () => {
+    test('accepts chain ids, aliases, collection ids and "verified"', () => {
+        const tree = parseRuleExpression('monad.sybil_pass AND monad_testnet.verified AND bera.gen2 AND arbitrum.companion');
+        expect(validateRuleIdentifiers(tree)).toEqual([]);
+    });
+
+    test('reports unknown chains and requirements', () => {
+        const problems = validateRuleIdentifiers(parseRuleExpression('solana.gen1 OR arbitrum.gen9'));
+
+        expect(problems).toEqual([
+            'Unknown chain in "solana.gen1"',
+            'Unknown requirement "gen9" on arbitrum (known: verified, gen1, companion)'
+        ]);
+    });
+});
+
+describe('getReferencedChainIds', () => {
+    test('resolves aliases to chain ids, each listed once', () => {
+        const tree = parseRuleExpression('monad.sybil_pass OR monad_testnet.verified OR bera.gen2');
+        expect(getReferencedChainIds(tree)).toEqual(['monad_testnet', 'berachain']);
+    });
+});
+
+describe('evaluateRule', () => {
+    const results = [
+        result('monad_testnet', [{ id: 'sybil_pass', heldCount: 2 }]),
+        result('arbitrum', [{ id: 'gen1', heldCount: 0 }, { id: 'companion', heldCount: 1 }])
+    ];
+
+    test.each([
+        ['monad.sybil_pass >= 2', true],
+        ['monad.sybil_pass > 2', false],
+        ['monad.sybil_pass <= 2', true],
+        ['monad.sybil_pass < 2', false],
+        ['monad.sybil_pass == 2', true],
+        ['monad.sybil_pass != 2', false],
+        ['monad.verified', true],
+        ['arbitrum.gen1', false],
+        ['NOT arbitrum.gen1', true],
+        ['arbitrum.gen1 OR arbitrum.companion', true],
+        ['monad.sybil_pass >= 1 AND (arbitrum.gen1 OR bera.gen2)', false]
+    ])('%s is %s', (expression, passed) => {
+        expect(evaluate(expression, results).passed).toBe(passed);
+    });
+
+    test('counts chains without a result as holding nothing', () => {
+        const { passed, unavailable, terms } = evaluate('bera.gen2 >= 1', results);
+
+        expect(passed).toBe(false);
+        expect(unavailable).toBe(false);
+        expect(terms).toEqual([
+            { identifier: 'bera.gen2', operator: '>=', threshold: 1, value: 0, passed: false, unavailable: false }
+        ]);
+    });
+
+    test('matches results stored before collections had ids by address', () => {
+        process.env.BERACHAIN_NFT_COLLECTION = '0x00000000000000000000000000000000000000Ab';
+        try {
+            const legacy = [result('berachain', [{ address: '0x00000000000000000000000000000000000000ab', heldCount: 3 }])];
+            expect(buildRuleContext(legacy).values['berachain.gen2']).toBe(3);
+        } finally {
+            delete process.env.BERACHAIN_NFT_COLLECTION;
+        }
+    });
+
+    test('marks the rule unavailable when a referenced chain failed to check', () => {
+        const failed = [...results, result('berachain', [], { verified: false, error: 'RPC timeout' })];
+
+        expect(evaluate('monad.sybil_pass AND bera.gen2', failed)).toMatchObject({ passed: false, unavailable: true });
+        expect(evaluate('monad.sybil_pass AND arbitrum.companion', failed).unavailable).toBe(false);
+    });
+
+    test('uses the most recent result when a chain is stored under its alias and its id', () => {
+        const older = result('monad', [{ id: 'sybil_pass', heldCount: 0 }], { timestamp: '2026-01-01T00:00:00.000Z' });
+        const newer = result('monad_testnet', [{ id: 'sybil_pass', heldCount: 5 }], { timestamp: '2026-01-02T00:00:00.000Z' });
+
+        expect(buildRuleContext([newer, older]).values['monad_testnet.sybil_pass']).toBe(5);
+        expect(buildRuleContext([older, newer]).values['monad_testnet.sybil_pass']).toBe(5);
+    });
+
+    test('a newer successful check clears an older failure', () => {
+        const failed = result('monad_testnet', [], { error: 'RPC timeout', timestamp: '2026-01-01T00:00:00.000Z' });
+        const recovered = result('monad', [{ id: 'sybil_pass', heldCount: 1 }], { timestamp: '2026-01-02T00:00:00.000Z' });
+
+        expect(buildRuleContext([failed, recovered]).unavailableChains.size).toBe(0);
+        expect(buildRuleContext([recovered, failed]).unavailableChains.size).toBe(0);
+    });
+});
+
+describe('getRoleRules', () => {
+    let rulesPath;
+
+    beforeEach(() => {
+        rulesPath = path.join(os.tmpdir(), `role-rules-${process.pid}-${Date.now()}.json`);
+        process.env.ROLE_RULES_PATH = rulesPath;
+    });
+
+    afterEach(() => {
+        delete process.env.ROLE_RULES_PATH;
+        delete process.env.TEST_RULE_ROLE_ID;
+        fs.rmSync(rulesPath, { force: true });
+    });
+
+    // Rules are cached per module instance
+    function loadRules() {
+        let rules;
+        jest.isolateModules(() => {
+            rules = require('../verifiers/role-rules').getRoleRules();
+        });
+        return rules;
+    }
+
+    test('treats a missing rules file as no rules', () => {
+        expect(loadRules()).toEqual([]);
+    });
+
+    test('parses rules and reads role ids from the environment', () => {
+        process.env.TEST_RULE_ROLE_ID = '123456789012345678';
+        fs.writeFileSync(rulesPath, JSON.stringify({
+            rules: [
+                { name: 'Cross-chain', expression: 'monad.sybil_pass AND arbitrum.gen1', roleEnv: 'TEST_RULE_ROLE_ID' },
+                { name: 'Off', expression: 'bera.gen2', enabled: false }
+            ]
+        }));
+
+        expect(loadRules()).toMatchObject([
+            { name: 'Cross-chain', roleId: '123456789012345678', enabled: true, tree: { type: 'and' } },
+            { name: 'Off', roleId: undefined, enabled: false }
+        ]);
+    });
+
+    test('rejects rules naming unknown requirements', () => {
+        fs.writeFileSync(rulesPath, JSON.stringify({ rules: [{ name: 'Typo', expression: 'monad.sybilpass' }] }));
+
+        expect(loadRules).toThrow('Invalid role rule "Typo": Unknown requirement "sybilpass" on monad_testnet');
+    });
+});
@@ -0,0 +1,168 @@
+// Batch and cache limits, read when the module loads
+process.env.RPC_BATCH_SIZE = '3';
+process.env.RPC_CACHE_TTL_MS = '1000';
+
+const { RpcClient } = require('../verifiers/rpc-client');
+
+// Endpoint pool stand-in that answers JSON-RPC requests from a method -> result map
+function createPool(results, { batching = true } = {}) {
+    const answer = request => results[request.method] instanceof Error
+        ? { jsonrpc: '2.0', id: request.id, error: { code: 3, message: results[request.method].message } }
+        : { jsonrpc: '2.0', id: request.id, result: results[request.method] };
+
+    return {
+        name: 'test:rpc',
+        post: jest.fn(async body => {
+            if (Array.isArray(body)) {
+                // Endpoints without batch support answer with a single error object
+                return { data: batching ? body.map(answer) : { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Batch not supported' } } };
+            }
+            return { data: answer(body) };
+        })
+    };
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('RpcClient', () => {
+    test('sends calls made in the same tick as one batch request', async () => {
+        const pool = createPool({ eth_chainId: '0x279f', eth_blockNumber: '0x10' });
+        const client = new RpcClient(pool);
+
+        const results = await Promise.all([
+            client.call('eth_chainId'),
+            client.call('eth_blockNumber')
+        ]);
+
+        expect(results).toEqual(['0x279f', '0x10']);
+        expect(pool.post).toHaveBeenCalledTimes(1);
+        expect(pool.post.mock.calls[0][0].map(request => request.method)).toEqual(['eth_chainId', 'eth_blockNumber']);
+    });
+
+    test('splits batches at the batch size', async () => {
+        const pool = createPool({ eth_getBalance: '0x1' });
+        const client = new RpcClient(pool);
+
+        await Promise.all([1, 2, 3, 4].map(index => client.call('eth_getBalance', [`0x${index}`, 'latest'])));
+
+        expect(pool.post.mock.calls.map(([body]) => [].concat(body).length)).toEqual([3, 1]);
+    });
+
+    test('shares one request between identical calls in flight', async () => {
+        const pool = createPool({ eth_blockNumber: '0x10' });
+        const client = new RpcClient(pool);
+
+        const [first, second] = await Promise.all([client.call('eth_blockNumber'), client.call('eth_blockNumber')]);
+
+        expect(first).toBe('0x10');
+        expect(second).toBe('0x10');
+        expect(pool.post).toHaveBeenCalledTimes(1);
+        expect(client.getStats()).toMatchObject({ calls: 2, deduped: 1, httpRequests: 1 });
+    });
+
+    test('rejects JSON-RPC errors with isRpcError set, without failing the rest of the batch', async () => {
+        const pool = createPool({ eth_call: new Error('execution reverted'), eth_blockNumber: '0x10' });
+        const client = new RpcClient(pool);
+
+        const [call, blockNumber] = await Promise.allSettled([
+            client.call('eth_call', [{ to: '0x1', data: '0x' }, 'latest']),
+            client.call('eth_blockNumber')
+        ]);
+
+        expect(call.reason).toMatchObject({ message: 'execution reverted', isRpcError: true, code: 3 });
+        expect(blockNumber.value).toBe('0x10');
+    });
+
+    test('rejects every call of a batch when the request fails', async () => {
+        const pool = { name: 'test:rpc', post: jest.fn().mockRejectedValue(new Error('socket hang up')) };
+        const client = new RpcClient(pool);
+
+        const results = await Promise.allSettled([client.call('eth_chainId'), client.call('eth_blockNumber')]);
+
+        expect(results.map(result => result.reason?.message)).toEqual(['socket hang up', 'socket hang up']);
+    });
+
+    test('falls back to single requests when the endpoint does not accept batches', async () => {
+        const pool = createPool({ eth_chainId: '0x279f', eth_blockNumber: '0x10' }, { batching: false });
+        const client = new RpcClient(pool);
+
+        await expect(Promise.all([client.call('eth_chainId'), client.call('eth_blockNumber')])).resolves.toEqual(['0x279f', '0x10']);
+        expect(client.batchingSupported).toBe(false);
+
+        // Later calls skip the batch attempt
+        pool.post.mockClear();
+        await Promise.all([client.call('eth_getBalance', ['0x1', 'latest']), client.call('eth_getBalance', ['0x2', 'latest'])]);
+        expect(pool.post.mock.calls.every(([body]) => !Array.isArray(body))).toBe(true);
+        expect(pool.post).toHaveBeenCalledTimes(2);
+    });
+
+    describe('caching', () => {
+        let now;
+
+        beforeEach(() => {
+            now = 1_700_000_000_000;
+            jest.spyOn(Date, 'now').mockImplementation(() => now);
+        });
+
+        test('keeps eth_call results until the TTL expires', async () => {
+            const pool = createPool({ eth_call: '0x01' });
+            const client = new RpcClient(pool);
+            const params = [{ to: '0x1', data: '0x70a08231' }, 'latest'];
+
+            await client.call('eth_call', params);
+            now += 999;
+            await client.call('eth_call', params);
+            expect(pool.post).toHaveBeenCalledTimes(1);
+            expect(client.getStats().cacheHits).toBe(1);
+
+            now += 1;
+            await client.call('eth_call', params);
+            expect(pool.post).toHaveBeenCalledTimes(2);
+        });
+
+        test('keeps blocks requested by number, but not "latest" or blocks with full transactions', async () => {
+            const pool = createPool({ eth_getBlockByNumber: { number: '0x10', transactions: [] } });
+            const client = new RpcClient(pool);
+
+            await client.call('eth_getBlockByNumber', ['0x10', false]);
+            await client.call('eth_getBlockByNumber', ['0x10', false]);
+            expect(pool.post).toHaveBeenCalledTimes(1);
+
+            await client.call('eth_getBlockByNumber', ['latest', false]);
+            await client.call('eth_getBlockByNumber', ['latest', false]);
+            await client.call('eth_getBlockByNumber', ['0x10', true]);
+            await client.call('eth_getBlockByNumber', ['0x10', true]);
+            expect(pool.post).toHaveBeenCalledTimes(5);
+        });
+
+        test('keeps mined transaction receipts but not pending ones', async () => {
+            const results = { eth_getTransactionReceipt: null };
+            const pool = createPool(results);
+            const client = new RpcClient(pool);
+
+            await client.call('eth_getTransactionReceipt', ['0xabc']);
+            results.eth_getTransactionReceipt = { blockNumber: '0x10', status: '0x1' };
+            await client.call('eth_getTransactionReceipt', ['0xabc']);
+            await client.call('eth_getTransactionReceipt', ['0xabc']);
+
+            expect(pool.post).toHaveBeenCalledTimes(2);
+        });
+
+        test('does not cache errors', async () => {
+            const results = { eth_call: new Error('execution reverted') };
+            const pool = createPool(results);
+            const client = new RpcClient(pool);
+            const params = [{ to: '0x1', data: '0x' }, 'latest'];
+
+            await expect(client.call('eth_call', params)).rejects.toThrow('execution reverted');
+            results.eth_call = '0x01';
+            await expect(client.call('eth_call', params)).resolves.toBe('0x01');
+        });
+    });
+});
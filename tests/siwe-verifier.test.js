@@ -0,0 +1,170 @@
+const { Wallet } = require('ethers');
+const SiweVerifier = require('../verifiers/siwe-verifier');
+
+const signer = new Wallet('0x' + '11'.repeat(32));
+const otherSigner = new Wallet('0x' + '22'.repeat(32));
+const CONTRACT_WALLET = '0x5afe5afe5afe5afe5afe5afe5afe5afe5afe5afe';
+
+let verifiers = [];
+function createVerifier(contractWalletVerifier) {
+    const verifier = new SiweVerifier(contractWalletVerifier);
+    verifiers.push(verifier);
+    return verifier;
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    verifiers.forEach(verifier => clearInterval(verifier.cleanupTimer));
+    verifiers = [];
+    delete process.env.PUBLIC_URL;
+    jest.restoreAllMocks();
+});
+
+describe('SiweVerifier messages', () => {
+    test('builds an EIP-4361 message for the signing page', () => {
+        process.env.PUBLIC_URL = 'https://verify.example.com/sign';
+        const verifier = createVerifier();
+
+        const challenge = verifier.createChallenge(signer.address.toLowerCase());
+        const lines = challenge.message.split('\n');
+
+        expect(lines.slice(0, 3)).toEqual(['verify.example.com wants you to sign in with your Ethereum account:', signer.address, '']);
+        expect(lines.slice(5)).toEqual([
+            'URI: https://verify.example.com',
+            'Version: 1',
+            'Chain ID: 10143',
+            `Nonce: ${challenge.nonce}`,
+            `Issued At: ${new Date(challenge.issuedAt).toISOString()}`,
+            `Expiration Time: ${new Date(challenge.expiresAt).toISOString()}`
+        ]);
+        expect(challenge.expiresAt - challenge.issuedAt).toBe(10 * 60 * 1000);
+    });
+
+    test('generates alphanumeric nonces of at least 8 characters', () => {
+        const verifier = createVerifier();
+
+        expect(verifier.generateNonce()).toMatch(/^[A-Za-z0-9]{8,}$/);
+        expect(verifier.generateNonce()).not.toBe(verifier.generateNonce());
+    });
+
+    test('does not keep the process alive for nonce cleanup', () => {
+        expect(createVerifier().cleanupTimer.hasRef()).toBe(false);
+    });
+});
+
+describe('SiweVerifier.verifySignature', () => {
+    test('accepts a signature from the wallet', async () => {
+        const verifier = createVerifier();
+        const challenge = verifier.createChallenge(signer.address);
+
+        const result = await verifier.verifySignature(challenge, await signer.signMessage(challenge.message), signer.address.toLowerCase());
+
+        expect(result).toEqual({ valid: true, recoveredAddress: signer.address });
+    });
+
+    test('rejects a signature from another wallet without using up the challenge', async () => {
+        const verifier = createVerifier();
+        const challenge = verifier.createChallenge(signer.address);
+
+        const rejected = await verifier.verifySignature(challenge, await otherSigner.signMessage(challenge.message), signer.address);
+        expect(rejected).toMatchObject({ valid: false, recoveredAddress: otherSigner.address, error: 'Signature was not created by the wallet you entered' });
+
+        const accepted = await verifier.verifySignature(challenge, await signer.signMessage(challenge.message), signer.address);
+        expect(accepted.valid).toBe(true);
+    });
+
+    test('accepts a challenge only once', async () => {
+        const verifier = createVerifier();
+        const challenge = verifier.createChallenge(signer.address);
+        const signature = await signer.signMessage(challenge.message);
+
+        await verifier.verifySignature(challenge, signature, signer.address);
+
+        expect(await verifier.verifySignature(challenge, signature, signer.address))
+            .toEqual({ valid: false, error: 'This challenge has already been used' });
+    });
+
+    test('accepts only one of two concurrent submissions of a challenge', async () => {
+        // The bytecode lookup gives the second submission a chance to start in between
+        const verifier = createVerifier({ isContractWallet: jest.fn(async () => false) });
+        const challenge = verifier.createChallenge(signer.address);
+        const signature = await signer.signMessage(challenge.message);
+
+        const results = await Promise.all([
+            verifier.verifySignature(challenge, signature, signer.address),
+            verifier.verifySignature(challenge, signature, signer.address)
+        ]);
+
+        expect(results.map(result => result.valid)).toEqual([true, false]);
+        expect(results[1].error).toBe('This challenge has already been used');
+    });
+
+    test('rejects expired challenges and malformed signatures', async () => {
+        const verifier = createVerifier();
+        const challenge = verifier.createChallenge(signer.address);
+
+        expect((await verifier.verifySignature({ ...challenge, expiresAt: Date.now() - 1 }, '0x', signer.address)).error)
+            .toBe('Signing challenge has expired');
+        expect((await verifier.verifySignature(challenge, 'not hex', signer.address)).error)
+            .toBe('Signature must be a 0x-prefixed hex string');
+        expect((await verifier.verifySignature(challenge, '0x1234', signer.address)).error)
+            .toBe('Signature must be a 0x-prefixed 65-byte hex string');
+        expect(verifier.usedNonces.size).toBe(0);
+    });
+});
+
+describe('SiweVerifier with smart contract wallets (EIP-1271)', () => {
+    function createContractWalletVerifier(isValidContractSignature) {
+        return {
+            isContractWallet: jest.fn(async address => address === CONTRACT_WALLET),
+            isValidContractSignature: jest.fn(isValidContractSignature)
+        };
+    }
+
+    test('accepts signatures the wallet contract validates', async () => {
+        const contractWallets = createContractWalletVerifier(async () => true);
+        const verifier = createVerifier(contractWallets);
+        const challenge = verifier.createChallenge(CONTRACT_WALLET);
+
+        const result = await verifier.verifySignature(challenge, '0xabcd', CONTRACT_WALLET);
+
+        expect(result).toEqual({ valid: true, recoveredAddress: CONTRACT_WALLET, contractWallet: true });
+        expect(contractWallets.isValidContractSignature).toHaveBeenCalledWith(CONTRACT_WALLET, challenge.message, '0xabcd');
+        expect(verifier.usedNonces.has(challenge.nonce)).toBe(true);
+    });
+
+    test('releases the challenge when the wallet contract rejects the signature', async () => {
+        const verifier = createVerifier(createContractWalletVerifier(async () => false));
+        const challenge = verifier.createChallenge(CONTRACT_WALLET);
+
+        const result = await verifier.verifySignature(challenge, '0xabcd', CONTRACT_WALLET);
+
+        expect(result).toMatchObject({ valid: false, contractWallet: true });
+        expect(verifier.usedNonces.has(challenge.nonce)).toBe(false);
+    });
+
+    test('asks to retry when the wallet contract cannot be reached', async () => {
+        const verifier = createVerifier(createContractWalletVerifier(async () => {
+            throw new Error('socket hang up');
+        }));
+        const challenge = verifier.createChallenge(CONTRACT_WALLET);
+
+        const result = await verifier.verifySignature(challenge, '0xabcd', CONTRACT_WALLET);
+
+        expect(result.error).toBe('Could not check the signature with your wallet contract, please try again');
+        expect(verifier.usedNonces.has(challenge.nonce)).toBe(false);
+    });
+
+    test('checks wallets without bytecode by signature recovery', async () => {
+        const verifier = createVerifier(createContractWalletVerifier(async () => true));
+        const challenge = verifier.createChallenge(signer.address);
+
+        const result = await verifier.verifySignature(challenge, await signer.signMessage(challenge.message), signer.address);
+
+        expect(result).toEqual({ valid: true, recoveredAddress: signer.address });
+    });
+});
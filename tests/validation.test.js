@@ -0,0 +1,96 @@
+const { validateConfig } = require('../utils/validation');
+
+const ROLE_ID = '123456789012345678';
+
+// A complete configuration: chain settings are read from process.env through the chain registry
+const VALID = {
+    DISCORD_TOKEN: 'token',
+    CLIENT_ID: '223456789012345678',
+    GUILD_ID: '323456789012345678',
+    VERIFIED_ROLE_ID: ROLE_ID,
+    BOT_WALLET_ADDRESS: '0xb0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0',
+    PUBLIC_URL: 'https://verify.example.com',
+    DATABASE_URL: 'postgres://localhost/verify',
+    ALCHEMY_API_KEY: 'key',
+    REQUIRED_NFT_COLLECTION: '0x1111111111111111111111111111111111111111',
+    ARBITRUM_NFT_COLLECTION: '0x2222222222222222222222222222222222222222',
+    ARBITRUM_COMPANION_NFT_COLLECTION: '0x3333333333333333333333333333333333333333',
+    BERACHAIN_NFT_COLLECTION: '0x4444444444444444444444444444444444444444',
+    ARBITRUM_ROLE_ID: ROLE_ID,
+    ARBITRUM_COMPANION_ROLE_ID: ROLE_ID,
+    BERACHAIN_ROLE_ID: ROLE_ID
+};
+
+const originalEnv = process.env;
+
+function validate(overrides = {}) {
+    process.env = { ...VALID, ...overrides };
+    for (const [name, value] of Object.entries(overrides)) {
+        if (value === undefined) delete process.env[name];
+    }
+    return validateConfig(process.env);
+}
+
+afterEach(() => {
+    process.env = originalEnv;
+});
+
+describe('validateConfig', () => {
+    test('accepts a complete configuration without warnings', () => {
+        expect(validate()).toEqual({ isValid: true, errors: [], warnings: [] });
+    });
+
+    test.each([
+        ['DISCORD_TOKEN', undefined, 'DISCORD_TOKEN is required'],
+        ['GUILD_ID', undefined, 'GUILD_ID is required'],
+        ['GUILD_ID', 'my-server', 'GUILD_ID must be a valid Discord ID'],
+        ['CLIENT_ID', '42', 'CLIENT_ID must be a valid Discord ID'],
+        ['VERIFIED_ROLE_ID', undefined, 'VERIFIED_ROLE_ID is required'],
+        ['BOT_WALLET_ADDRESS', '0x123', 'BOT_WALLET_ADDRESS must be a valid wallet address'],
+        ['STAKING_CONTRACT_ADDRESS', 'staking', 'STAKING_CONTRACT_ADDRESS must be a valid contract address'],
+        ['PUBLIC_URL', 'verify.example.com', 'PUBLIC_URL must be an absolute http(s) URL'],
+        ['ARBITRUM_NFT_COLLECTION', '0xnope', 'ARBITRUM_NFT_COLLECTION must be a valid contract address (Schizo Sybils (Gen 1) on Arbitrum Mainnet)'],
+        ['BERACHAIN_ROLE_ID', 'bera', 'BERACHAIN_ROLE_ID must be a valid Discord role ID (Bera role)']
+    ])('%s=%s is an error', (name, value, error) => {
+        const result = validate({ [name]: value });
+
+        expect(result.isValid).toBe(false);
+        expect(result.errors).toEqual([error]);
+    });
+
+    test('needs a bot wallet only while bot transfers are a proof mode', () => {
+        expect(validate({ BOT_WALLET_ADDRESS: undefined }).errors)
+            .toEqual(['BOT_WALLET_ADDRESS is required for the bot_transfer proof mode (or remove bot_transfer from MONAD_PROOF_MODES)']);
+        expect(validate({ BOT_WALLET_ADDRESS: undefined, MONAD_PROOF_MODES: 'self_transfer,signature' }).isValid).toBe(true);
+    });
+
+    test('reports chains without a provider endpoint as errors', () => {
+        const { errors } = validate({ ALCHEMY_API_KEY: undefined });
+
+        expect(errors).toContain('Monad Testnet has no NFT provider endpoint: set ALCHEMY_API_KEY or ALCHEMY_FALLBACK_API_KEY');
+        expect(errors).toHaveLength(3);
+    });
+
+    test('reports settings the bot can run without as warnings', () => {
+        const result = validate({
+            PUBLIC_URL: undefined,
+            DATABASE_URL: undefined,
+            BERACHAIN_NFT_COLLECTION: undefined,
+            ARBITRUM_ROLE_ID: undefined
+        });
+
+        expect(result.isValid).toBe(true);
+        expect(result.warnings).toEqual([
+            'Neither SIWE_DOMAIN nor PUBLIC_URL is set: sign-in messages name "localhost" as the requesting site',
+            'DATABASE_URL is not set: verifications are stored in local JSON files',
+            'BERACHAIN_NFT_COLLECTION is not set: Super Schizos (Gen 2) on Berachain Mainnet is not checked',
+            'ARBITRUM_ROLE_ID is not set: Arbitrum role is never granted'
+        ]);
+    });
+
+    test('warns when the primary chain has no collection to check', () => {
+        const { warnings } = validate({ REQUIRED_NFT_COLLECTION: undefined });
+
+        expect(warnings).toContain('Monad Testnet has no collection address: any NFT counts towards verification');
+    });
+});
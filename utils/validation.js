@@ -2,6 +2,9 @@
  * Validation utilities for the Discord wallet verification bot
  */
 
+const { getChains, resolveProviderUrls, resolveCollection, getBalanceRequirements, getRoleId } = require('../verifiers/chain-registry');
+const { getRoleRules } = require('../verifiers/role-rules');
+
 /**
  * Validates if a string is a valid Ethereum wallet address
  * @param {string} address - The address to validate
@@ -74,20 +77,74 @@ function isValidOpenSeaUrl(url) {
 }
 
 /**
- * Validates environment configuration
- * @param {object} config - Configuration object
- * @returns {object} - Validation result with isValid and errors
+ * Checks if a URL is an absolute http(s) URL (e.g. PUBLIC_URL)
+ * @param {string} url - The URL to validate
+ * @returns {boolean} - True if valid
+ */
+function isValidPublicUrl(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Discord roles the configuration refers to, with where each one comes from
+ * @returns {Object[]} [{ label, envName, roleId }] (roleId is undefined when not set)
+ */
+function getConfiguredRoles() {
+    const roles = [];
+
+    for (const chain of getChains()) {
+        roles.push({ label: `${chain.shortName} role`, envName: chain.roleEnv || `${chain.id} roleId`, roleId: getRoleId(chain) });
+
+        for (const entry of chain.collections) {
+            const collection = resolveCollection(entry);
+            // Where a role is configured: its environment variable, or the registry entry itself
+            const source = (declared, name) => declared?.roleEnv || `${chain.id} ${name} roleId`;
+
+            if (entry.roleId || entry.roleEnv) {
+                roles.push({ label: `${collection.name} role`, envName: source(entry, collection.id), roleId: collection.roleId });
+            }
+            for (const tier of collection.tiers) {
+                const declared = entry.tiers.find(item => item.name === tier.name);
+                roles.push({ label: `${tier.name} tier role (${collection.name})`, envName: source(declared, `tier "${tier.name}"`), roleId: tier.roleId });
+            }
+            for (const traitRole of collection.traitRoles) {
+                const declared = entry.traitRoles.find(item => item.name === traitRole.name);
+                roles.push({ label: `${traitRole.name} trait role (${collection.name})`, envName: source(declared, `trait role "${traitRole.name}"`), roleId: traitRole.roleId });
+            }
+        }
+
+        getBalanceRequirements(chain).forEach((requirement, index) => {
+            const envName = chain.balanceRequirements[index].roleEnv || `${chain.id} balance requirement "${requirement.name}" roleId`;
+            roles.push({ label: `${requirement.name} balance role (${chain.shortName})`, envName: envName, roleId: requirement.roleId });
+        });
+    }
+
+    for (const rule of getRoleRules().filter(rule => rule.enabled)) {
+        roles.push({ label: `Rule "${rule.name}" role`, envName: `rule "${rule.name}" roleId/roleEnv`, roleId: rule.roleId });
+    }
+
+    return roles;
+}
+
+/**
+ * Validates the bot configuration: Discord settings, roles, bot wallet, collections,
+ * staking contracts and provider endpoints. Chain settings are read through the chain registry.
+ * @param {object} config - Environment variables (default: process.env)
+ * @returns {object} - Validation result with isValid, errors (the bot cannot run) and warnings
  */
-function validateConfig(config) {
+function validateConfig(config = process.env) {
     const errors = [];
+    const warnings = [];
     
     if (!config.DISCORD_TOKEN) {
         errors.push('DISCORD_TOKEN is required');
     }
     
-    if (!config.CLIENT_ID) {
-        errors.push('CLIENT_ID is required');
-    } else if (!isValidDiscordId(config.CLIENT_ID)) {
+    if (config.CLIENT_ID && !isValidDiscordId(config.CLIENT_ID)) {
         errors.push('CLIENT_ID must be a valid Discord ID');
     }
     
@@ -99,13 +156,90 @@ function validateConfig(config) {
     
     if (!config.VERIFIED_ROLE_ID) {
         errors.push('VERIFIED_ROLE_ID is required');
-    } else if (!isValidDiscordId(config.VERIFIED_ROLE_ID)) {
-        errors.push('VERIFIED_ROLE_ID must be a valid Discord ID');
+    }
+
+    // Bot wallet: required while bot transfers are an accepted proof
+    const proofModes = (config.MONAD_PROOF_MODES || 'bot_transfer,signature').split(',').map(mode => mode.trim().toLowerCase());
+    if (config.BOT_WALLET_ADDRESS && !isValidEthereumAddress(config.BOT_WALLET_ADDRESS)) {
+        errors.push('BOT_WALLET_ADDRESS must be a valid wallet address');
+    } else if (!config.BOT_WALLET_ADDRESS && proofModes.includes('bot_transfer')) {
+        errors.push('BOT_WALLET_ADDRESS is required for the bot_transfer proof mode (or remove bot_transfer from MONAD_PROOF_MODES)');
+    }
+
+    ['STAKING_CONTRACT_ADDRESS', 'STAKING_CONTRACT_ADDRESS_2'].forEach(name => {
+        if (config[name] && !isValidEthereumAddress(config[name])) {
+            errors.push(`${name} must be a valid contract address`);
+        }
+    });
+
+    if (config.PUBLIC_URL && !isValidPublicUrl(config.PUBLIC_URL)) {
+        errors.push('PUBLIC_URL must be an absolute http(s) URL');
+    }
+    if (proofModes.includes('signature') && !config.SIWE_DOMAIN && !config.PUBLIC_URL) {
+        warnings.push('Neither SIWE_DOMAIN nor PUBLIC_URL is set: sign-in messages name "localhost" as the requesting site');
+    }
+
+    if (!config.DATABASE_URL && !config.POSTGRES_URL) {
+        warnings.push('DATABASE_URL is not set: verifications are stored in local JSON files');
+    }
+
+    // Chain registry: provider endpoints, collections and balance requirements
+    let chains = [];
+    try {
+        chains = getChains();
+    } catch (error) {
+        errors.push(`Chain registry: ${error.message}`);
+    }
+
+    for (const chain of chains) {
+        if (resolveProviderUrls(chain).length === 0) {
+            const variables = [chain.provider.url, ...(chain.provider.urls || [])].filter(Boolean)
+                .flatMap(template => template.match(/\{(\w+)\}/g) || [])
+                .map(placeholder => placeholder.slice(1, -1));
+            errors.push(`${chain.name} has no NFT provider endpoint: set ${[...new Set(variables)].join(' or ') || 'provider.url'}`);
+        }
+
+        try {
+            const collections = chain.collections.map(resolveCollection);
+            collections.forEach((collection, index) => {
+                const source = chain.collections[index].addressEnv || `${chain.id}.${collection.id}.address`;
+                if (collection.address && !isValidEthereumAddress(collection.address)) {
+                    errors.push(`${source} must be a valid contract address (${collection.name} on ${chain.name})`);
+                } else if (!collection.address) {
+                    warnings.push(`${source} is not set: ${collection.name} on ${chain.name} is not checked`);
+                }
+            });
+            if (chain.primary && !collections.some(collection => collection.address)) {
+                warnings.push(`${chain.name} has no collection address: any NFT counts towards verification`);
+            }
+
+            for (const requirement of getBalanceRequirements(chain)) {
+                if (requirement.type === 'erc20' && !isValidEthereumAddress(requirement.address || '')) {
+                    errors.push(`${chain.name} balance requirement "${requirement.name}" needs a valid token address`);
+                }
+            }
+        } catch (error) {
+            errors.push(`${chain.name}: ${error.message}`);
+        }
+    }
+
+    // Every role that is set must be a Discord ID; chain roles that are not set are never granted
+    try {
+        for (const role of getConfiguredRoles()) {
+            if (role.roleId && !isValidDiscordId(role.roleId)) {
+                errors.push(`${role.envName} must be a valid Discord role ID (${role.label})`);
+            } else if (!role.roleId && role.envName !== 'VERIFIED_ROLE_ID') {
+                warnings.push(`${role.envName} is not set: ${role.label} is never granted`);
+            }
+        }
+    } catch (error) {
+        errors.push(`Roles: ${error.message}`);
     }
     
     return {
         isValid: errors.length === 0,
-        errors
+        errors,
+        warnings
     };
 }
 
@@ -115,5 +249,6 @@ module.exports = {
     isValidVerificationCode,
     sanitizeInput,
     isValidOpenSeaUrl,
+    getConfiguredRoles,
     validateConfig
 }; 
\ No newline at end of file
@@ -0,0 +1,106 @@
+const { Interface, parseUnits, formatUnits } = require('ethers');
+
+const erc20Interface = new Interface([
+    'function balanceOf(address owner) view returns (uint256)',
+    'function decimals() view returns (uint8)'
+]);
+
+const NATIVE_DECIMALS = 18;
+
+/**
+ * Checks ERC-20 and native-coin balance requirements for a chain
+ */
+class BalanceRequirementChecker {
+    /**
+     * @param {RpcClient} rpcClient - JSON-RPC client of the chain
+     * @param {Object[]} requirements - Resolved balance requirements from the chain registry
+     * @param {string} nativeCurrency - Native coin symbol for display (e.g. MON)
+     */
+    constructor(rpcClient, requirements, nativeCurrency) {
+        this.rpcClient = rpcClient;
+        this.requirements = requirements;
+        this.nativeCurrency = nativeCurrency || 'native';
+        this.decimalsCache = new Map(); // token -> decimals
+    }
+
+    async rpc(method, params) {
+        const result = await this.rpcClient.call(method, params);
+        if (!result || result === '0x') {
+            throw new Error(`${method} returned no data`);
+        }
+        return result;
+    }
+
+    async callToken(tokenAddress, functionName, args) {
+        const result = await this.rpc('eth_call', [{
+            to: tokenAddress,
+            data: erc20Interface.encodeFunctionData(functionName, args)
+        }, "latest"]);
+        return erc20Interface.decodeFunctionResult(functionName, result)[0];
+    }
+
+    /**
+     * Token decimals from the requirement, or read once from the contract
+     */
+    async getDecimals(requirement) {
+        if (requirement.type === 'native') return NATIVE_DECIMALS;
+        if (requirement.decimals !== undefined) return requirement.decimals;
+
+        const key = requirement.address.toLowerCase();
+        if (!this.decimalsCache.has(key)) {
+            this.decimalsCache.set(key, Number(await this.callToken(requirement.address, 'decimals', [])));
+        }
+        return this.decimalsCache.get(key);
+    }
+
+    /**
+     * Raw balance of one wallet in the smallest unit
+     */
+    async getBalance(requirement, walletAddress) {
+        if (requirement.type === 'native') {
+            return BigInt(await this.rpc('eth_getBalance', [walletAddress, "latest"]));
+        }
+        return await this.callToken(requirement.address, 'balanceOf', [walletAddress]);
+    }
+
+    /**
+     * Evaluate every requirement, summing balances across the given wallets
+     * @param {string[]} walletAddresses - Verified wallets
+     * @returns {Promise<Object[]>} [{ name, type, token, symbol, balance, minBalance, roleId, verified, error? }]
+     */
+    async evaluate(walletAddresses) {
+        return await Promise.all(this.requirements.map(requirement => this.evaluateRequirement(requirement, walletAddresses)));
+    }
+
+    async evaluateRequirement(requirement, walletAddresses) {
+        const symbol = requirement.symbol || (requirement.type === 'native' ? this.nativeCurrency : 'tokens');
+        const base = {
+            name: requirement.name,
+            type: requirement.type,
+            token: requirement.type === 'native' ? 'native' : requirement.address,
+            symbol: symbol,
+            minBalance: requirement.minBalance,
+            roleId: requirement.roleId
+        };
+
+        try {
+            const [decimals, balances] = await Promise.all([
+                this.getDecimals(requirement),
+                Promise.all(walletAddresses.map(walletAddress => this.getBalance(requirement, walletAddress)))
+            ]);
+            const total = balances.reduce((sum, balance) => sum + balance, 0n);
+
+            return {
+                ...base,
+                balance: formatUnits(total, decimals),
+                verified: total >= parseUnits(requirement.minBalance, decimals)
+            };
+        } catch (error) {
+            console.error(`Error checking balance requirement "${requirement.name}":`, error.message);
+            // Unknown balances are not evaluated, so existing roles are left alone
+            return { ...base, error: error.message, verified: null };
+        }
+    }
+}
+
+module.exports = BalanceRequirementChecker;
@@ -1,24 +1,359 @@
 // Shared verification utilities
+const crypto = require('crypto');
 
-// Generate verification amount (random between 0.00000001 and 0.0000001 MON)
-function generateVerificationAmount() {
-    const min = 0.00000001; // 0.01 gwei
-    const max = 0.0000001;  // 0.1 gwei
-    const randomAmount = min + (Math.random() * (max - min));
-    return Number(randomAmount.toFixed(10)); // 10 decimal places precision for smaller amounts
+const WEI_DECIMALS = 18;
+const WEI_PER_MON = 10n ** BigInt(WEI_DECIMALS);
+
+// Verification amounts are whole multiples of this step (12 decimal places of MON)
+const AMOUNT_STEP_WEI = 10n ** 6n;
+const MIN_AMOUNT_STEPS = 10000;  // 0.00000001 MON (0.01 gwei)
+const MAX_AMOUNT_STEPS = 100000; // 0.0000001 MON (0.1 gwei)
+
+/**
+ * Generate a verification amount in wei that no other open challenge uses
+ * @param {string[]} openAmountsWei - Wei amounts of currently open challenges
+ * @returns {string} Amount in wei as an integer string
+ */
+function generateVerificationAmountWei(openAmountsWei = []) {
+    const taken = new Set(openAmountsWei.filter(Boolean).map(amount => BigInt(amount).toString()));
+
+    if (taken.size >= MAX_AMOUNT_STEPS - MIN_AMOUNT_STEPS + 1) {
+        throw new Error('No unused verification amounts available');
+    }
+
+    let amountWei;
+    do {
+        const steps = crypto.randomInt(MIN_AMOUNT_STEPS, MAX_AMOUNT_STEPS + 1);
+        amountWei = (BigInt(steps) * AMOUNT_STEP_WEI).toString();
+    } while (taken.has(amountWei));
+
+    return amountWei;
 }
 
-// Format amount for display (prevents scientific notation)
-function formatAmountForDisplay(amount) {
-    if (typeof amount !== 'number' || isNaN(amount)) {
-        return 'Unknown';
+/**
+ * Generate a one-time verification code to send as transaction input data
+ * @param {string} prefix - Code prefix (default: 'Schizo')
+ * @returns {string} Code like "Schizo-7KQ2M9XA4TZC" (passes isValidVerificationCode)
+ */
+function generateVerificationCode(prefix = 'Schizo') {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    let code = '';
+    for (let i = 0; i < 12; i++) {
+        code += chars[crypto.randomInt(chars.length)];
     }
-    return amount.toFixed(10).replace(/\.?0+$/, ''); // Remove trailing zeros
+    return `${prefix}-${code}`;
+}
+
+/**
+ * Hex-encode a verification code for use as transaction input data
+ * @param {string} code - Verification code
+ * @returns {string} 0x-prefixed UTF-8 hex
+ */
+function encodeVerificationCode(code) {
+    return '0x' + Buffer.from(code, 'utf8').toString('hex');
+}
+
+/**
+ * Convert a wei amount to an exact decimal MON string
+ * @param {string|bigint} amountWei - Amount in wei
+ * @returns {string} Decimal amount without trailing zeros (e.g. "0.000000012345")
+ */
+function weiToEth(amountWei) {
+    const wei = BigInt(amountWei);
+    const whole = wei / WEI_PER_MON;
+    const fraction = (wei % WEI_PER_MON).toString().padStart(WEI_DECIMALS, '0').replace(/0+$/, '');
+    return fraction ? `${whole}.${fraction}` : whole.toString();
+}
+
+/**
+ * Normalize one or more wallet addresses into a de-duplicated list
+ * @param {string|string[]} walletAddresses - Wallet address or linked wallet addresses
+ * @returns {string[]} Unique addresses in their original order
+ */
+function toWalletList(walletAddresses) {
+    const seen = new Set();
+    return [].concat(walletAddresses).filter(address => {
+        if (!address || seen.has(address.toLowerCase())) return false;
+        seen.add(address.toLowerCase());
+        return true;
+    });
+}
+
+/**
+ * Embed field showing the wallet(s) a verification result covers
+ * @param {Object} result - Verification result with walletAddress and optional walletAddresses/walletBreakdown
+ * @returns {Object} Discord embed field
+ */
+function formatWalletField(result) {
+    const wallets = result.walletAddresses || [result.walletAddress];
+    if (wallets.length <= 1 && !result.delegatedVaults?.length) {
+        return { name: 'Wallet Address', value: `\`${result.walletAddress}\``, inline: false };
+    }
+
+    const counts = new Map((result.walletBreakdown || []).map(entry => [entry.walletAddress.toLowerCase(), entry.nftCount]));
+    return {
+        name: `Linked Wallets (${wallets.length})`,
+        value: wallets.map(wallet => {
+            const count = counts.get(wallet.toLowerCase());
+            return count !== undefined ? `\`${wallet}\` — ${count} NFT(s)` : `\`${wallet}\``;
+        }).join('\n'),
+        inline: false
+    };
+}
+
+/**
+ * Embed fields showing holdings that came from delegated vaults
+ * @param {Object} result - Verification result with optional walletBreakdown entries marked delegatedTo
+ * @returns {Object[]} Zero or one Discord embed field
+ */
+function formatDelegationFields(result) {
+    const vaults = (result.walletBreakdown || []).filter(entry => entry.delegatedTo);
+    if (vaults.length === 0) return [];
+
+    return [{
+        name: `Delegated Vaults (${vaults.length})`,
+        value: vaults.map(entry =>
+            `\`${entry.walletAddress}\` → \`${entry.delegatedTo}\` — ${entry.nftCount} NFT(s)`
+        ).join('\n'),
+        inline: false
+    }];
+}
+
+/**
+ * Number of tokens an owned NFT entry represents (ERC-1155 entries carry a balance)
+ * @param {Object} nft - NFT in getNFTsForOwner shape
+ * @returns {number} Balance (1 for ERC-721)
+ */
+function getTokenBalance(nft) {
+    return nft.balance !== undefined && nft.balance !== null ? Number(nft.balance) : 1;
+}
+
+/**
+ * Whether a token id is named by a collection's tokenIds / tokenIdRanges (no filter = any id)
+ * @param {string|null} tokenId - Token id
+ * @param {Object} collection - Resolved collection from the chain registry
+ * @returns {boolean}
+ */
+function matchesTokenFilter(tokenId, collection) {
+    if (collection.tokenIds.length === 0 && collection.tokenIdRanges.length === 0) return true;
+    if (tokenId === null || tokenId === undefined) return false;
+
+    const id = BigInt(tokenId);
+    return collection.tokenIds.some(listed => BigInt(listed) === id) ||
+        collection.tokenIdRanges.some(range => id >= BigInt(range.from) && id <= BigInt(range.to));
+}
+
+/**
+ * Keep the NFTs that satisfy a collection requirement: contract, token ids / ranges and minimum balance per id
+ * @param {Object[]} nfts - Owned NFTs in getNFTsForOwner shape
+ * @param {Object} collection - Resolved collection from the chain registry
+ * @returns {Object[]} Matching NFTs
+ */
+function filterCollectionNFTs(nfts, collection) {
+    return nfts.filter(nft =>
+        nft.contract.address.toLowerCase() === collection.address.toLowerCase() &&
+        matchesTokenFilter(nft.tokenId, collection) &&
+        getTokenBalance(nft) >= collection.minBalancePerToken
+    );
+}
+
+/**
+ * Keep the NFTs that satisfy any of a chain's collection requirements (all NFTs when there are none)
+ * @param {Object[]} nfts - Owned NFTs in getNFTsForOwner shape
+ * @param {Object[]} collections - Resolved collections from the chain registry
+ * @returns {Object[]} Matching NFTs, each listed once
+ */
+function filterRequiredNFTs(nfts, collections) {
+    if (collections.length === 0) return nfts;
+    return nfts.filter(nft => collections.some(collection => filterCollectionNFTs([nft], collection).length > 0));
+}
+
+/**
+ * Evaluate each collection requirement of a chain on its own threshold
+ * @param {Object[]} nfts - Owned NFTs in getNFTsForOwner shape
+ * @param {Object[]} collections - Resolved collections from the chain registry
+ * @returns {Object[]} [{ id, name, address, roleId, heldCount, minCount, verified }]
+ */
+function evaluateCollections(nfts, collections) {
+    return collections.map(collection => {
+        const heldCount = countHoldings(filterCollectionNFTs(nfts, collection));
+        return {
+            id: collection.id,
+            name: collection.name,
+            address: collection.address,
+            roleId: collection.roleId,
+            heldCount: heldCount,
+            minCount: collection.minCount,
+            verified: heldCount >= collection.minCount
+        };
+    });
+}
+
+/**
+ * Evaluate holder tiers: only the highest tier each collection reaches is verified,
+ * so lower and higher tier roles are removed
+ * @param {Object[]} collectionResults - Results from evaluateCollections (held counts may include staked NFTs)
+ * @param {Object[]} collections - Resolved collections from the chain registry, in the same order
+ * @returns {Object[]} [{ name, collection, roleId, heldCount, minCount, verified }]
+ */
+function evaluateTierRoles(collectionResults, collections) {
+    return collections.flatMap((collection, index) => {
+        const heldCount = collectionResults[index]?.heldCount || 0;
+        const reached = collection.tiers.filter(tier => heldCount >= tier.minCount).pop();
+
+        return collection.tiers.map(tier => ({
+            name: tier.name,
+            collection: collection.name,
+            roleId: tier.roleId,
+            heldCount: heldCount,
+            minCount: tier.minCount,
+            verified: tier === reached
+        }));
+    });
+}
+
+/**
+ * Total tokens held across NFT entries (ERC-1155 quantities, not distinct entries)
+ * @param {Object[]} nfts - NFTs in getNFTsForOwner shape
+ * @returns {number} Token count
+ */
+function countHoldings(nfts) {
+    return nfts.reduce((sum, nft) => sum + getTokenBalance(nft), 0);
+}
+
+/**
+ * Metadata attributes of an NFT (Alchemy v3 raw metadata or v2 metadata)
+ * @param {Object} nft - NFT in getNFTsForOwner shape
+ * @returns {Object[]} [{ trait_type, value }]
+ */
+function getNFTAttributes(nft) {
+    const attributes = nft.raw?.metadata?.attributes || nft.metadata?.attributes || [];
+    return Array.isArray(attributes) ? attributes : [];
+}
+
+/**
+ * Whether an NFT has every trait of a requirement (values compared case-insensitively, arrays = any of)
+ * @param {Object} nft - NFT in getNFTsForOwner shape
+ * @param {Object} traits - e.g. { "Background": "Gold" } or { "Rarity": ["1/1", "Legendary"] }
+ * @returns {boolean}
+ */
+function matchesTraits(nft, traits) {
+    const attributes = getNFTAttributes(nft);
+    return Object.entries(traits).every(([traitType, expected]) => {
+        const accepted = [].concat(expected).map(value => String(value).toLowerCase());
+        return attributes.some(attribute =>
+            String(attribute.trait_type).toLowerCase() === traitType.toLowerCase() &&
+            accepted.includes(String(attribute.value).toLowerCase())
+        );
+    });
+}
+
+/**
+ * Evaluate a collection's trait-gated roles against the NFTs that satisfy it
+ * @param {Object[]} nfts - Matching collection NFTs
+ * @param {Object} collection - Resolved collection from the chain registry
+ * @returns {Object[]} [{ name, roleId, matchedCount, minCount, verified }]
+ */
+function evaluateTraitRoles(nfts, collection) {
+    return (collection?.traitRoles || []).map(traitRole => {
+        const matchedCount = countHoldings(nfts.filter(nft => matchesTraits(nft, traitRole.traits)));
+        return {
+            name: traitRole.name,
+            roleId: traitRole.roleId,
+            matchedCount: matchedCount,
+            minCount: traitRole.minCount,
+            verified: matchedCount >= traitRole.minCount
+        };
+    });
 }
 
-// Convert ETH amount to Wei (for blockchain queries)
-function ethToWei(ethAmount) {
-    return Math.floor(ethAmount * 1e18).toString();
+/**
+ * Embed fields listing each collection requirement and whether it was met (only for multi-collection chains)
+ * @param {Object} result - Verification result with optional collections
+ * @returns {Object[]} Zero or one Discord embed field
+ */
+function formatCollectionFields(result) {
+    if (!result.collections || result.collections.length < 2) return [];
+
+    return [{
+        name: 'Collections',
+        value: result.collections.map(collection =>
+            `${collection.verified ? '✅' : '❌'} ${collection.name || collection.address} (${collection.heldCount}/${collection.minCount})`
+        ).join('\n'),
+        inline: false
+    }];
+}
+
+/**
+ * Embed fields showing the holder tier reached in each collection with tiers
+ * @param {Object} result - Verification result with optional tierRoles
+ * @returns {Object[]} Zero or one Discord embed field
+ */
+function formatTierRoleFields(result) {
+    if (!result.tierRoles?.length) return [];
+
+    const collections = [...new Set(result.tierRoles.map(tier => tier.collection))];
+    return [{
+        name: 'Holder Tier',
+        value: collections.map(collection => {
+            const tiers = result.tierRoles.filter(tier => tier.collection === collection);
+            const reached = tiers.find(tier => tier.verified);
+            const next = tiers.find(tier => tier.minCount > tiers[0].heldCount);
+            const nextInfo = next ? `, next: ${next.name} at ${next.minCount}` : '';
+            return `🏆 ${collection}: ${reached ? reached.name : 'No tier'} (${tiers[0].heldCount} NFTs${nextInfo})`;
+        }).join('\n'),
+        inline: false
+    }];
+}
+
+/**
+ * Embed fields listing trait-gated roles and whether they were earned
+ * @param {Object} result - Verification result with optional traitRoles
+ * @returns {Object[]} Zero or one Discord embed field
+ */
+function formatTraitRoleFields(result) {
+    if (!result.traitRoles?.length) return [];
+
+    return [{
+        name: 'Trait Roles',
+        value: result.traitRoles.map(traitRole =>
+            `${traitRole.verified ? '✅' : '❌'} ${traitRole.name} (${traitRole.matchedCount}/${traitRole.minCount})`
+        ).join('\n'),
+        inline: false
+    }];
+}
+
+/**
+ * Embed fields listing balance-gated roles and whether they were earned
+ * @param {Object} result - Verification result with optional balanceRoles
+ * @returns {Object[]} Zero or one Discord embed field
+ */
+function formatBalanceRoleFields(result) {
+    if (!result.balanceRoles?.length) return [];
+
+    return [{
+        name: 'Balance Roles',
+        value: result.balanceRoles.map(balanceRole => balanceRole.verified === null
+            ? `⚠️ ${balanceRole.name} (balance unavailable)`
+            : `${balanceRole.verified ? '✅' : '❌'} ${balanceRole.name} (${balanceRole.balance} / ${balanceRole.minBalance} ${balanceRole.symbol})`
+        ).join('\n'),
+        inline: false
+    }];
+}
+
+/**
+ * Embed field warning that NFT enumeration stopped at its configured bound
+ * @param {Object} result - Verification result with optional truncated flag
+ * @returns {Object[]} Zero or one Discord embed field
+ */
+function formatTruncationFields(result) {
+    if (!result.truncated) return [];
+
+    return [{
+        name: '⚠️ Partial Results',
+        value: 'Not every NFT could be listed (page limit or timeout reached), so counts and token rules may be incomplete.',
+        inline: false
+    }];
 }
 
 // Validate Ethereum address format
@@ -27,8 +362,25 @@ function isValidEthereumAddress(address) {
 }
 
 module.exports = {
-    generateVerificationAmount,
-    formatAmountForDisplay,
-    ethToWei,
+    generateVerificationAmountWei,
+    generateVerificationCode,
+    encodeVerificationCode,
+    weiToEth,
+    toWalletList,
+    formatWalletField,
+    formatDelegationFields,
+    getTokenBalance,
+    filterCollectionNFTs,
+    filterRequiredNFTs,
+    countHoldings,
+    evaluateCollections,
+    evaluateTierRoles,
+    getNFTAttributes,
+    evaluateTraitRoles,
+    formatCollectionFields,
+    formatTierRoleFields,
+    formatTraitRoleFields,
+    formatBalanceRoleFields,
+    formatTruncationFields,
     isValidEthereumAddress
-}; 
\ No newline at end of file
+};
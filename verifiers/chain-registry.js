@@ -0,0 +1,299 @@
+const fs = require('fs');
+const path = require('path');
+const { getEndpointPool } = require('./endpoint-pool');
+const { getRpcClient } = require('./rpc-client');
+
+// Chain registry - every supported chain is declared in config/chains.json (override with CHAIN_REGISTRY_PATH)
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'chains.json');
+
+// Token standards a collection requirement can declare
+const TOKEN_STANDARDS = ['erc721', 'erc1155'];
+
+// Balance requirement types: ERC-20 balanceOf or the chain's native coin
+const BALANCE_TYPES = ['erc20', 'native'];
+
+// Upper bound for token ids listed explicitly or through ranges (each one is an RPC lookup)
+const MAX_EXPANDED_TOKEN_IDS = 1000;
+
+let cachedChains = null;
+
+/**
+ * Resolve the Alchemy API key (the .env example placeholder counts as not set)
+ * @returns {string|undefined} API key
+ */
+function getAlchemyApiKey() {
+    const apiKey = process.env.ALCHEMY_API_KEY;
+    return apiKey && apiKey !== 'your_alchemy_api_key_here' ? apiKey : undefined;
+}
+
+/**
+ * Load and normalize the chain registry (cached after the first call)
+ * @returns {Object[]} Chains in registry order
+ */
+function getChains() {
+    if (cachedChains) return cachedChains;
+
+    const registryPath = process.env.CHAIN_REGISTRY_PATH || DEFAULT_REGISTRY_PATH;
+    const registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+
+    cachedChains = (registry.chains || []).map(chain => {
+        if (!chain.id || !chain.name || !(chain.provider?.url || chain.provider?.urls?.length)) {
+            throw new Error(`Invalid chain in ${registryPath}: id, name and provider.url (or provider.urls) are required`);
+        }
+
+        return {
+            ...chain,
+            shortName: chain.shortName || chain.name,
+            emoji: chain.emoji || '🔗',
+            color: chain.color || '#9900ff',
+            aliases: chain.aliases || [],
+            primary: !!chain.primary,
+            collections: chain.collections || []
+        };
+    });
+
+    return cachedChains;
+}
+
+/**
+ * Find a chain by id or alias
+ * @param {string} id - Chain id or alias (e.g. 'bera')
+ * @returns {Object|null} Chain or null if unknown
+ */
+function getChain(id) {
+    return getChains().find(chain => chain.id === id || chain.aliases.includes(id)) || null;
+}
+
+/**
+ * The chain users must verify on first (wallet ownership is proven there)
+ * @returns {Object|null} Primary chain
+ */
+function getPrimaryChain() {
+    return getChains().find(chain => chain.primary) || null;
+}
+
+/**
+ * Chains verified with the user's already-proven wallets
+ * @returns {Object[]} Non-primary chains
+ */
+function getSecondaryChains() {
+    return getChains().filter(chain => !chain.primary);
+}
+
+/**
+ * All network names a chain's verifications may be stored under
+ * @param {Object} chain - Chain from the registry
+ * @returns {string[]} Chain id followed by its aliases
+ */
+function getNetworkIds(chain) {
+    return [chain.id, ...chain.aliases];
+}
+
+/**
+ * Fill {ENV_VAR} placeholders from the environment
+ * @param {string} template - URL with placeholders
+ * @returns {string|null} URL, or null when a placeholder variable is not set
+ */
+function resolveUrlTemplate(template) {
+    let missing = false;
+    const url = template.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = name === 'ALCHEMY_API_KEY' ? getAlchemyApiKey() : process.env[name];
+        if (!value) missing = true;
+        return value || '';
+    });
+    return missing ? null : url;
+}
+
+/**
+ * NFT provider endpoints in order of preference (provider.url, then provider.urls);
+ * entries whose placeholder variables are not set are skipped
+ * @param {Object} chain - Chain from the registry
+ * @returns {string[]} Provider endpoints
+ */
+function resolveProviderUrls(chain) {
+    const templates = [chain.provider.url, ...(chain.provider.urls || [])].filter(Boolean);
+    return [...new Set(templates.map(resolveUrlTemplate).filter(Boolean))];
+}
+
+/**
+ * Main provider endpoint (first configured one)
+ * @param {Object} chain - Chain from the registry
+ * @returns {string} Provider endpoint
+ */
+function resolveProviderUrl(chain) {
+    return resolveProviderUrls(chain)[0] || '';
+}
+
+/**
+ * Endpoints for the chain's NFT provider, with retries and failover
+ * @param {Object} chain - Chain from the registry
+ * @returns {EndpointPool}
+ */
+function getNFTEndpointPool(chain) {
+    return getEndpointPool(`${chain.id}:nft`, resolveProviderUrls(chain));
+}
+
+/**
+ * Endpoints for plain JSON-RPC calls: the provider endpoints, then the chain's rpcUrls
+ * @param {Object} chain - Chain from the registry
+ * @returns {EndpointPool}
+ */
+function getRPCEndpointPool(chain) {
+    const rpcUrls = (chain.rpcUrls || []).map(resolveUrlTemplate).filter(Boolean);
+    return getEndpointPool(`${chain.id}:rpc`, [...new Set([...resolveProviderUrls(chain), ...rpcUrls])]);
+}
+
+/**
+ * Shared batching and caching JSON-RPC client for the chain
+ * @param {Object} chain - Chain from the registry
+ * @returns {RpcClient}
+ */
+function getRPCClient(chain) {
+    return getRpcClient(getRPCEndpointPool(chain));
+}
+
+/**
+ * Resolve a collection requirement
+ * @param {Object} collection - Collection entry from the registry
+ * @returns {Object} { id, name, address, minCount, roleId, standard, tokenIds, tokenIdRanges, minBalancePerToken, traitRoles, tiers }
+ */
+function resolveCollection(collection) {
+    const standard = (collection.standard || 'erc721').toLowerCase();
+    if (!TOKEN_STANDARDS.includes(standard)) {
+        throw new Error(`Unsupported token standard "${collection.standard}" for collection ${collection.name}`);
+    }
+
+    return {
+        // Referenced in role rules as chain.id (defaults to the name in snake_case)
+        id: (collection.id || collection.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, ''),
+        name: collection.name,
+        address: collection.address || (collection.addressEnv && process.env[collection.addressEnv]) || undefined,
+        minCount: parseInt(collection.minCountEnv && process.env[collection.minCountEnv]) || collection.minCount || 1,
+        roleId: collection.roleId || (collection.roleEnv && process.env[collection.roleEnv]) || undefined,
+        standard: standard,
+        tokenIds: (collection.tokenIds || []).map(String),
+        tokenIdRanges: (collection.tokenIdRanges || []).map(range => ({ from: String(range.from), to: String(range.to) })),
+        minBalancePerToken: collection.minBalancePerToken || 1,
+        traitRoles: (collection.traitRoles || []).map(traitRole => ({
+            name: traitRole.name,
+            traits: traitRole.traits || {},
+            minCount: traitRole.minCount || 1,
+            roleId: traitRole.roleId || (traitRole.roleEnv && process.env[traitRole.roleEnv]) || undefined
+        })),
+        // Holder tiers, lowest first; only the highest tier reached is granted
+        tiers: (collection.tiers || []).map(tier => ({
+            name: tier.name,
+            minCount: parseInt(tier.minCountEnv && process.env[tier.minCountEnv]) || tier.minCount || 1,
+            roleId: tier.roleId || (tier.roleEnv && process.env[tier.roleEnv]) || undefined
+        })).sort((a, b) => a.minCount - b.minCount)
+    };
+}
+
+/**
+ * Collection requirements of a chain that have a contract address configured
+ * @param {Object} chain - Chain from the registry
+ * @returns {Object[]} Resolved collections in registry order
+ */
+function getCollections(chain) {
+    return chain.collections.map(resolveCollection).filter(collection => collection.address);
+}
+
+/**
+ * Trait-gated roles declared on any of a chain's collections
+ * @param {Object} chain - Chain from the registry
+ * @returns {Object[]} Resolved trait roles ({ name, traits, minCount, roleId })
+ */
+function getTraitRoles(chain) {
+    return chain.collections.flatMap(collection => resolveCollection(collection).traitRoles);
+}
+
+/**
+ * Holder tiers declared on any of a chain's collections
+ * @param {Object} chain - Chain from the registry
+ * @returns {Object[]} Resolved tiers ({ name, minCount, roleId })
+ */
+function getTierRoles(chain) {
+    return chain.collections.flatMap(collection => resolveCollection(collection).tiers);
+}
+
+/**
+ * All token ids a collection requirement names, with ranges expanded
+ * @param {Object} collection - Resolved collection
+ * @returns {string[]} Token ids (empty when the requirement has no token filter)
+ */
+function expandTokenIds(collection) {
+    const tokenIds = new Set(collection.tokenIds);
+    for (const range of collection.tokenIdRanges) {
+        for (let id = BigInt(range.from); id <= BigInt(range.to); id++) {
+            tokenIds.add(id.toString());
+            if (tokenIds.size > MAX_EXPANDED_TOKEN_IDS) {
+                throw new Error(`Collection ${collection.name} lists more than ${MAX_EXPANDED_TOKEN_IDS} token ids`);
+            }
+        }
+    }
+    return [...tokenIds];
+}
+
+/**
+ * ERC-20 and native-coin balance requirements of a chain, each granting its own role
+ * @param {Object} chain - Chain from the registry
+ * @returns {Object[]} [{ name, type, address, symbol, decimals, minBalance, roleId }] (minBalance in whole tokens)
+ */
+function getBalanceRequirements(chain) {
+    return (chain.balanceRequirements || []).map(requirement => {
+        const type = (requirement.type || 'erc20').toLowerCase();
+        if (!BALANCE_TYPES.includes(type)) {
+            throw new Error(`Unsupported balance requirement type "${requirement.type}" for ${requirement.name}`);
+        }
+
+        return {
+            name: requirement.name,
+            type: type,
+            address: requirement.address || (requirement.addressEnv && process.env[requirement.addressEnv]) || undefined,
+            symbol: requirement.symbol,
+            decimals: requirement.decimals,
+            minBalance: String((requirement.minBalanceEnv && process.env[requirement.minBalanceEnv]) || requirement.minBalance || '0'),
+            roleId: requirement.roleId || (requirement.roleEnv && process.env[requirement.roleEnv]) || undefined
+        };
+    });
+}
+
+/**
+ * Discord role granted for a chain
+ * @param {Object} chain - Chain from the registry
+ * @returns {string|undefined} Role id
+ */
+function getRoleId(chain) {
+    return chain.roleId || (chain.roleEnv && process.env[chain.roleEnv]) || undefined;
+}
+
+/**
+ * Embed colour as a number
+ * @param {Object} chain - Chain from the registry
+ * @returns {number} Colour value
+ */
+function getColorValue(chain) {
+    return parseInt(chain.color.replace('#', ''), 16);
+}
+
+module.exports = {
+    getAlchemyApiKey,
+    getChains,
+    getChain,
+    getPrimaryChain,
+    getSecondaryChains,
+    getNetworkIds,
+    resolveProviderUrl,
+    resolveProviderUrls,
+    getNFTEndpointPool,
+    getRPCEndpointPool,
+    getRPCClient,
+    resolveCollection,
+    expandTokenIds,
+    getCollections,
+    getRoleId,
+    getTraitRoles,
+    getTierRoles,
+    getBalanceRequirements,
+    getColorValue
+};
@@ -0,0 +1,323 @@
+const { toWalletList, formatWalletField, formatDelegationFields, filterCollectionNFTs, filterRequiredNFTs, countHoldings, evaluateCollections, evaluateTierRoles, getTokenBalance, getNFTAttributes, evaluateTraitRoles, formatCollectionFields, formatTierRoleFields, formatTraitRoleFields, formatBalanceRoleFields, formatTruncationFields } = require('./base-verifier');
+const DelegateRegistry = require('./delegate-registry');
+const { getAlchemyApiKey, resolveProviderUrl, getNFTEndpointPool, getRPCEndpointPool, getRPCClient, resolveCollection, expandTokenIds, getCollections, getBalanceRequirements, getRoleId, getColorValue } = require('./chain-registry');
+const { createNFTProvider } = require('./nft-providers');
+const BalanceRequirementChecker = require('./balance-requirements');
+
+// Generic NFT verifier for any chain declared in the chain registry
+class ChainNFTVerifier {
+    /**
+     * @param {Object} chain - Chain from the chain registry
+     */
+    constructor(chain) {
+        this.chain = chain;
+        this.apiKey = getAlchemyApiKey();
+        this.baseUrl = resolveProviderUrl(chain);
+        this.rpcPool = getRPCEndpointPool(chain);
+        this.rpc = getRPCClient(chain);
+        this.nftProvider = createNFTProvider(chain, getNFTEndpointPool(chain));
+
+        // Collection requirements: each with its own threshold, optional role, token standard,
+        // token ids / ranges and minimum balance per id. The first one is the chain's main collection.
+        this.collections = getCollections(chain).map(collection => ({ ...collection, expandedTokenIds: expandTokenIds(collection) }));
+        this.collection = this.collections[0] || null;
+        this.requiredCollection = this.collection?.address;
+        this.collectionName = this.collection?.name;
+        this.minNftCount = (this.collection || (chain.collections[0] && resolveCollection(chain.collections[0])))?.minCount || 1;
+        
+        console.log(`🔗 ${chain.shortName} NFT Verifier initialized`);
+        console.log(`📍 Network: ${chain.name}`);
+        console.log(`🔌 NFT Provider: ${this.nftProvider.type} (${this.nftProvider.pool.urls.length} endpoint(s), ${this.rpcPool.urls.length} for JSON-RPC)`);
+        console.log('🎨 Required Collections:', this.collections.length > 0 ? this.collections.map(collection => `${collection.name} (${collection.address})`).join(', ') : 'Any collection');
+        console.log('📊 Min NFTs Required:', this.minNftCount);
+
+        // ERC-20 / native balance requirements, each granting its own role alongside the NFT check
+        const balanceRequirements = getBalanceRequirements(chain).filter(requirement => {
+            if (requirement.type === 'erc20' && !requirement.address) {
+                console.warn(`⚠️ Balance requirement "${requirement.name}" skipped: no token address configured`);
+                return false;
+            }
+            return true;
+        });
+        this.balanceChecker = balanceRequirements.length > 0
+            ? new BalanceRequirementChecker(this.rpc, balanceRequirements, chain.nativeCurrency)
+            : null;
+        console.log('💰 Balance Requirements:', balanceRequirements.length > 0 ? balanceRequirements.map(requirement => requirement.name).join(', ') : 'None');
+
+        // Count NFTs held by cold wallets that delegated to the verified wallet
+        this.delegateRegistry = chain.envPrefix && DelegateRegistry.isEnabledFor(chain.envPrefix) ? new DelegateRegistry(this.rpc) : null;
+        console.log('🧊 Delegated Vaults:', this.delegateRegistry ? `Enabled (${this.delegateRegistry.registryAddress})` : 'Disabled');
+    }
+
+    async getNFTsForOwner(walletAddress) {
+        try {
+            // Filter by the required collections if set
+            return await this.nftProvider.getNFTsForOwner(walletAddress, {
+                collections: this.collections.map(collection => ({
+                    address: collection.address,
+                    standard: collection.standard,
+                    tokenIds: collection.expandedTokenIds
+                }))
+            });
+        } catch (error) {
+            console.error(`Error fetching NFTs from ${this.chain.shortName}:`, error.message);
+            throw new Error(`Failed to fetch NFTs: ${error.message}`);
+        }
+    }
+
+    /**
+     * Verify NFT ownership, summing holdings across all given wallets
+     * @param {string|string[]} walletAddresses - Wallet address or the user's linked wallets
+     * @returns {Promise<Object>} Verification result
+     */
+    async verifyNFTOwnership(walletAddresses) {
+        const wallets = toWalletList(walletAddresses);
+        const walletAddress = wallets[0];
+
+        try {
+            console.log(`🔍 Verifying NFTs on ${this.chain.shortName} for: ${wallets.join(', ')}`);
+            
+            let ownedNFTs = [];
+            let totalCount = 0;
+            let truncated = false;
+            const walletBreakdown = [];
+
+            // Vaults that delegated to these wallets count as the user's own holdings
+            const delegatedVaults = this.delegateRegistry
+                ? await this.delegateRegistry.getDelegatedVaults(wallets, this.collections.map(collection => collection.address))
+                : [];
+            const sources = wallets.map(wallet => ({ wallet, tokens: null }))
+                .concat(delegatedVaults.map(vault => ({ wallet: vault.vault, delegatedTo: vault.delegatedTo, tokens: vault.tokens })));
+
+            for (const source of sources) {
+                const nftData = await this.getNFTsForOwner(source.wallet);
+                let walletNFTs = nftData.ownedNfts || [];
+
+                // Contract and token delegations only cover the delegated contracts and tokens
+                if (source.tokens) {
+                    walletNFTs = walletNFTs.filter(nft => source.tokens.some(token =>
+                        token.contract.toLowerCase() === nft.contract.address.toLowerCase() &&
+                        (token.tokenId === null || token.tokenId === String(nft.tokenId))
+                    ));
+                }
+
+                const countedNFTs = filterRequiredNFTs(walletNFTs, this.collections);
+
+                ownedNFTs = ownedNFTs.concat(walletNFTs);
+                totalCount += source.tokens ? walletNFTs.length : (nftData.totalCount || 0);
+                truncated = truncated || !!nftData.truncated;
+                walletBreakdown.push({
+                    walletAddress: source.wallet,
+                    nftCount: countHoldings(countedNFTs),
+                    ...(source.delegatedTo && { delegatedTo: source.delegatedTo })
+                });
+            }
+            
+            const result = {
+                verified: false,
+                network: this.chain.id,
+                walletAddress: walletAddress,
+                walletAddresses: wallets,
+                walletBreakdown: walletBreakdown,
+                delegatedVaults: delegatedVaults,
+                totalNFTs: totalCount,
+                ownedNFTs: ownedNFTs.length,
+                truncated: truncated, // Enumeration bound hit, counts may be incomplete
+                requiredCollection: this.requiredCollection,
+                minRequired: this.minNftCount,
+                details: {},
+                timestamp: new Date().toISOString()
+            };
+
+            if (this.balanceChecker) {
+                result.balanceRoles = await this.balanceChecker.evaluate(wallets);
+            }
+
+            // If no specific collection required, just check total count
+            if (!this.requiredCollection) {
+                result.verified = result.ownedNFTs >= this.minNftCount;
+                result.details.message = `${wallets.length > 1 ? `${wallets.length} linked wallets own` : 'Wallet owns'} ${result.ownedNFTs} NFTs (required: ${this.minNftCount})`;
+                return result;
+            }
+
+            // Check each collection requirement on its own threshold; meeting any of them verifies the chain
+            // ERC-1155 quantities count, not the number of distinct entries
+            const collectionResults = evaluateCollections(ownedNFTs, this.collections);
+            const collectionNFTs = filterRequiredNFTs(ownedNFTs, this.collections);
+            const heldTokens = countHoldings(collectionNFTs);
+
+            result.verified = collectionResults.some(collection => collection.verified);
+            result.collections = collectionResults;
+            result.tierRoles = evaluateTierRoles(collectionResults, this.collections);
+            result.collectionNFTs = heldTokens;
+            result.traitRoles = this.collections.flatMap(collection =>
+                evaluateTraitRoles(filterCollectionNFTs(ownedNFTs, collection), collection)
+            );
+            
+            if (collectionNFTs.length > 0) {
+                result.details.collectionName = this.collectionName;
+                result.details.collectionSymbol = collectionNFTs[0].contract.symbol || '';
+                result.details.ownedTokens = collectionNFTs.filter(nft => nft.tokenId !== null).map(nft => ({
+                    tokenId: nft.tokenId,
+                    name: nft.name || `#${nft.tokenId}`,
+                    balance: getTokenBalance(nft),
+                    attributes: getNFTAttributes(nft),
+                    image: nft.image?.cachedUrl || nft.image?.originalUrl
+                }));
+            } else if (this.requiredCollection) {
+                // Set collection name even when no NFTs found
+                result.details.collectionName = this.collectionName;
+                result.details.collectionSymbol = '';
+            }
+
+            if (this.collections.length > 1) {
+                const metCount = collectionResults.filter(collection => collection.verified).length;
+                result.details.message = `${result.verified ? '✅' : '❌'} Meets ${metCount} of ${this.collections.length} collection requirements`;
+            } else {
+                result.details.message = result.verified 
+                    ? `✅ Owns ${heldTokens} NFTs from required collection`
+                    : `❌ Owns ${heldTokens} NFTs from required collection (need ${this.minNftCount})`;
+            }
+
+            return result;
+
+        } catch (error) {
+            console.error(`${this.chain.shortName} NFT verification failed:`, error.message);
+            return {
+                verified: false,
+                error: error.message,
+                network: this.chain.id,
+                walletAddress: walletAddress,
+                totalNFTs: 0,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    formatDiscordEmbed(result) {
+        const embed = {
+            title: result.verified ? '✅ NFT Verification Successful!' : '❌ NFT Verification Failed',
+            color: result.verified ? getColorValue(this.chain) : 0xff0000,
+            fields: [
+                {
+                    name: 'Network',
+                    value: `${this.chain.emoji} ${this.chain.name}`,
+                    inline: true
+                },
+                formatWalletField(result),
+                ...formatDelegationFields(result),
+                ...this.formatMethodFields(result)
+            ],
+            timestamp: result.timestamp
+        };
+
+        if (result.verified) {
+            const summary = this.formatVerifiedSummary(result);
+            embed.description = summary.description;
+            embed.fields.push(...summary.fields);
+        } else {
+            embed.description = result.error || result.details?.message || 'Wallet does not meet NFT ownership requirements.';
+            embed.fields.push(...this.formatFailureFields(result));
+            
+            if (result.requiredCollection && !(result.collections?.length > 1)) {
+                embed.fields.push({
+                    name: 'Required Collection',
+                    value: `\`${result.requiredCollection}\``,
+                    inline: false
+                });
+            }
+            
+            if (result.minRequired) {
+                embed.fields.push({
+                    name: 'Required NFTs',
+                    value: `${result.minRequired}`,
+                    inline: true
+                });
+            }
+
+            if (result.totalNFTs !== undefined) {
+                embed.fields.push({
+                    name: 'Total NFTs Found',
+                    value: `${result.totalNFTs || 0}`,
+                    inline: true
+                });
+            }
+        }
+
+        embed.fields.push(...formatCollectionFields(result), ...formatTierRoleFields(result), ...formatTraitRoleFields(result), ...formatBalanceRoleFields(result), ...formatTruncationFields(result));
+
+        return embed;
+    }
+
+    /**
+     * Fields describing how the result was reached (none for plain ownership checks)
+     * @param {Object} result - Verification result
+     * @returns {Object[]} Discord embed fields
+     */
+    formatMethodFields(result) {
+        return [];
+    }
+
+    /**
+     * Description and fields of a successful verification
+     * @param {Object} result - Verification result
+     * @returns {Object} { description, fields }
+     */
+    formatVerifiedSummary(result) {
+        const fields = [{
+            name: 'Total NFTs Found',
+            value: `${result.totalNFTs || 0}`,
+            inline: true
+        }];
+
+        if (result.requiredCollection && result.details?.collectionName && !(result.collections?.length > 1)) {
+            fields.push({
+                name: 'Collection',
+                value: `${result.details.collectionName} (${result.details.collectionSymbol})`,
+                inline: true
+            });
+            fields.push({
+                name: 'Owned from Collection',
+                value: `${result.collectionNFTs}`,
+                inline: true
+            });
+        }
+
+        return {
+            description: `🎉 Wallet meets NFT ownership requirements on ${this.chain.shortName}!`,
+            fields: fields
+        };
+    }
+
+    /**
+     * Fields explaining a failed verification, shown before the requirements
+     * @param {Object} result - Verification result
+     * @returns {Object[]} Discord embed fields
+     */
+    formatFailureFields(result) {
+        return [];
+    }
+
+    getConfig() {
+        return {
+            network: this.chain.id,
+            networkName: this.chain.name,
+            apiEndpoint: this.baseUrl,
+            requiredCollection: this.requiredCollection,
+            minNftCount: this.minNftCount,
+            collections: this.collections.map(collection => ({
+                name: collection.name,
+                address: collection.address,
+                minCount: collection.minCount,
+                roleId: collection.roleId
+            })),
+            hasApiKey: !!this.apiKey,
+            balanceRequirements: this.balanceChecker ? this.balanceChecker.requirements.map(requirement => requirement.name) : [],
+            nftProvider: this.nftProvider.type,
+            delegationEnabled: !!this.delegateRegistry,
+            roleId: getRoleId(this.chain)
+        };
+    }
+}
+
+module.exports = ChainNFTVerifier;
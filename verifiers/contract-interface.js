@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { Interface } = require('ethers');
+
+// Contract interfaces built from ABI JSON files (e.g. ContractABI.json at the repository root):
+// calls are encoded by function name and results decoded with uint values kept as BigInt
+const ABI_DIRECTORY = path.join(__dirname, '..');
+
+const interfaces = new Map(); // ABI path -> ContractInterface
+
+/**
+ * Convert a decoded ethers value into plain JavaScript: arrays stay arrays,
+ * structs become objects keyed by component name, integers stay BigInt
+ * @param {*} value - Decoded value
+ * @param {ParamType} param - ABI type of the value
+ * @returns {*} Plain value
+ */
+function toPlainValue(value, param) {
+    if (param.baseType === 'array') {
+        return Array.from(value, item => toPlainValue(item, param.arrayChildren));
+    }
+    if (param.baseType === 'tuple') {
+        return Object.fromEntries(param.components.map((component, index) =>
+            [component.name || String(index), toPlainValue(value[index], component)]
+        ));
+    }
+    return value;
+}
+
+/**
+ * Encodes calls and decodes results for one contract ABI
+ */
+class ContractInterface {
+    /**
+     * @param {Array} abi - ABI fragments (JSON ABI or human-readable signatures)
+     */
+    constructor(abi) {
+        this.interface = new Interface(abi);
+    }
+
+    getFunction(functionName) {
+        const fragment = this.interface.getFunction(functionName);
+        if (!fragment) {
+            throw new Error(`Function ${functionName} is not in the contract ABI`);
+        }
+        return fragment;
+    }
+
+    /**
+     * Call data for a function
+     * @param {string} functionName - Function name or full signature
+     * @param {Array} args - Function arguments
+     * @returns {string} Hex call data
+     */
+    encodeCall(functionName, args = []) {
+        return this.interface.encodeFunctionData(this.getFunction(functionName), args);
+    }
+
+    /**
+     * Decode a function's return data
+     * @param {string} functionName - Function name or full signature
+     * @param {string} data - Hex return data
+     * @returns {*} The value for single-output functions, otherwise an object keyed by output name (or position)
+     */
+    decodeResult(functionName, data) {
+        const fragment = this.getFunction(functionName);
+        const result = this.interface.decodeFunctionResult(fragment, data);
+        const values = fragment.outputs.map((output, index) => toPlainValue(result[index], output));
+
+        if (values.length === 1) return values[0];
+        return Object.fromEntries(fragment.outputs.map((output, index) => [output.name || String(index), values[index]]));
+    }
+
+    /**
+     * Call a view function through a JSON-RPC client and decode the result
+     * @param {RpcClient} rpcClient - JSON-RPC client of the chain
+     * @param {string} to - Contract address
+     * @param {string} functionName - Function name or full signature
+     * @param {Array} args - Function arguments
+     * @returns {Promise<*>} Decoded result (see decodeResult)
+     */
+    async call(rpcClient, to, functionName, args = []) {
+        const data = await rpcClient.call('eth_call', [{ to: to, data: this.encodeCall(functionName, args) }, "latest"]);
+        if (!data || data === '0x') {
+            throw new Error(`${functionName} returned no data from ${to}`);
+        }
+        return this.decodeResult(functionName, data);
+    }
+}
+
+/**
+ * Shared interface for an ABI file, loaded on first use
+ * @param {string} abiPath - ABI JSON file, relative to the repository root (e.g. "ContractABI.json")
+ * @returns {ContractInterface}
+ */
+function getContractInterface(abiPath) {
+    const fullPath = path.resolve(ABI_DIRECTORY, abiPath);
+    if (!interfaces.has(fullPath)) {
+        const json = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+        // Plain ABI arrays and build artifacts ({ abi: [...] }) are both accepted
+        interfaces.set(fullPath, new ContractInterface(Array.isArray(json) ? json : json.abi));
+    }
+    return interfaces.get(fullPath);
+}
+
+module.exports = {
+    ContractInterface,
+    getContractInterface
+};
@@ -0,0 +1,118 @@
+const { Interface } = require('ethers');
+
+// delegate.xyz Delegate Registry v2 (same address on every chain it is deployed to)
+const DEFAULT_REGISTRY_ADDRESS = '0x00000000000000447e69651d841bD8D104Bed493';
+
+const registryInterface = new Interface([
+    'function getIncomingDelegations(address to) view returns (tuple(uint8 type_, address to, address from, bytes32 rights, address contract_, uint256 tokenId, uint256 amount)[] delegations)'
+]);
+
+// DelegationType enum from the registry
+const DELEGATION_TYPES = { ALL: 1, CONTRACT: 2, ERC721: 3 };
+const EMPTY_RIGHTS = '0x' + '0'.repeat(64);
+
+/**
+ * Reads cold-wallet (vault) delegations to hot wallets from the Delegate Registry v2
+ */
+class DelegateRegistry {
+    /**
+     * @param {RpcClient} rpcClient - JSON-RPC client of the chain
+     * @param {string} registryAddress - Registry contract (defaults to DELEGATE_REGISTRY_ADDRESS or the v2 deployment)
+     */
+    constructor(rpcClient, registryAddress) {
+        this.rpcClient = rpcClient;
+        this.registryAddress = registryAddress || process.env.DELEGATE_REGISTRY_ADDRESS || DEFAULT_REGISTRY_ADDRESS;
+    }
+
+    /**
+     * Whether delegated verification is enabled for a chain (e.g. MONAD_DELEGATION_ENABLED=true)
+     * @param {string} chainPrefix - Env prefix of the chain (MONAD, ARBITRUM, BERACHAIN)
+     * @returns {boolean}
+     */
+    static isEnabledFor(chainPrefix) {
+        return process.env[`${chainPrefix}_DELEGATION_ENABLED`] === 'true';
+    }
+
+    /**
+     * Get all delegations made to a hot wallet
+     * @param {string} walletAddress - Delegate (hot wallet) address
+     * @returns {Promise<Object[]>} [{ type, vault, rights, contract, tokenId }]
+     */
+    async getIncomingDelegations(walletAddress) {
+        const result = await this.rpcClient.call('eth_call', [{
+            to: this.registryAddress,
+            data: registryInterface.encodeFunctionData('getIncomingDelegations', [walletAddress])
+        }, "latest"]);
+
+        if (!result || result === '0x') {
+            return []; // Registry not deployed on this chain
+        }
+
+        const [delegations] = registryInterface.decodeFunctionResult('getIncomingDelegations', result);
+        return delegations.map(delegation => ({
+            type: Number(delegation.type_),
+            vault: delegation.from,
+            rights: delegation.rights,
+            contract: delegation.contract_,
+            tokenId: delegation.tokenId.toString()
+        }));
+    }
+
+    /**
+     * Resolve which vaults delegated NFT holdings of a collection to the given hot wallets.
+     * Only full-rights delegations count: the whole wallet, the collection contract or a single token.
+     * @param {string[]} walletAddresses - Verified hot wallets
+     * @param {string|string[]|null} collection - Required collection address(es) (null = any collection)
+     * @returns {Promise<Object[]>} [{ vault, delegatedTo, tokens: [{ contract, tokenId }]|null }]
+     *          (tokens null = every token in the vault, tokenId null = every token of the contract)
+     */
+    async getDelegatedVaults(walletAddresses, collection) {
+        const vaults = new Map();
+        const own = new Set(walletAddresses.map(address => address.toLowerCase()));
+        const contracts = [].concat(collection || []).map(address => address.toLowerCase());
+
+        const delegationsPerWallet = await Promise.all(walletAddresses.map(walletAddress =>
+            this.getIncomingDelegations(walletAddress).catch(error => {
+                console.error(`Error reading delegations for ${walletAddress}:`, error.message);
+                return [];
+            })
+        ));
+
+        for (const [walletIndex, walletAddress] of walletAddresses.entries()) {
+            const delegations = delegationsPerWallet[walletIndex];
+
+            for (const delegation of delegations) {
+                if (delegation.rights !== EMPTY_RIGHTS || own.has(delegation.vault.toLowerCase())) continue;
+
+                const matchesCollection = contracts.length === 0 || contracts.includes(delegation.contract.toLowerCase());
+                let tokens;
+
+                if (delegation.type === DELEGATION_TYPES.ALL) {
+                    tokens = null;
+                } else if (delegation.type === DELEGATION_TYPES.CONTRACT && matchesCollection) {
+                    // Collection-wide delegation: any token of the contract (tokenId null)
+                    tokens = [{ contract: delegation.contract, tokenId: null }];
+                } else if (delegation.type === DELEGATION_TYPES.ERC721 && matchesCollection) {
+                    tokens = [{ contract: delegation.contract, tokenId: delegation.tokenId }];
+                } else {
+                    continue;
+                }
+
+                // A vault counts once; a wallet-wide delegation covers any token-level ones
+                const key = delegation.vault.toLowerCase();
+                const existing = vaults.get(key);
+                if (!existing) {
+                    vaults.set(key, { vault: delegation.vault, delegatedTo: walletAddress, tokens });
+                } else if (existing.tokens && tokens) {
+                    existing.tokens = existing.tokens.concat(tokens);
+                } else {
+                    existing.tokens = null;
+                }
+            }
+        }
+
+        return [...vaults.values()];
+    }
+}
+
+module.exports = DelegateRegistry;
@@ -0,0 +1,237 @@
+const axios = require('axios');
+
+// Ordered RPC / indexer endpoints with timeouts, retries and a circuit breaker per endpoint.
+// Breaker state is kept per URL, so a chain's NFT and JSON-RPC pools share what they learn.
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.RPC_TIMEOUT_MS) || 10000;
+const MAX_RETRIES = process.env.RPC_MAX_RETRIES !== undefined ? parseInt(process.env.RPC_MAX_RETRIES) : 2;
+const RETRY_BASE_MS = parseInt(process.env.RPC_RETRY_BASE_MS) || 250;
+const FAILURE_THRESHOLD = parseInt(process.env.RPC_FAILURE_THRESHOLD) || 3;
+const COOLDOWN_MS = parseInt(process.env.RPC_COOLDOWN_MS) || 60000;
+
+// Network-level failures worth retrying or failing over
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'ERR_NETWORK'];
+// JSON-RPC errors some providers return with HTTP 200 when rate limited
+const RETRYABLE_RPC_CODES = [429, -32005];
+
+const endpointStates = new Map(); // url -> { consecutiveFailures, openUntil, lastError, lastFailureAt, lastSuccessAt }
+const pools = new Map(); // name -> EndpointPool
+
+/**
+ * Whether an error is transient (timeout, network, 429 or 5xx)
+ * @param {Error} error - Axios or JSON-RPC error
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+    if (error.rpcCode !== undefined) return RETRYABLE_RPC_CODES.includes(error.rpcCode);
+
+    const status = error.response?.status;
+    if (status) return status === 429 || status >= 500;
+
+    // Requests that were sent but got no response (timeouts, dropped connections)
+    return RETRYABLE_ERROR_CODES.includes(error.code) || (!!error.request && !error.response);
+}
+
+/**
+ * Whether an endpoint refused the request itself (401/403: bad, expired or over-quota API key),
+ * so another endpoint may still answer it
+ * @param {Error} error - Axios or JSON-RPC error
+ * @returns {boolean}
+ */
+function isAuthError(error) {
+    return [401, 403].includes(error.response?.status);
+}
+
+/**
+ * Hide API keys in endpoint URLs (Alchemy-style /v2/<key> paths and key query parameters)
+ * @param {string} url - Endpoint URL
+ * @returns {string} URL safe to show in logs and /health
+ */
+function redactUrl(url) {
+    return url
+        .replace(/\/v(\d)\/[A-Za-z0-9_-]{8,}/, '/v$1/[API_KEY]')
+        .replace(/([?&](api[_-]?key|key|token)=)[^&]+/i, '$1[API_KEY]');
+}
+
+function getState(url) {
+    if (!endpointStates.has(url)) {
+        endpointStates.set(url, { consecutiveFailures: 0, openUntil: 0, lastError: null, lastFailureAt: null, lastSuccessAt: null });
+    }
+    return endpointStates.get(url);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Ordered list of endpoints tried in turn: each endpoint is retried with exponential backoff
+ * on transient errors, then the next one is used. Endpoints that keep failing are skipped
+ * until their cool-off period ends.
+ */
+class EndpointPool {
+    /**
+     * @param {string} name - Pool name shown in logs and /health (e.g. "arbitrum:rpc")
+     * @param {string[]} urls - Endpoints in order of preference
+     */
+    constructor(name, urls) {
+        this.name = name;
+        this.urls = urls;
+    }
+
+    /**
+     * Endpoints to try now, in configured order: those that are not being skipped or whose
+     * cool-off has ended. When every endpoint is being skipped, all of them are tried anyway.
+     * @returns {string[]} URLs
+     */
+    getAvailableUrls() {
+        const now = Date.now();
+        const available = this.urls.filter(url => getState(url).openUntil <= now);
+        return available.length > 0 ? available : this.urls;
+    }
+
+    recordSuccess(url) {
+        const state = getState(url);
+        if (state.openUntil > 0) {
+            console.log(`🟢 Endpoint recovered: ${redactUrl(url)}`);
+        }
+        state.consecutiveFailures = 0;
+        state.openUntil = 0;
+        state.lastSuccessAt = new Date().toISOString();
+    }
+
+    recordFailure(url, error) {
+        const state = getState(url);
+        state.consecutiveFailures++;
+        state.lastError = error.message;
+        state.lastFailureAt = new Date().toISOString();
+
+        if (state.consecutiveFailures >= FAILURE_THRESHOLD) {
+            state.openUntil = Date.now() + COOLDOWN_MS;
+            console.warn(`🔴 Endpoint ${redactUrl(url)} skipped for ${COOLDOWN_MS / 1000}s after ${state.consecutiveFailures} failures: ${error.message}`);
+        }
+    }
+
+    /**
+     * Run a request against the pool's endpoints with retries and failover.
+     * Rejected credentials (401/403) fail over without retrying; other non-transient errors
+     * (e.g. 400, 404, contract reverts) are returned at once without failover.
+     * @param {Function} send - async (url) => response
+     * @returns {Promise<*>} The first successful response
+     */
+    async request(send) {
+        let lastError = null;
+
+        for (const url of this.getAvailableUrls()) {
+            for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+                try {
+                    const response = await send(url);
+                    this.recordSuccess(url);
+                    return response;
+                } catch (error) {
+                    lastError = error;
+                    // Retrying the same endpoint will not help, but the next one might
+                    if (isAuthError(error)) break;
+
+                    if (!isRetryableError(error)) {
+                        // The endpoint answered: an error inside a 200 response (e.g. a revert) shows it is healthy
+                        if (!error.response) this.recordSuccess(url);
+                        throw error;
+                    }
+
+                    if (attempt < MAX_RETRIES) {
+                        await sleep(RETRY_BASE_MS * 2 ** attempt);
+                    }
+                }
+            }
+
+            this.recordFailure(url, lastError);
+            if (this.urls.length > 1) {
+                console.warn(`⚠️ ${this.name}: ${redactUrl(url)} failed (${lastError.message}), trying next endpoint`);
+            }
+        }
+
+        throw lastError || new Error(`${this.name}: no endpoints configured`);
+    }
+
+    /**
+     * JSON-RPC call; rate-limit errors inside a 200 response are retried like HTTP 429
+     * @param {Object|Object[]} body - JSON-RPC request body, or an array for a batch
+     * @param {Object} config - Extra axios options
+     * @returns {Promise<Object>} Axios response
+     */
+    post(body, config = {}) {
+        return this.request(async url => {
+            const response = await axios.post(url, body, { timeout: REQUEST_TIMEOUT_MS, ...config });
+            // A rate-limited batch entry retries the whole batch (calls are read-only)
+            const rpcError = [].concat(response.data).map(item => item?.error)
+                .find(itemError => itemError && RETRYABLE_RPC_CODES.includes(itemError.code));
+            if (rpcError) {
+                const error = new Error(rpcError.message || 'Rate limited');
+                error.rpcCode = rpcError.code;
+                throw error;
+            }
+            return response;
+        });
+    }
+
+    /**
+     * GET request relative to each endpoint (e.g. "/getNFTsForOwner")
+     * @param {string} path - Path appended to the endpoint URL
+     * @param {Object} config - Extra axios options (params, timeout)
+     * @returns {Promise<Object>} Axios response
+     */
+    get(path, config = {}) {
+        return this.request(url => axios.get(`${url}${path}`, { timeout: REQUEST_TIMEOUT_MS, ...config }));
+    }
+
+    /**
+     * Breaker state of every endpoint, for /health
+     * @returns {Object[]} [{ url, state, consecutiveFailures, lastError, lastFailureAt, lastSuccessAt, retryAt }]
+     */
+    getHealth() {
+        const now = Date.now();
+        return this.urls.map(url => {
+            const state = getState(url);
+            return {
+                url: redactUrl(url),
+                state: state.openUntil > now ? 'open' : (state.consecutiveFailures > 0 ? 'degraded' : 'healthy'),
+                consecutiveFailures: state.consecutiveFailures,
+                lastError: state.lastError,
+                lastFailureAt: state.lastFailureAt,
+                lastSuccessAt: state.lastSuccessAt,
+                ...(state.openUntil > now && { retryAt: new Date(state.openUntil).toISOString() })
+            };
+        });
+    }
+}
+
+/**
+ * Shared pool for a name, created on first use
+ * @param {string} name - Pool name (e.g. "monad_testnet:nft")
+ * @param {string[]} urls - Endpoints in order of preference
+ * @returns {EndpointPool}
+ */
+function getEndpointPool(name, urls) {
+    if (!pools.has(name)) {
+        pools.set(name, new EndpointPool(name, urls));
+    }
+    return pools.get(name);
+}
+
+/**
+ * Endpoint health of every pool in use
+ * @returns {Object} { [poolName]: [{ url, state, ... }] }
+ */
+function getEndpointHealth() {
+    return Object.fromEntries([...pools.values()].map(pool => [pool.name, pool.getHealth()]));
+}
+
+module.exports = {
+    EndpointPool,
+    getEndpointPool,
+    getEndpointHealth,
+    isRetryableError,
+    isAuthError,
+    redactUrl
+};
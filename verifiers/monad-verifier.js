@@ -1,21 +1,34 @@
-const axios = require('axios');
-
-// Simple Monad NFT Verifier (converted to CommonJS)
-class MonadNFTVerifier {
-    constructor() {
-        // Use your provided API key or fall back to env variable
-        this.apiKey = process.env.ALCHEMY_API_KEY === 'your_alchemy_api_key_here' || !process.env.ALCHEMY_API_KEY 
-            ? 'oZOAGENSu4JJteMg2gTut' 
-            : process.env.ALCHEMY_API_KEY;
-        this.baseUrl = `https://monad-testnet.g.alchemy.com/v2/${this.apiKey}`;
-        this.requiredCollection = process.env.REQUIRED_NFT_COLLECTION; // Single collection address
-        this.minNftCount = parseInt(process.env.MIN_NFT_COUNT) || 1;
-        
-        console.log('🔗 Monad NFT Verifier initialized');
-        console.log('📍 Network: Monad Testnet');
-        console.log('🎨 Required Collection:', this.requiredCollection || 'Any collection');
-        console.log('📊 Min NFTs Required:', this.minNftCount);
-        
+const { Interface, hashMessage } = require('ethers');
+const { toWalletList, evaluateTierRoles } = require('./base-verifier');
+const { getPrimaryChain } = require('./chain-registry');
+const ChainNFTVerifier = require('./chain-verifier');
+const { getContractInterface } = require('./contract-interface');
+const { isValidVerificationCode } = require('../utils/validation');
+
+// Staking contract functions (nftStakeCount, getStakedTokenIds, totalNFTStakeCount)
+const stakingContract = getContractInterface('ContractABI.json');
+
+// Ways a user can prove wallet ownership in /verify-holdings
+const PROOF_MODES = ['bot_transfer', 'self_transfer', 'calldata', 'signature'];
+
+// Blocks requested together when scanning for verification transactions
+const BLOCKS_PER_FETCH = 20;
+
+// EIP-1271: smart contract wallets return this magic value for signatures they accept
+const EIP1271_MAGIC_VALUE = '0x1626ba7e';
+const eip1271Interface = new Interface([
+    'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4 magicValue)'
+]);
+
+// Verifier for the primary chain: the generic chain checks plus staking contracts
+// and the wallet ownership proofs (transactions and signatures) used by /verify-holdings
+class MonadNFTVerifier extends ChainNFTVerifier {
+    /**
+     * @param {Object} chain - Chain from the chain registry (default: the primary chain)
+     */
+    constructor(chain = getPrimaryChain()) {
+        super(chain);
+
         // Log staking contracts
         const stakingContracts = this.getStakingContracts();
         if (stakingContracts.length > 0) {
@@ -26,91 +39,77 @@ class MonadNFTVerifier {
         } else {
             console.log('🏦 Staking Support: Disabled (no contracts configured)');
         }
+
+        console.log('🔐 Proof Modes:', this.getProofModes().join(', '));
     }
 
-    async getNFTsForOwner(walletAddress) {
-        try {
-            const url = `${this.baseUrl}/getNFTsForOwner`;
-            const response = await axios.get(url, {
-                params: {
-                    owner: walletAddress,
-                    withMetadata: true,
-                    pageSize: 100,
-                    // Filter by specific collection if set
-                    ...(this.requiredCollection && { 
-                        contractAddresses: [this.requiredCollection] 
-                    })
-                }
-            });
+    /**
+     * Proof modes offered by /verify-holdings, configured with MONAD_PROOF_MODES
+     * (comma separated: bot_transfer, self_transfer, calldata, signature)
+     * @returns {string[]} Enabled proof modes
+     */
+    getProofModes() {
+        const configured = (process.env.MONAD_PROOF_MODES || 'bot_transfer,signature')
+            .split(',')
+            .map(mode => mode.trim().toLowerCase())
+            .filter(mode => PROOF_MODES.includes(mode));
 
-            return response.data;
-        } catch (error) {
-            console.error('Error fetching NFTs from Monad:', error.message);
-            throw new Error(`Failed to fetch NFTs: ${error.message}`);
-        }
-    }
+        // Transfers to the bot need a bot wallet to send to
+        const modes = configured.filter(mode => mode !== 'bot_transfer' || process.env.BOT_WALLET_ADDRESS);
 
-    async verifyNFTOwnership(walletAddress) {
-        try {
-            console.log(`🔍 Verifying NFTs on Monad for: ${walletAddress}`);
-            
-            const nftData = await this.getNFTsForOwner(walletAddress);
-            const ownedNFTs = nftData.ownedNfts || [];
-            
-            const result = {
-                verified: false,
-                network: 'monad_testnet',
-                walletAddress: walletAddress,
-                totalNFTs: nftData.totalCount || 0,
-                ownedNFTs: ownedNFTs.length,
-                requiredCollection: this.requiredCollection,
-                minRequired: this.minNftCount,
-                details: {},
-                timestamp: new Date().toISOString()
-            };
+        return modes.length > 0 ? [...new Set(modes)] : ['signature'];
+    }
 
-            // If no specific collection required, just check total count
-            if (!this.requiredCollection) {
-                result.verified = result.ownedNFTs >= this.minNftCount;
-                result.details.message = `Wallet owns ${result.ownedNFTs} NFTs (required: ${this.minNftCount})`;
-                return result;
-            }
+    /**
+     * Addresses a verification transfer from this wallet may be sent to
+     * @param {string} walletAddress - Wallet being verified
+     * @returns {string[]} Lowercase recipient addresses for the enabled transfer modes
+     */
+    getProofRecipients(walletAddress) {
+        const modes = this.getProofModes();
+        const recipients = [];
 
-            // Check ownership of specific collection
-            const collectionNFTs = ownedNFTs.filter(nft => 
-                nft.contract.address.toLowerCase() === this.requiredCollection.toLowerCase()
-            );
+        if (modes.includes('bot_transfer')) {
+            recipients.push(process.env.BOT_WALLET_ADDRESS.toLowerCase());
+        }
+        if (modes.includes('self_transfer')) {
+            recipients.push(walletAddress.toLowerCase());
+        }
 
-            result.verified = collectionNFTs.length >= this.minNftCount;
-            result.collectionNFTs = collectionNFTs.length;
-            
-            if (collectionNFTs.length > 0) {
-                result.details.collectionName = collectionNFTs[0].contract.name || 'Unknown Collection';
-                result.details.collectionSymbol = collectionNFTs[0].contract.symbol || '';
-                result.details.ownedTokens = collectionNFTs.map(nft => ({
-                    tokenId: nft.tokenId,
-                    name: nft.name || `#${nft.tokenId}`,
-                    image: nft.image?.cachedUrl || nft.image?.originalUrl
-                }));
-            }
+        return recipients;
+    }
 
-            result.details.message = result.verified 
-                ? `✅ Owns ${collectionNFTs.length} NFTs from required collection`
-                : `❌ Owns ${collectionNFTs.length} NFTs from required collection (need ${this.minNftCount})`;
+    /**
+     * Decode a verification code sent as UTF-8 transaction input data
+     * @param {string} input - Transaction input (0x-prefixed hex)
+     * @returns {string|null} Verification code or null if the data is not one
+     */
+    decodeVerificationCode(input) {
+        if (!input || !/^0x([a-fA-F0-9]{2})+$/.test(input)) {
+            return null;
+        }
 
-            return result;
+        const text = Buffer.from(input.slice(2), 'hex').toString('utf8').replace(/\0+$/, '').trim();
+        return isValidVerificationCode(text) ? text : null;
+    }
 
-        } catch (error) {
-            console.error('NFT verification failed:', error.message);
-            return {
-                verified: false,
-                error: error.message,
-                network: 'monad_testnet',
-                walletAddress: walletAddress,
-                totalNFTs: 0,
-                timestamp: new Date().toISOString()
-            };
+    /**
+     * Whether a transaction (already known to come from the user's wallet) proves a challenge:
+     * either the exact amount to an accepted recipient, or the verification code as input data
+     * @param {Object} tx - JSON-RPC transaction object
+     * @param {string[]} recipients - Accepted lowercase recipients for amount transfers
+     * @param {string} exactAmount - Exact amount in Wei
+     * @param {string|null} verificationCode - Code expected in the input data (calldata mode)
+     * @returns {boolean}
+     */
+    isVerificationProof(tx, recipients, exactAmount, verificationCode) {
+        if (verificationCode && this.decodeVerificationCode(tx.input) === verificationCode) {
+            return true;
         }
+
+        return !!tx.to && !!exactAmount &&
+            recipients.includes(tx.to.toLowerCase()) &&
+            BigInt(tx.value || 0) === BigInt(exactAmount);
     }
 
     /**
@@ -144,121 +143,46 @@ class MonadNFTVerifier {
             console.log(`🏦 Checking staked NFTs directly from contract for: ${walletAddress}`);
             console.log(`📦 Staking contract: ${stakingContractAddress}`);
             
-            // Correct function signatures calculated with keccak256
-            // nftStakeCount(address) -> keccak256("nftStakeCount(address)")[:4]
-            const nftStakeCountSig = '0xde276f94';
-            
-            // getStakedTokenIds(address) -> keccak256("getStakedTokenIds(address)")[:4]  
-            const getStakedTokenIdsSig = '0x7047bc52';
-            
-            console.log(`🔧 Testing contract and function signatures...`);
-            
+            const [contractCode, stakeCountCall, tokenIdsCall] = await Promise.allSettled([
+                this.rpc.call('eth_getCode', [stakingContractAddress, "latest"]),
+                stakingContract.call(this.rpc, stakingContractAddress, 'nftStakeCount', [walletAddress.toLowerCase()]),
+                stakingContract.call(this.rpc, stakingContractAddress, 'getStakedTokenIds', [walletAddress.toLowerCase()])
+            ]);
+
             // First, test if contract exists by checking bytecode
-            const contractCheck = await axios.post(this.baseUrl, {
-                jsonrpc: "2.0",
-                method: "eth_getCode",
-                params: [stakingContractAddress, "latest"],
-                id: 0
-            });
-            
-            if (!contractCheck.data || !contractCheck.data.result || contractCheck.data.result === '0x') {
+            if (contractCode.status === 'rejected') {
+                throw contractCode.reason;
+            }
+            if (!contractCode.value || contractCode.value === '0x') {
                 throw new Error(`Contract not found at address ${stakingContractAddress}`);
             }
             console.log(`✅ Contract exists at ${stakingContractAddress}`);
-            
-            // Encode the wallet address (pad to 32 bytes)
-            const paddedAddress = walletAddress.slice(2).padStart(64, '0');
-            console.log(`🔧 Encoded address: 0x${paddedAddress}`);
-            
+
             let stakedCount = 0;
-            let lastError = null;
-            
-            // Try multiple function signatures
-            for (const [funcName, signature] of Object.entries({
-                'nftStakeCount(address)': nftStakeCountSig,
-                'totalNFTStakeCount()': '0x18a9a40c'  // Correct signature for totalNFTStakeCount()
-            })) {
+
+            if (stakeCountCall.status === 'fulfilled') {
+                stakedCount = Number(stakeCountCall.value);
+                console.log(`✅ Found staked count for user: ${stakedCount}`);
+            } else {
+                console.log(`❌ Error calling nftStakeCount(address):`, stakeCountCall.reason.message);
+
+                // Doesn't tell us about this specific user, but confirms staking works
                 try {
-                    const callData = funcName.includes('address') 
-                        ? signature + paddedAddress 
-                        : signature; // No params for totalNFTStakeCount
-                    
-                    console.log(`🔧 Trying ${funcName} with signature ${signature}`);
-                    console.log(`🔧 Call data: ${callData}`);
-                    
-                    const response = await axios.post(this.baseUrl, {
-                        jsonrpc: "2.0",
-                        method: "eth_call",
-                        params: [{
-                            to: stakingContractAddress,
-                            data: callData
-                        }, "latest"],
-                        id: 1
-                    });
-
-                    console.log(`🔧 Response for ${funcName}:`, JSON.stringify(response.data, null, 2));
-
-                    if (response.data && response.data.result && response.data.result !== '0x') {
-                        if (funcName.includes('totalNFTStakeCount')) {
-                            const totalStaked = parseInt(response.data.result, 16);
-                            console.log(`📊 Total NFTs staked in contract: ${totalStaked}`);
-                            // This doesn't tell us about this specific user, but confirms staking works
-                        } else {
-                            stakedCount = parseInt(response.data.result, 16);
-                            console.log(`✅ Found staked count for user: ${stakedCount}`);
-                            break;
-                        }
-                    } else if (response.data && response.data.error) {
-                        console.log(`❌ Error calling ${funcName}:`, response.data.error);
-                        lastError = response.data.error;
-                    }
+                    const totalStaked = await stakingContract.call(this.rpc, stakingContractAddress, 'totalNFTStakeCount');
+                    console.log(`📊 Total NFTs staked in contract: ${totalStaked}`);
                 } catch (funcError) {
-                    console.log(`❌ Exception calling ${funcName}:`, funcError.message);
-                    lastError = funcError;
+                    console.log(`❌ Exception calling totalNFTStakeCount():`, funcError.message);
                 }
             }
-            
+
             console.log(`📊 Final staked count: ${stakedCount}`);
 
-            // If user has staked NFTs, get the token IDs
+            // If user has staked NFTs, list the token IDs (as strings, token ids can exceed 2^53)
             let stakedTokenIds = [];
             if (stakedCount > 0) {
-                try {
-                    const tokenIdsCall = await axios.post(this.baseUrl, {
-                        jsonrpc: "2.0",
-                        method: "eth_call",
-                        params: [{
-                            to: stakingContractAddress,
-                            data: getStakedTokenIdsSig + paddedAddress
-                        }, "latest"],
-                        id: 2
-                    });
-
-                    if (tokenIdsCall.data && tokenIdsCall.data.result && tokenIdsCall.data.result !== '0x') {
-                        // Parse the returned array of token IDs
-                        const result = tokenIdsCall.data.result;
-                        // Remove '0x' and parse the dynamic array
-                        // Format: [offset][length][data1][data2]...
-                        const hex = result.slice(2);
-                        
-                        if (hex.length >= 128) { // At least offset + length
-                            const lengthHex = hex.slice(64, 128); // Second 32 bytes is length
-                            const arrayLength = parseInt(lengthHex, 16);
-                            
-                            if (arrayLength > 0 && arrayLength <= 1000) { // Sanity check
-                                for (let i = 0; i < arrayLength; i++) {
-                                    const tokenIdHex = hex.slice(128 + (i * 64), 128 + ((i + 1) * 64));
-                                    if (tokenIdHex.length === 64) {
-                                        const tokenId = parseInt(tokenIdHex, 16);
-                                        if (tokenId > 0) {
-                                            stakedTokenIds.push(tokenId);
-                                        }
-                                    }
-                                }
-                            }
-                        }
-                    }
-                } catch (tokenError) {
+                if (tokenIdsCall.status === 'fulfilled') {
+                    stakedTokenIds = tokenIdsCall.value.map(tokenId => tokenId.toString());
+                } else {
                     console.log('⚠️ Could not fetch staked token IDs, but count is available');
                 }
             }
@@ -297,84 +221,137 @@ class MonadNFTVerifier {
 
     /**
      * Enhanced NFT verification that includes staking contract checks
-     * @param {string} walletAddress - Wallet to verify
+     * @param {string|string[]} walletAddresses - Wallet to verify, or all of the user's linked wallets
      * @param {Object} options - Verification options
      * @returns {Promise<Object>} Enhanced verification result
      */
-    async verifyNFTOwnershipWithStaking(walletAddress, options = {}) {
+    async verifyNFTOwnershipWithStaking(walletAddresses, options = {}) {
+        const wallets = toWalletList(walletAddresses);
+        const walletAddress = wallets[0];
+
         try {
-            console.log(`🔍 Enhanced NFT verification for: ${walletAddress}`);
+            console.log(`🔍 Enhanced NFT verification for: ${wallets.join(', ')}`);
             
-            // First, try standard NFT ownership check
-            const standardResult = await this.verifyNFTOwnership(walletAddress);
+            // First, try standard NFT ownership check (summed across wallets)
+            const standardResult = await this.verifyNFTOwnership(wallets);
             
-            // If standard verification passes, return it
-            if (standardResult.verified) {
+            // If the main requirement is met, return it (staking only counts towards the main collection),
+            // unless the main collection has holder tiers: staked NFTs count towards those too
+            const mainRequirementMet = this.collection ? !!standardResult.collections?.[0]?.verified : standardResult.verified;
+            const countStakedForTiers = this.collection?.tiers.length > 0;
+            if (mainRequirementMet && !countStakedForTiers) {
                 standardResult.verificationMethod = 'direct_ownership';
                 return standardResult;
             }
 
-            // If standard verification fails and staking contracts are configured, check staking
+            // If standard verification fails (or tiers need the staked count) and staking contracts are configured, check staking
             const stakingContracts = this.getStakingContracts();
             if (stakingContracts.length > 0) {
-                console.log(`🏦 Standard verification failed, checking ${stakingContracts.length} staking contract(s)...`);
+                console.log(`🏦 ${mainRequirementMet ? 'Counting staked NFTs for holder tiers' : 'Standard verification failed'}, checking ${stakingContracts.length} staking contract(s)...`);
                 
                 let totalStakedCount = 0;
                 let allStakedTokenIds = [];
                 let stakingResults = [];
+                const walletBreakdown = standardResult.walletBreakdown || [];
                 
-                // Check all staking contracts
-                for (const contractAddress of stakingContracts) {
-                    console.log(`🏦 Checking staking contract: ${contractAddress}`);
-                    const stakingResult = await this.checkStakedNFTsDirectly(
-                        walletAddress, 
-                        contractAddress
-                    );
-                    
-                    stakingResults.push(stakingResult);
-                    
+                // Check all staking contracts for every wallet, including vaults that delegated
+                // the whole wallet or the whole main collection (staking only counts towards it)
+                const mainContract = this.requiredCollection?.toLowerCase();
+                const stakingWallets = wallets.concat((standardResult.delegatedVaults || [])
+                    .filter(vault => !vault.tokens || vault.tokens.some(token => token.tokenId === null && token.contract.toLowerCase() === mainContract))
+                    .map(vault => vault.vault));
+                const stakingChecks = stakingWallets.flatMap(wallet =>
+                    stakingContracts.map(contractAddress => ({ wallet, contractAddress }))
+                );
+
+                stakingResults = await Promise.all(stakingChecks.map(({ wallet, contractAddress }) => {
+                    console.log(`🏦 Checking staking contract: ${contractAddress} (${wallet})`);
+                    return this.checkStakedNFTsDirectly(wallet, contractAddress);
+                }));
+
+                stakingResults.forEach((stakingResult, index) => {
                     if (stakingResult.hasStakedNFTs) {
                         totalStakedCount += stakingResult.stakedCount;
                         allStakedTokenIds = allStakedTokenIds.concat(stakingResult.stakedTokenIds);
+
+                        const entry = walletBreakdown.find(item => item.walletAddress === stakingChecks[index].wallet);
+                        if (entry) entry.nftCount += stakingResult.stakedCount;
                     }
-                }
+                });
 
                 if (totalStakedCount > 0) {
-                    // Check if total staked count meets minimum requirements
-                    const meetsRequirement = totalStakedCount >= this.minNftCount;
+                    // Held and staked NFTs across all wallets count together toward the minimum
+                    const heldCount = this.requiredCollection ? (standardResult.collections?.[0]?.heldCount || 0) : (standardResult.ownedNFTs || 0);
+                    const combinedCount = heldCount + totalStakedCount;
+                    const heldInfo = heldCount > 0 ? ` plus ${heldCount} held` : '';
+                    const meetsRequirement = combinedCount >= this.minNftCount;
+                    const collections = (standardResult.collections || []).map((collection, index) =>
+                        index === 0 ? { ...collection, heldCount: combinedCount, verified: meetsRequirement } : collection
+                    );
+                    const tierRoles = evaluateTierRoles(collections, this.collections);
+
+                    if (mainRequirementMet) {
+                        // Ownership alone passed; staked NFTs only raise the holder tier
+                        return {
+                            ...standardResult,
+                            verificationMethod: 'direct_ownership',
+                            walletBreakdown: walletBreakdown,
+                            collections: collections,
+                            tierRoles: tierRoles,
+                            stakedNFTCount: totalStakedCount
+                        };
+                    }
                     
                     if (meetsRequirement) {
                         return {
                             verified: true,
                             verificationMethod: 'staking_direct_query_multi',
-                            network: 'monad_testnet',
+                            network: this.chain.id,
                             walletAddress: walletAddress,
+                            walletAddresses: wallets,
+                            walletBreakdown: walletBreakdown,
+                            delegatedVaults: standardResult.delegatedVaults,
+                            collections: collections,
+                            tierRoles: tierRoles,
+                            traitRoles: standardResult.traitRoles,
+                            balanceRoles: standardResult.balanceRoles,
+                            truncated: standardResult.truncated,
                             stakedNFTCount: totalStakedCount,
-                            totalNFTs: totalStakedCount, // Add this field for Discord embed display
+                            heldNFTCount: heldCount,
+                            totalNFTs: combinedCount, // Add this field for Discord embed display
                             stakedTokenIds: allStakedTokenIds.slice(0, 10), // Show first 10
                             totalStakedTokenIds: allStakedTokenIds.length,
                             stakingContracts: stakingContracts,
                             stakingContractsChecked: stakingContracts.length,
                             minRequired: this.minNftCount,
                             details: {
-                                message: `✅ Verified through staked NFTs (${totalStakedCount} NFTs staked across ${stakingContracts.length} contract(s), ${this.minNftCount} required)`,
+                                message: `✅ Verified through staked NFTs (${totalStakedCount} NFTs staked across ${stakingContracts.length} contract(s)${heldInfo}, ${this.minNftCount} required)`,
                                 stakingDetails: stakingResults
                             },
                             timestamp: new Date().toISOString()
                         };
-                    } else {
+                    } else if (!standardResult.verified) {
                         // Has staked NFTs but not enough
                         return {
                             verified: false,
                             verificationMethod: 'staking_insufficient_multi',
-                            network: 'monad_testnet',
+                            network: this.chain.id,
                             walletAddress: walletAddress,
+                            walletAddresses: wallets,
+                            walletBreakdown: walletBreakdown,
+                            delegatedVaults: standardResult.delegatedVaults,
+                            collections: collections,
+                            tierRoles: tierRoles,
+                            traitRoles: standardResult.traitRoles,
+                            balanceRoles: standardResult.balanceRoles,
+                            truncated: standardResult.truncated,
                             stakedNFTCount: totalStakedCount,
-                            totalNFTs: totalStakedCount, // Add this field for Discord embed display
+                            heldNFTCount: heldCount,
+                            totalNFTs: combinedCount, // Add this field for Discord embed display
                             stakingContractsChecked: stakingContracts.length,
                             minRequired: this.minNftCount,
                             details: {
-                                message: `❌ Insufficient staked NFTs (${totalStakedCount} staked across ${stakingContracts.length} contract(s), ${this.minNftCount} required)`,
+                                message: `❌ Insufficient staked NFTs (${totalStakedCount} staked across ${stakingContracts.length} contract(s)${heldInfo}, ${this.minNftCount} required)`,
                                 stakingDetails: stakingResults
                             },
                             timestamp: new Date().toISOString()
@@ -383,10 +360,10 @@ class MonadNFTVerifier {
                 }
             }
 
-            // If both methods fail, return the standard result with additional info
-            standardResult.verificationMethod = 'failed_both';
+            // Another collection requirement may still verify the chain; otherwise both methods failed
+            standardResult.verificationMethod = standardResult.verified ? 'direct_ownership' : 'failed_both';
             standardResult.stakingContractsChecked = stakingContracts.length;
-            if (stakingContracts.length > 0) {
+            if (stakingContracts.length > 0 && !standardResult.verified) {
                 standardResult.details.stakingInfo = `No staked NFTs found in ${stakingContracts.length} staking contract(s)`;
             }
             
@@ -397,7 +374,7 @@ class MonadNFTVerifier {
             return {
                 verified: false,
                 error: error.message,
-                network: 'monad_testnet',
+                network: this.chain.id,
                 walletAddress: walletAddress,
                 verificationMethod: 'error',
                 timestamp: new Date().toISOString()
@@ -405,248 +382,377 @@ class MonadNFTVerifier {
         }
     }
 
-    formatDiscordEmbed(result) {
-        const embed = {
-            title: result.verified ? '✅ NFT Verification Successful!' : '❌ NFT Verification Failed',
-            color: result.verified ? 0x00ff00 : 0xff0000,
-            fields: [
-                {
-                    name: 'Network',
-                    value: '🟣 Monad Testnet',
-                    inline: true
-                },
-                {
-                    name: 'Wallet Address',
-                    value: `\`${result.walletAddress}\``,
-                    inline: false
-                }
-            ],
-            timestamp: result.timestamp
+    formatMethodFields(result) {
+        if (!result.verificationMethod) return [];
+
+        const methodEmojis = {
+            'direct_ownership': '👛',
+            'staking_direct_query': '🏦',
+            'staking_insufficient': '⚠️',
+            'failed_both': '❌',
+            'error': '⚠️'
+        };
+        
+        const methodNames = {
+            'direct_ownership': 'Direct NFT Ownership',
+            'staking_direct_query': 'Staked NFTs Verification',
+            'staking_direct_query_multi': 'Staked NFTs Verification (Multi-Contract)',
+            'staking_insufficient': 'Insufficient Staked NFTs',
+            'staking_insufficient_multi': 'Insufficient Staked NFTs (Multi-Contract)',
+            'failed_both': 'Both Methods Failed',
+            'error': 'Verification Error'
         };
 
-        // Add verification method info
-        if (result.verificationMethod) {
-            const methodEmojis = {
-                'direct_ownership': '👛',
-                'staking_direct_query': '🏦',
-                'staking_insufficient': '⚠️',
-                'failed_both': '❌',
-                'error': '⚠️'
-            };
-            
-            const methodNames = {
-                'direct_ownership': 'Direct NFT Ownership',
-                'staking_direct_query': 'Staked NFTs Verification',
-                'staking_direct_query_multi': 'Staked NFTs Verification (Multi-Contract)',
-                'staking_insufficient': 'Insufficient Staked NFTs',
-                'staking_insufficient_multi': 'Insufficient Staked NFTs (Multi-Contract)',
-                'failed_both': 'Both Methods Failed',
-                'error': 'Verification Error'
-            };
+        return [{
+            name: 'Verification Method',
+            value: `${methodEmojis[result.verificationMethod] || '🔍'} ${methodNames[result.verificationMethod] || result.verificationMethod}`,
+            inline: true
+        }];
+    }
 
-            embed.fields.push({
-                name: 'Verification Method',
-                value: `${methodEmojis[result.verificationMethod] || '🔍'} ${methodNames[result.verificationMethod] || result.verificationMethod}`,
-                inline: true
-            });
+    formatVerifiedSummary(result) {
+        if (result.verificationMethod !== 'staking_direct_query' && result.verificationMethod !== 'staking_direct_query_multi') {
+            return super.formatVerifiedSummary(result);
         }
 
-        if (result.verified) {
-            if (result.verificationMethod === 'staking_direct_query' || result.verificationMethod === 'staking_direct_query_multi') {
-                // Staking-based verification
-                embed.description = '🏦 Verified through staked NFTs! Your staked NFTs count towards verification.';
-                
-                embed.fields.push({
-                    name: 'Staked NFTs',
-                    value: `${result.stakedNFTCount}`,
-                    inline: true
-                });
+        // Staking-based verification
+        const fields = [
+            {
+                name: 'Staked NFTs',
+                value: `${result.stakedNFTCount}`,
+                inline: true
+            },
+            {
+                name: 'Required',
+                value: `${result.minRequired}`,
+                inline: true
+            }
+        ];
 
-                embed.fields.push({
-                    name: 'Required',
-                    value: `${result.minRequired}`,
-                    inline: true
-                });
+        if (result.stakedTokenIds && result.stakedTokenIds.length > 0) {
+            const tokenDisplay = result.stakedTokenIds.length <= 5 
+                ? result.stakedTokenIds.join(', ')
+                : `${result.stakedTokenIds.slice(0, 5).join(', ')}... (+${result.totalStakedTokenIds - 5} more)`;
+            
+            fields.push({
+                name: 'Staked Token IDs',
+                value: `${tokenDisplay}`,
+                inline: false
+            });
+        }
 
-                if (result.stakedTokenIds && result.stakedTokenIds.length > 0) {
-                    const tokenDisplay = result.stakedTokenIds.length <= 5 
-                        ? result.stakedTokenIds.join(', ')
-                        : `${result.stakedTokenIds.slice(0, 5).join(', ')}... (+${result.totalStakedTokenIds - 5} more)`;
-                    
-                    embed.fields.push({
-                        name: 'Staked Token IDs',
-                        value: `${tokenDisplay}`,
-                        inline: false
-                    });
-                }
+        // Handle both single and multi-contract staking displays
+        if (result.verificationMethod === 'staking_direct_query_multi' && result.stakingContracts) {
+            fields.push({
+                name: 'Staking Contracts',
+                value: `${result.stakingContractsChecked} contract(s) checked`,
+                inline: false
+            });
+        } else if (result.stakingContract) {
+            fields.push({
+                name: 'Staking Contract',
+                value: `\`${result.stakingContract}\``,
+                inline: false
+            });
+        }
 
-                // Handle both single and multi-contract staking displays
-                if (result.verificationMethod === 'staking_direct_query_multi' && result.stakingContracts) {
-                    embed.fields.push({
-                        name: 'Staking Contracts',
-                        value: `${result.stakingContractsChecked} contract(s) checked`,
-                        inline: false
-                    });
-                } else if (result.stakingContract) {
-                    embed.fields.push({
-                        name: 'Staking Contract',
-                        value: `\`${result.stakingContract}\``,
-                        inline: false
-                    });
-                }
-            } else {
-                // Direct ownership verification
-                embed.description = '🎉 Wallet meets NFT ownership requirements!';
-                
-                embed.fields.push({
-                    name: 'Total NFTs Found',
-                    value: `${result.totalNFTs || 0}`,
-                    inline: true
-                });
+        return {
+            description: '🏦 Verified through staked NFTs! Your staked NFTs count towards verification.',
+            fields: fields
+        };
+    }
 
-                if (result.requiredCollection && result.details?.collectionName) {
-                    embed.fields.push({
-                        name: 'Collection',
-                        value: `${result.details.collectionName} (${result.details.collectionSymbol})`,
-                        inline: true
-                    });
-                    embed.fields.push({
-                        name: 'Owned from Collection',
-                        value: `${result.collectionNFTs}`,
-                        inline: true
-                    });
-                }
-            }
-        } else {
-            embed.description = result.error || result.details?.message || 'Wallet does not meet NFT ownership requirements.';
-            
-            // Add staking info for failed verifications
-            if (result.verificationMethod === 'staking_insufficient' || result.verificationMethod === 'staking_insufficient_multi') {
-                embed.fields.push({
+    formatFailureFields(result) {
+        if (result.verificationMethod === 'staking_insufficient' || result.verificationMethod === 'staking_insufficient_multi') {
+            return [
+                {
                     name: 'Staked NFTs Found',
                     value: `${result.stakedNFTCount}`,
                     inline: true
-                });
-                embed.fields.push({
+                },
+                {
                     name: 'Required',
                     value: `${result.minRequired}`,
                     inline: true
-                });
-            } else if (result.stakingContractChecked) {
-                embed.fields.push({
-                    name: 'Staking Check',
-                    value: result.details?.stakingInfo || 'Staking contract checked but no staked NFTs found',
-                    inline: false
-                });
-            }
-            
-            if (result.requiredCollection) {
-                embed.fields.push({
-                    name: 'Required Collection',
-                    value: `\`${result.requiredCollection}\``,
-                    inline: false
-                });
-            }
-            
-            if (result.minRequired) {
-                embed.fields.push({
-                    name: 'Required NFTs',
-                    value: `${result.minRequired}`,
-                    inline: true
-                });
-            }
+                }
+            ];
+        }
 
-            if (result.totalNFTs !== undefined) {
-                embed.fields.push({
-                    name: 'Total NFTs Found',
-                    value: `${result.totalNFTs || 0}`,
-                    inline: true
-                });
-            }
+        if (result.stakingContractsChecked && result.details?.stakingInfo) {
+            return [{
+                name: 'Staking Check',
+                value: result.details.stakingInfo,
+                inline: false
+            }];
         }
 
-        return embed;
+        return [];
     }
 
     /**
      * Check for verification transaction in recent blocks using standard JSON-RPC
      * @param {string} fromAddress - Sender wallet address
-     * @param {string} toAddress - Receiver wallet address  
+     * @param {string|string[]} toAddress - Accepted receiver address(es), the sender itself for self-transfers
      * @param {string} exactAmount - Exact amount in Wei to look for
-     * @returns {Boolean} True if transaction found
+     * @param {Object} options - { isTxHashUsed: async (txHash) => boolean } to skip already used proofs,
+     *                           { verificationCode } to also accept the code as input data,
+     *                           { notBefore } to ignore blocks mined before that time (ms)
+     * @returns {Promise<Object>} { found: boolean, txHash?, blockNumber?, timestamp? }
      */
-    async checkVerificationTransaction(fromAddress, toAddress, exactAmount) {
+    async checkVerificationTransaction(fromAddress, toAddress, exactAmount, options = {}) {
         try {
-            console.log(`🔍 Checking for transaction: ${fromAddress} -> ${toAddress}`);
+            const recipients = [].concat(toAddress).map(address => address.toLowerCase());
+            console.log(`🔍 Checking for transaction: ${fromAddress} -> ${recipients.join(' or ') || 'any address'}`);
             console.log(`💰 Looking for amount: ${exactAmount} Wei`);
+            if (options.verificationCode) {
+                console.log(`🔤 Looking for verification code: ${options.verificationCode}`);
+            }
             
             // Get latest block number
-            const latestBlockResponse = await axios.post(this.baseUrl, {
-                jsonrpc: "2.0",
-                method: "eth_blockNumber",
-                params: [],
-                id: 1
-            });
-
-            const latestBlockHex = latestBlockResponse.data.result;
-            const latestBlock = parseInt(latestBlockHex, 16);
+            const latestBlock = await this.getLatestBlockNumber();
             console.log(`📊 Latest block: ${latestBlock}`);
 
             // Check last 1000 blocks for transactions (Monad: 200ms blocks = ~3.3 minutes)
             const blocksToCheck = 1000;
             const startBlock = Math.max(0, latestBlock - blocksToCheck);
+            // Block timestamps have second precision, so compare against the start of the notBefore second
+            const notBefore = options.notBefore ? Math.floor(options.notBefore / 1000) * 1000 : 0;
+
+            // Newest first, a chunk of blocks at a time
+            for (let chunkStart = latestBlock; chunkStart >= startBlock; chunkStart -= BLOCKS_PER_FETCH) {
+                const blockNumbers = [];
+                for (let blockNum = chunkStart; blockNum >= Math.max(startBlock, chunkStart - BLOCKS_PER_FETCH + 1); blockNum--) {
+                    blockNumbers.push(blockNum);
+                }
+                const blocks = await this.getBlocksWithTransactions(blockNumbers);
 
-            for (let blockNum = latestBlock; blockNum >= startBlock; blockNum--) {
-                const blockHex = '0x' + blockNum.toString(16);
-                
-                // Get block with transactions
-                const blockResponse = await axios.post(this.baseUrl, {
-                    jsonrpc: "2.0",
-                    method: "eth_getBlockByNumber",
-                    params: [blockHex, true], // true = include full transaction objects
-                    id: 1
-                });
+                for (const [index, block] of blocks.entries()) {
+                    const blockNum = blockNumbers[index];
+                    if (!block || !block.transactions) continue;
 
-                const block = blockResponse.data.result;
-                if (!block || !block.transactions) continue;
+                    // Every older block was mined before notBefore too
+                    const blockTimestamp = parseInt(block.timestamp, 16) * 1000;
+                    if (blockTimestamp < notBefore) {
+                        console.log('❌ No matching verification transaction found since the verification was started');
+                        return { found: false };
+                    }
 
-                // Check each transaction in the block
-                for (const tx of block.transactions) {
-                    if (tx.to && tx.from && 
-                        tx.to.toLowerCase() === toAddress.toLowerCase() && 
-                        tx.from.toLowerCase() === fromAddress.toLowerCase()) {
+                    // Check each transaction in the block
+                    for (const tx of block.transactions) {
+                        if (tx.from && tx.from.toLowerCase() === fromAddress.toLowerCase()) {
+                            console.log(`🔎 Found transaction: ${BigInt(tx.value || 0)} Wei (looking for: ${exactAmount} Wei)`);
                         
-                        const txValue = tx.value ? parseInt(tx.value, 16).toString() : '0';
-                        console.log(`🔎 Found transaction: ${txValue} Wei (looking for: ${exactAmount} Wei)`);
-                        
-                        if (txValue === exactAmount) {
-                            console.log('✅ Verification transaction found!');
-                            console.log(`   Block: ${blockNum}, Hash: ${tx.hash}`);
-                            return true;
+                            if (this.isVerificationProof(tx, recipients, exactAmount, options.verificationCode)) {
+                                if (options.isTxHashUsed && await options.isTxHashUsed(tx.hash)) {
+                                    console.log(`⏭️ Skipping ${tx.hash}: already used for another verification`);
+                                    continue;
+                                }
+
+                                // Reverted transactions are still included in blocks
+                                const receipt = await this.getTransactionReceipt(tx.hash);
+                                if (!receipt || receipt.status !== '0x1') {
+                                    console.log(`⏭️ Skipping ${tx.hash}: transaction failed or has no receipt yet`);
+                                    continue;
+                                }
+
+                                console.log('✅ Verification transaction found!');
+                                console.log(`   Block: ${blockNum}, Hash: ${tx.hash}`);
+                                return {
+                                    found: true,
+                                    txHash: tx.hash,
+                                    blockNumber: blockNum,
+                                    timestamp: new Date(blockTimestamp).toISOString()
+                                };
+                            }
                         }
                     }
                 }
             }
 
             console.log('❌ No matching verification transaction found in last 1000 blocks (~3.3 minutes)');
-            return false;
+            return { found: false };
             
         } catch (error) {
             console.error('Error checking transactions:', error.message);
+            return { found: false };
+        }
+    }
+
+    /**
+     * Get the latest Monad block number
+     * @returns {Promise<number>} Latest block number
+     */
+    async getLatestBlockNumber() {
+        const result = await this.rpc.call('eth_blockNumber', []);
+        if (!result) {
+            throw new Error('Failed to fetch latest block number');
+        }
+
+        return parseInt(result, 16);
+    }
+
+    /**
+     * Check whether an address has contract bytecode (smart contract wallet such as a Safe)
+     * @param {string} walletAddress - Wallet address
+     * @returns {Promise<boolean>} True if the address is a contract
+     */
+    async isContractWallet(walletAddress) {
+        const code = await this.rpc.call('eth_getCode', [walletAddress, "latest"]);
+        if (code === undefined || code === null) {
+            throw new Error('Failed to fetch wallet bytecode');
+        }
+
+        return code !== '0x';
+    }
+
+    /**
+     * Ask a smart contract wallet whether it accepts a personal_sign signature (EIP-1271)
+     * @param {string} walletAddress - Contract wallet address
+     * @param {string} message - Signed message text
+     * @param {string} signature - Hex signature data (format is defined by the wallet)
+     * @returns {Promise<boolean>} True if the wallet returned the EIP-1271 magic value
+     */
+    async isValidContractSignature(walletAddress, message, signature) {
+        let result;
+        try {
+            result = await this.rpc.call('eth_call', [{
+                to: walletAddress,
+                data: eip1271Interface.encodeFunctionData('isValidSignature', [hashMessage(message), signature])
+            }, "latest"]);
+        } catch (error) {
+            // Reverts mean the wallet rejected the signature
+            if (error.isRpcError) return false;
+            throw error;
+        }
+
+        if (!result) {
             return false;
         }
+
+        try {
+            const [magicValue] = eip1271Interface.decodeFunctionResult('isValidSignature', result);
+            return magicValue.toLowerCase() === EIP1271_MAGIC_VALUE;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Get a block including full transaction objects
+     * @param {number} blockNumber - Block number
+     * @returns {Promise<Object|null>} Block or null if not available
+     */
+    async getBlockWithTransactions(blockNumber) {
+        try {
+            // true = include full transaction objects
+            return await this.rpc.call('eth_getBlockByNumber', ['0x' + blockNumber.toString(16), true]) || null;
+        } catch (error) {
+            if (error.isRpcError) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Get several blocks including full transaction objects
+     * @param {number[]} blockNumbers - Block numbers
+     * @returns {Promise<Array<Object|null>>} Blocks in the same order (null if not available)
+     */
+    async getBlocksWithTransactions(blockNumbers) {
+        return await Promise.all(blockNumbers.map(blockNumber => this.getBlockWithTransactions(blockNumber)));
+    }
+
+    /**
+     * Get the receipt of a transaction
+     * @param {string} txHash - Transaction hash
+     * @returns {Promise<Object|null>} Receipt with status "0x1" on success (null if not mined yet)
+     */
+    async getTransactionReceipt(txHash) {
+        return await this.rpc.call('eth_getTransactionReceipt', [txHash]) || null;
+    }
+
+    /**
+     * Verify a specific verification transaction by its hash
+     * @param {string} txHash - Transaction hash submitted by the user
+     * @param {string} fromAddress - Sender wallet address
+     * @param {string|string[]} toAddress - Accepted receiver address(es), the sender itself for self-transfers
+     * @param {string} exactAmount - Exact amount in Wei to look for (integer string)
+     * @param {number} notBefore - Time the challenge was issued (ms since epoch)
+     * @param {Object} options - { verificationCode } to also accept the code as input data
+     * @returns {Promise<Object>} { found: boolean, reason?: string, txHash, blockNumber?, timestamp? }
+     */
+    async verifyTransactionByHash(txHash, fromAddress, toAddress, exactAmount, notBefore, options = {}) {
+        try {
+            console.log(`🔍 Checking transaction by hash: ${txHash}`);
+
+            const tx = await this.rpc.call('eth_getTransactionByHash', [txHash]);
+            if (!tx) {
+                return { found: false, txHash, reason: 'Transaction not found on Monad Testnet' };
+            }
+
+            if (!tx.blockNumber) {
+                return { found: false, txHash, reason: 'Transaction is still pending, please wait a few seconds and try again' };
+            }
+
+            if (!tx.from || tx.from.toLowerCase() !== fromAddress.toLowerCase()) {
+                return { found: false, txHash, reason: `Transaction was sent from ${tx.from}, not from your wallet` };
+            }
+
+            const recipients = [].concat(toAddress).map(address => address.toLowerCase());
+            const txValue = BigInt(tx.value || 0);
+            console.log(`🔎 Transaction value: ${txValue} Wei (looking for: ${exactAmount} Wei)`);
+
+            if (!this.isVerificationProof(tx, recipients, exactAmount, options.verificationCode)) {
+                if (recipients.length === 0) {
+                    return { found: false, txHash, reason: 'Transaction data does not contain your verification code' };
+                }
+
+                if (!tx.to || !recipients.includes(tx.to.toLowerCase())) {
+                    const expected = recipients.length === 1 ? recipients[0] : recipients.join(' or ');
+                    return { found: false, txHash, reason: `Transaction was sent to ${tx.to || 'a contract creation'}, not to ${expected}` };
+                }
+
+                return { found: false, txHash, reason: 'Transaction amount does not match the exact verification amount' };
+            }
+
+            const [receipt, block] = await Promise.all([
+                this.getTransactionReceipt(txHash),
+                this.rpc.call('eth_getBlockByNumber', [tx.blockNumber, false])
+            ]);
+
+            if (!receipt || receipt.status !== '0x1') {
+                return { found: false, txHash, reason: 'Transaction failed or has no receipt yet' };
+            }
+
+            const blockTimestamp = block ? parseInt(block.timestamp, 16) * 1000 : 0;
+
+            // Block timestamps have second precision, so compare against the start of the challenge second
+            if (blockTimestamp < Math.floor(notBefore / 1000) * 1000) {
+                return { found: false, txHash, reason: 'Transaction was mined before this verification was started' };
+            }
+
+            const blockNumber = parseInt(tx.blockNumber, 16);
+            console.log('✅ Verification transaction confirmed by hash!');
+            console.log(`   Block: ${blockNumber}, Hash: ${txHash}`);
+
+            return {
+                found: true,
+                txHash: txHash,
+                blockNumber: blockNumber,
+                timestamp: new Date(blockTimestamp).toISOString()
+            };
+
+        } catch (error) {
+            console.error('Error checking transaction by hash:', error.message);
+            return { found: false, txHash, reason: `Could not fetch transaction: ${error.message}` };
+        }
     }
 
     getConfig() {
         const stakingContracts = this.getStakingContracts();
         return {
-            network: 'monad_testnet',
-            networkName: 'Monad Testnet',
-            apiEndpoint: this.baseUrl,
-            requiredCollection: this.requiredCollection,
-            minNftCount: this.minNftCount,
-            hasApiKey: !!this.apiKey,
+            ...super.getConfig(),
             botWallet: process.env.BOT_WALLET_ADDRESS,
+            proofModes: this.getProofModes(),
             stakingContract: process.env.STAKING_CONTRACT_ADDRESS, // Legacy for backward compatibility
             stakingContracts: stakingContracts,
             stakingContractsCount: stakingContracts.length,
@@ -0,0 +1,286 @@
+const { Interface } = require('ethers');
+const { getRpcClient } = require('./rpc-client');
+
+// NFT ownership providers - both return Alchemy's getNFTsForOwner shape: { ownedNfts: [{ contract: { address }, tokenId }], totalCount }
+// plus truncated: true when the enumeration bound or timeout was hit
+
+const ERC721_ENUMERABLE_INTERFACE_ID = '0x780e9d63';
+const erc721Interface = new Interface([
+    'function balanceOf(address owner) view returns (uint256)',
+    'function ownerOf(uint256 tokenId) view returns (address)',
+    'function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)',
+    'function supportsInterface(bytes4 interfaceId) view returns (bool)'
+]);
+const erc1155Interface = new Interface([
+    'function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])'
+]);
+
+// Token ids per balanceOfBatch call
+const BALANCE_BATCH_SIZE = 100;
+
+/**
+ * Alchemy NFT API provider (getNFTsForOwner REST endpoint, following pageKey)
+ */
+class AlchemyNFTProvider {
+    /**
+     * @param {EndpointPool} pool - Alchemy endpoints including the API key
+     */
+    constructor(pool) {
+        this.type = 'alchemy';
+        this.pool = pool;
+        this.maxPages = parseInt(process.env.NFT_MAX_PAGES) || 10; // 100 NFTs per page
+        this.timeoutMs = parseInt(process.env.NFT_FETCH_TIMEOUT_MS) || 20000;
+    }
+
+    /**
+     * @param {string} walletAddress - Owner wallet
+     * @param {Object} options - { collections: [{ address }] } to filter by collection (token filters are applied by the verifier)
+     * @returns {Promise<Object>} { ownedNfts, totalCount, truncated }
+     */
+    async getNFTsForOwner(walletAddress, options = {}) {
+        const startedAt = Date.now();
+        const contractAddresses = (options.collections || []).map(collection => collection.address);
+        const ownedNfts = [];
+        let totalCount = 0;
+        let pageKey = null;
+        let pages = 0;
+        let truncated = false;
+
+        do {
+            const remainingMs = this.timeoutMs - (Date.now() - startedAt);
+            if (pages >= this.maxPages || remainingMs <= 0) {
+                truncated = true;
+                break;
+            }
+
+            let response;
+            try {
+                response = await this.pool.get('/getNFTsForOwner', {
+                    params: {
+                        owner: walletAddress,
+                        withMetadata: true,
+                        pageSize: 100,
+                        ...(contractAddresses.length && {
+                            contractAddresses: contractAddresses
+                        }),
+                        ...(pageKey && { pageKey })
+                    },
+                    timeout: remainingMs
+                });
+            } catch (error) {
+                // Keep the pages already fetched if a later page runs out of time
+                if (pages > 0 && error.code === 'ECONNABORTED') {
+                    truncated = true;
+                    break;
+                }
+                throw error;
+            }
+
+            ownedNfts.push(...(response.data.ownedNfts || []));
+            totalCount = response.data.totalCount ?? ownedNfts.length;
+            pageKey = response.data.pageKey || null;
+            pages++;
+        } while (pageKey);
+
+        if (truncated) {
+            console.warn(`⚠️ NFT enumeration for ${walletAddress} stopped after ${pages} page(s) (${ownedNfts.length} of ${totalCount} NFTs)`);
+        }
+
+        return { ownedNfts, totalCount, truncated };
+    }
+}
+
+/**
+ * Plain JSON-RPC provider for chains without an NFT API. A collection address is required.
+ * ERC-721: counts with balanceOf, lists token ids with tokenOfOwnerByIndex (ERC721Enumerable)
+ * and checks explicit token lists with ownerOf.
+ * ERC-1155: reads quantities for the listed token ids with balanceOfBatch.
+ */
+class RpcNFTProvider {
+    /**
+     * @param {EndpointPool} pool - JSON-RPC endpoints
+     */
+    constructor(pool) {
+        this.type = 'rpc';
+        this.pool = pool;
+        this.rpc = getRpcClient(pool);
+        this.maxEnumeratedTokens = parseInt(process.env.RPC_MAX_ENUMERATED_TOKENS) || 100;
+        this.enumerableCache = new Map(); // contract -> boolean
+    }
+
+    /**
+     * Call a view function on a contract
+     * @param {string} to - Contract address
+     * @param {string} functionName - ERC-721 or ERC-1155 function name
+     * @param {Array} args - Function arguments
+     * @param {Interface} contractInterface - ABI the function belongs to
+     * @returns {Promise<Array>} Decoded result
+     */
+    async call(to, functionName, args, contractInterface = erc721Interface) {
+        const result = await this.rpc.call('eth_call', [{
+            to: to,
+            data: contractInterface.encodeFunctionData(functionName, args)
+        }, "latest"]);
+
+        if (!result || result === '0x') {
+            throw new Error(`${functionName} returned no data from ${to}`);
+        }
+
+        return contractInterface.decodeFunctionResult(functionName, result);
+    }
+
+    /**
+     * Whether a collection implements ERC721Enumerable (cached per contract)
+     * @param {string} contractAddress - Collection address
+     * @returns {Promise<boolean>}
+     */
+    async isEnumerable(contractAddress) {
+        const key = contractAddress.toLowerCase();
+        if (!this.enumerableCache.has(key)) {
+            let supported = false;
+            try {
+                [supported] = await this.call(contractAddress, 'supportsInterface', [ERC721_ENUMERABLE_INTERFACE_ID]);
+            } catch (error) {
+                supported = false; // No ERC-165 support
+            }
+            this.enumerableCache.set(key, supported);
+        }
+        return this.enumerableCache.get(key);
+    }
+
+    /**
+     * @param {string} walletAddress - Owner wallet
+     * @param {Object} options - { collections: [{ address, standard, tokenIds }] } (tokenIds = explicit list, required for ERC-1155)
+     * @returns {Promise<Object>} { ownedNfts, totalCount, truncated }
+     */
+    async getNFTsForOwner(walletAddress, options = {}) {
+        const collections = options.collections || [];
+        if (collections.length === 0) {
+            throw new Error('The RPC provider needs a collection address (it cannot discover NFTs without an indexer)');
+        }
+
+        for (const collection of collections) {
+            if (collection.standard === 'erc1155' && !collection.tokenIds?.length) {
+                throw new Error(`The RPC provider needs token ids or ranges for ERC-1155 collection ${collection.address}`);
+            }
+        }
+
+        let truncated = false;
+        const nftsPerCollection = await Promise.all(collections.map(async collection => {
+            if (collection.standard === 'erc1155') {
+                return this.getERC1155Balances(walletAddress, collection.address, collection.tokenIds);
+            }
+            if (collection.tokenIds?.length) {
+                return this.getOwnedFromTokenList(walletAddress, collection.address, collection.tokenIds);
+            }
+            const balance = await this.getOwnedFromBalance(walletAddress, collection.address);
+            truncated = truncated || balance.truncated;
+            return balance.owned;
+        }));
+        const ownedNfts = nftsPerCollection.flat();
+
+        const totalCount = ownedNfts.reduce((sum, nft) => sum + (nft.balance ? Number(nft.balance) : 1), 0);
+        return { ownedNfts, totalCount, truncated };
+    }
+
+    /**
+     * Read ERC-1155 quantities for a list of token ids with balanceOfBatch
+     */
+    async getERC1155Balances(walletAddress, contractAddress, tokenIds) {
+        const chunks = [];
+        for (let start = 0; start < tokenIds.length; start += BALANCE_BATCH_SIZE) {
+            chunks.push(tokenIds.slice(start, start + BALANCE_BATCH_SIZE));
+        }
+
+        const results = await Promise.all(chunks.map(ids => this.call(
+            contractAddress,
+            'balanceOfBatch',
+            [ids.map(() => walletAddress), ids],
+            erc1155Interface
+        )));
+
+        const owned = [];
+        results.forEach(([balances], chunkIndex) => {
+            const ids = chunks[chunkIndex];
+            balances.forEach((balance, index) => {
+                if (balance > 0n) {
+                    owned.push({
+                        contract: { address: contractAddress },
+                        tokenId: String(ids[index]),
+                        tokenType: 'ERC1155',
+                        balance: balance.toString()
+                    });
+                }
+            });
+        });
+        return owned;
+    }
+
+    /**
+     * Check an explicit list of token ids with ownerOf
+     */
+    async getOwnedFromTokenList(walletAddress, contractAddress, tokenIds) {
+        const owners = await Promise.all(tokenIds.map(tokenId =>
+            this.call(contractAddress, 'ownerOf', [tokenId])
+                .then(([owner]) => owner)
+                .catch(() => null) // ownerOf reverts for burned or unminted tokens
+        ));
+
+        return tokenIds
+            .filter((tokenId, index) => owners[index]?.toLowerCase() === walletAddress.toLowerCase())
+            .map(tokenId => ({ contract: { address: contractAddress }, tokenId: String(tokenId) }));
+    }
+
+    /**
+     * Count with balanceOf and list token ids when the collection is enumerable
+     * @returns {Promise<Object>} { owned, truncated } (truncated: the enumeration bound cut off the token id list)
+     */
+    async getOwnedFromBalance(walletAddress, contractAddress) {
+        const [balanceValue] = await this.call(contractAddress, 'balanceOf', [walletAddress]);
+        const balance = Number(balanceValue);
+        if (balance === 0) return { owned: [], truncated: false };
+
+        const owned = [];
+        let truncated = false;
+        if (await this.isEnumerable(contractAddress)) {
+            const enumerated = Math.min(balance, this.maxEnumeratedTokens);
+            const indexes = Array.from({ length: enumerated }, (_, index) => index);
+            const tokenIds = await Promise.all(indexes.map(index =>
+                this.call(contractAddress, 'tokenOfOwnerByIndex', [walletAddress, index])
+            ));
+            tokenIds.forEach(([tokenId]) => {
+                owned.push({ contract: { address: contractAddress }, tokenId: tokenId.toString() });
+            });
+
+            if (enumerated < balance) {
+                truncated = true;
+                console.warn(`⚠️ Token id enumeration for ${walletAddress} stopped at ${enumerated} of ${balance} tokens of ${contractAddress}`);
+            }
+        }
+
+        // Tokens that could not be listed still count towards the balance, as one entry holding the remainder
+        if (owned.length < balance) {
+            owned.push({ contract: { address: contractAddress }, tokenId: null, balance: String(balance - owned.length) });
+        }
+        return { owned, truncated };
+    }
+}
+
+/**
+ * Create the NFT provider configured for a registry chain (provider.type: alchemy | rpc)
+ * @param {Object} chain - Chain from the chain registry
+ * @param {EndpointPool} pool - The chain's provider endpoints
+ * @returns {AlchemyNFTProvider|RpcNFTProvider}
+ */
+function createNFTProvider(chain, pool) {
+    const type = chain.provider?.type || 'alchemy';
+    if (type === 'rpc') return new RpcNFTProvider(pool);
+    if (type === 'alchemy') return new AlchemyNFTProvider(pool);
+    throw new Error(`Unknown NFT provider type "${type}" for chain ${chain.id}`);
+}
+
+module.exports = {
+    AlchemyNFTProvider,
+    RpcNFTProvider,
+    createNFTProvider
+};
@@ -0,0 +1,333 @@
+const fs = require('fs');
+const path = require('path');
+const { getChain, resolveCollection } = require('./chain-registry');
+
+// Role rules - Discord roles granted by boolean expressions over requirement results,
+// declared in config/role-rules.json (override with ROLE_RULES_PATH)
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'role-rules.json');
+
+// Comparison operators, longest first so ">=" is not read as ">"
+const OPERATORS = ['>=', '<=', '==', '!=', '>', '<'];
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+
+let cachedRules = null;
+
+/**
+ * Split an expression into tokens
+ * @param {string} expression - e.g. "monad.sybil_pass >= 1 AND (arbitrum.gen1 >= 1 OR berachain.gen2 >= 2)"
+ * @returns {Object[]} [{ type: 'identifier'|'number'|'operator'|'keyword'|'paren', value }]
+ */
+function tokenize(expression) {
+    const tokens = [];
+    let position = 0;
+
+    while (position < expression.length) {
+        const rest = expression.slice(position);
+        const whitespace = rest.match(/^\s+/);
+        if (whitespace) {
+            position += whitespace[0].length;
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => rest.startsWith(op));
+        const number = rest.match(/^\d+(\.\d+)?/);
+        const word = rest.match(/^[A-Za-z_][\w]*(\.[\w]+)?/);
+
+        if (rest[0] === '(' || rest[0] === ')') {
+            tokens.push({ type: 'paren', value: rest[0] });
+            position += 1;
+        } else if (operator) {
+            tokens.push({ type: 'operator', value: operator });
+            position += operator.length;
+        } else if (number) {
+            tokens.push({ type: 'number', value: Number(number[0]) });
+            position += number[0].length;
+        } else if (word && KEYWORDS.includes(word[0].toUpperCase())) {
+            tokens.push({ type: 'keyword', value: word[0].toUpperCase() });
+            position += word[0].length;
+        } else if (word && word[1]) {
+            tokens.push({ type: 'identifier', value: word[0].toLowerCase() });
+            position += word[0].length;
+        } else {
+            throw new Error(`Unexpected "${rest.split(/\s/)[0]}" at position ${position + 1} (requirements are written as chain.requirement)`);
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse a rule expression into a syntax tree.
+ * Grammar: OR of ANDs of (NOT) terms; a term is "(expression)", "chain.requirement <op> number"
+ * or a bare "chain.requirement" (true when its value is above zero)
+ * @param {string} expression - Rule expression
+ * @returns {Object} Syntax tree ({ type: 'or'|'and'|'not'|'compare', ... })
+ */
+function parseRuleExpression(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new Error('Rule expression is empty');
+    }
+
+    const tokens = tokenize(expression);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isKeyword = keyword => peek()?.type === 'keyword' && peek().value === keyword;
+
+    function parseOr() {
+        const operands = [parseAnd()];
+        while (isKeyword('OR')) {
+            index++;
+            operands.push(parseAnd());
+        }
+        return operands.length === 1 ? operands[0] : { type: 'or', operands };
+    }
+
+    function parseAnd() {
+        const operands = [parseNot()];
+        while (isKeyword('AND')) {
+            index++;
+            operands.push(parseNot());
+        }
+        return operands.length === 1 ? operands[0] : { type: 'and', operands };
+    }
+
+    function parseNot() {
+        if (isKeyword('NOT')) {
+            index++;
+            return { type: 'not', operand: parseNot() };
+        }
+        return parseTerm();
+    }
+
+    function parseTerm() {
+        const token = tokens[index++];
+        if (!token) {
+            throw new Error('Rule expression ends unexpectedly');
+        }
+
+        if (token.type === 'paren' && token.value === '(') {
+            const inner = parseOr();
+            if (peek()?.value !== ')') {
+                throw new Error('Missing closing parenthesis');
+            }
+            index++;
+            return inner;
+        }
+
+        if (token.type !== 'identifier') {
+            throw new Error(`Expected a requirement but found "${token.value}"`);
+        }
+
+        if (peek()?.type !== 'operator') {
+            return { type: 'compare', identifier: token.value, operator: '>', threshold: 0 };
+        }
+
+        const operator = tokens[index++].value;
+        const threshold = tokens[index++];
+        if (threshold?.type !== 'number') {
+            throw new Error(`Expected a number after "${token.value} ${operator}"`);
+        }
+        return { type: 'compare', identifier: token.value, operator, threshold: threshold.value };
+    }
+
+    const tree = parseOr();
+    if (index < tokens.length) {
+        throw new Error(`Unexpected "${tokens[index].value}" after the end of the expression`);
+    }
+    return tree;
+}
+
+/**
+ * Requirement identifiers of a syntax tree
+ * @param {Object} tree - Parsed rule expression
+ * @returns {string[]} Identifiers in order of appearance
+ */
+function getIdentifiers(tree) {
+    if (tree.type === 'compare') return [tree.identifier];
+    if (tree.type === 'not') return getIdentifiers(tree.operand);
+    return tree.operands.flatMap(getIdentifiers);
+}
+
+/**
+ * Split "chain.requirement" and resolve the chain (id or alias)
+ * @param {string} identifier - Requirement identifier
+ * @returns {Object} { chain, requirement } (chain is null when unknown)
+ */
+function resolveIdentifier(identifier) {
+    const [chainId, requirement] = identifier.split('.');
+    return { chain: getChain(chainId), requirement };
+}
+
+/**
+ * Check that every identifier names a known chain and one of its requirements
+ * (a collection id, or "verified" for the chain's own verification)
+ * @param {Object} tree - Parsed rule expression
+ * @returns {string[]} Problems found (empty when the rule is valid)
+ */
+function validateRuleIdentifiers(tree) {
+    const problems = [];
+
+    for (const identifier of new Set(getIdentifiers(tree))) {
+        const { chain, requirement } = resolveIdentifier(identifier);
+        if (!chain) {
+            problems.push(`Unknown chain in "${identifier}"`);
+            continue;
+        }
+
+        const known = ['verified', ...chain.collections.map(collection => resolveCollection(collection).id)];
+        if (!known.includes(requirement)) {
+            problems.push(`Unknown requirement "${requirement}" on ${chain.id} (known: ${known.join(', ')})`);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Load and parse the role rules (cached after the first call). A missing rules file means no rules.
+ * @returns {Object[]} [{ name, expression, tree, roleId, enabled }]
+ */
+function getRoleRules() {
+    if (cachedRules) return cachedRules;
+
+    const rulesPath = process.env.ROLE_RULES_PATH || DEFAULT_RULES_PATH;
+    if (!fs.existsSync(rulesPath)) {
+        cachedRules = [];
+        return cachedRules;
+    }
+
+    const config = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+    cachedRules = (config.rules || []).map(rule => {
+        if (!rule.name || !rule.expression) {
+            throw new Error(`Invalid role rule in ${rulesPath}: name and expression are required`);
+        }
+
+        const tree = parseRuleExpression(rule.expression);
+        const problems = validateRuleIdentifiers(tree);
+        if (problems.length > 0) {
+            throw new Error(`Invalid role rule "${rule.name}": ${problems.join('; ')}`);
+        }
+
+        return {
+            name: rule.name,
+            expression: rule.expression,
+            tree: tree,
+            roleId: rule.roleId || (rule.roleEnv && process.env[rule.roleEnv]) || undefined,
+            enabled: rule.enabled !== false
+        };
+    });
+
+    return cachedRules;
+}
+
+/**
+ * Enabled rules that have a Discord role configured
+ * @returns {Object[]} Active role rules
+ */
+function getActiveRoleRules() {
+    return getRoleRules().filter(rule => rule.enabled && rule.roleId);
+}
+
+/**
+ * Chains a parsed rule references (identifiers must already be validated)
+ * @param {Object} tree - Parsed rule expression
+ * @returns {string[]} Chain ids
+ */
+function getReferencedChainIds(tree) {
+    return [...new Set(getIdentifiers(tree).map(identifier => resolveIdentifier(identifier).chain.id))];
+}
+
+/**
+ * Chains referenced by the active rules
+ * @returns {string[]} Chain ids
+ */
+function getRuleChainIds() {
+    return [...new Set(getActiveRoleRules().flatMap(rule => getReferencedChainIds(rule.tree)))];
+}
+
+/**
+ * Requirement values from verification results, keyed "chain_id.requirement"
+ * (collection ids hold the tokens held, "verified" is 1 or 0). Missing results count as zero;
+ * chains whose latest result is a failed check (error) are unavailable, since their holdings are unknown.
+ * @param {Object[]} results - Latest verification result per network (stored or fresh)
+ * @returns {Object} { values: { 'monad_testnet.sybil_pass': 3, 'monad_testnet.verified': 1, ... }, unavailableChains: Set }
+ */
+function buildRuleContext(results) {
+    const values = {};
+    const unavailableChains = new Set();
+    const timestamps = {};
+
+    for (const result of results) {
+        const chain = result && getChain(result.network);
+        if (!chain) continue;
+
+        // Records stored under an alias and the chain id: keep the most recent
+        const timestamp = Date.parse(result.timestamp) || 0;
+        if (timestamps[chain.id] !== undefined && timestamps[chain.id] > timestamp) continue;
+        timestamps[chain.id] = timestamp;
+
+        if (result.error) {
+            unavailableChains.add(chain.id);
+            continue;
+        }
+        unavailableChains.delete(chain.id);
+
+        values[`${chain.id}.verified`] = result.verified ? 1 : 0;
+        chain.collections.map(resolveCollection).forEach(collection => {
+            // Results saved before collections had ids are matched by address
+            const held = (result.collections || []).find(entry => entry.id
+                ? entry.id === collection.id
+                : !!collection.address && entry.address?.toLowerCase() === collection.address.toLowerCase());
+            values[`${chain.id}.${collection.id}`] = held ? held.heldCount : 0;
+        });
+    }
+
+    return { values, unavailableChains };
+}
+
+/**
+ * Evaluate a parsed rule against requirement values
+ * @param {Object} tree - Parsed rule expression
+ * @param {Object} context - Context from buildRuleContext
+ * @returns {Object} { passed, unavailable, terms: [{ identifier, operator, threshold, value, passed, unavailable }] }
+ *                   (unavailable: a referenced chain could not be checked, so passed is not reliable)
+ */
+function evaluateRule(tree, context) {
+    const terms = [];
+
+    function evaluate(node) {
+        if (node.type === 'and') return node.operands.map(evaluate).every(Boolean);
+        if (node.type === 'or') return node.operands.map(evaluate).some(Boolean);
+        if (node.type === 'not') return !evaluate(node.operand);
+
+        const { chain, requirement } = resolveIdentifier(node.identifier);
+        const value = chain ? (context.values[`${chain.id}.${requirement}`] || 0) : 0;
+        const unavailable = !!chain && context.unavailableChains.has(chain.id);
+        const passed = {
+            '>=': value >= node.threshold,
+            '<=': value <= node.threshold,
+            '==': value === node.threshold,
+            '!=': value !== node.threshold,
+            '>': value > node.threshold,
+            '<': value < node.threshold
+        }[node.operator];
+
+        terms.push({ identifier: node.identifier, operator: node.operator, threshold: node.threshold, value, passed, unavailable });
+        return passed;
+    }
+
+    const passed = evaluate(tree);
+    return { passed, unavailable: terms.some(term => term.unavailable), terms };
+}
+
+module.exports = {
+    parseRuleExpression,
+    validateRuleIdentifiers,
+    getRoleRules,
+    getActiveRoleRules,
+    getReferencedChainIds,
+    getRuleChainIds,
+    buildRuleContext,
+    evaluateRule
+};
@@ -0,0 +1,227 @@
+// Shared JSON-RPC client: calls made in the same tick go out as one batch request,
+// identical calls in flight share one request, and results that cannot change are cached.
+// Callers get batching by issuing independent calls together (e.g. with Promise.all)
+// rather than awaiting them one by one.
+
+const BATCH_SIZE = parseInt(process.env.RPC_BATCH_SIZE) || 20;
+const MAX_CONCURRENT_BATCHES = parseInt(process.env.RPC_MAX_CONCURRENT_BATCHES) || 4;
+const CACHE_TTL_MS = process.env.RPC_CACHE_TTL_MS !== undefined ? parseInt(process.env.RPC_CACHE_TTL_MS) : 10000;
+const CACHE_MAX_ENTRIES = parseInt(process.env.RPC_CACHE_MAX_ENTRIES) || 500;
+
+const clients = new Map(); // pool name -> RpcClient
+
+/**
+ * How long a result may be cached (0 = not cached, Infinity = never changes)
+ * @param {string} method - JSON-RPC method
+ * @param {Array} params - Call parameters
+ * @param {*} result - Call result
+ * @returns {number} Milliseconds
+ */
+function getCacheTtl(method, params, result) {
+    if (result === null || result === undefined) return 0;
+
+    switch (method) {
+        case 'eth_chainId':
+            return Infinity;
+        case 'eth_getBlockByNumber':
+            // Blocks requested by number are final once returned; "latest" and friends are not.
+            // Blocks with full transactions are large and read once, so only headers are kept.
+            if (params[1] === true) return 0;
+            return /^0x[0-9a-f]+$/i.test(params[0]) ? Infinity : 0;
+        case 'eth_getTransactionByHash':
+        case 'eth_getTransactionReceipt':
+            // Mined transactions do not change; pending ones still can
+            return result.blockNumber ? Infinity : 0;
+        case 'eth_getCode':
+            // Deployed bytecode is final; an empty account may still be deployed to (counterfactual wallets)
+            return result !== '0x' ? Infinity : CACHE_TTL_MS;
+        case 'eth_getBalance':
+        case 'eth_call':
+            return CACHE_TTL_MS;
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Error for a JSON-RPC error response (e.g. a contract revert)
+ * @param {Object} rpcError - { code, message, data }
+ * @param {string} method - JSON-RPC method
+ * @returns {Error} Error with code, data and isRpcError set
+ */
+function createRpcError(rpcError, method) {
+    const error = new Error(rpcError.message || `${method} failed`);
+    error.code = rpcError.code;
+    error.data = rpcError.data;
+    error.isRpcError = true;
+    return error;
+}
+
+/**
+ * Batching, de-duplicating and caching JSON-RPC client over an endpoint pool
+ */
+class RpcClient {
+    /**
+     * @param {EndpointPool} pool - JSON-RPC endpoints
+     */
+    constructor(pool) {
+        this.pool = pool;
+        this.queue = [];
+        this.flushScheduled = false;
+        this.activeBatches = 0;
+        this.inFlight = new Map(); // request key -> Promise
+        this.cache = new Map(); // request key -> { result, expiresAt }
+        this.batchingSupported = true;
+        this.nextId = 1;
+        this.stats = { calls: 0, cacheHits: 0, deduped: 0, httpRequests: 0 };
+    }
+
+    /**
+     * Make a JSON-RPC call. JSON-RPC errors are thrown with isRpcError set.
+     * @param {string} method - e.g. "eth_call"
+     * @param {Array} params - Call parameters
+     * @returns {Promise<*>} The call result
+     */
+    call(method, params = []) {
+        this.stats.calls++;
+        const key = `${method}:${JSON.stringify(params)}`;
+
+        const cached = this.cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            this.stats.cacheHits++;
+            return Promise.resolve(cached.result);
+        }
+
+        if (this.inFlight.has(key)) {
+            this.stats.deduped++;
+            return this.inFlight.get(key);
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            this.queue.push({ method, params, resolve, reject });
+            this.scheduleFlush();
+        }).then(result => {
+            this.cacheResult(key, method, params, result);
+            return result;
+        }).finally(() => {
+            this.inFlight.delete(key);
+        });
+
+        this.inFlight.set(key, promise);
+        return promise;
+    }
+
+    scheduleFlush() {
+        if (this.queue.length >= BATCH_SIZE) {
+            this.flush();
+        } else if (!this.flushScheduled) {
+            this.flushScheduled = true;
+            setImmediate(() => this.flush());
+        }
+    }
+
+    flush() {
+        this.flushScheduled = false;
+        // Calls beyond the concurrency limit wait for a running batch to finish
+        while (this.queue.length > 0 && this.activeBatches < MAX_CONCURRENT_BATCHES) {
+            this.activeBatches++;
+            this.sendBatch(this.queue.splice(0, BATCH_SIZE)).finally(() => {
+                this.activeBatches--;
+                this.flush();
+            });
+        }
+    }
+
+    async sendBatch(calls) {
+        try {
+            if (calls.length === 1 || !this.batchingSupported) {
+                await Promise.all(calls.map(call => this.sendSingle(call)));
+                return;
+            }
+
+            const requests = calls.map(call => ({ jsonrpc: '2.0', id: this.nextId++, method: call.method, params: call.params }));
+            this.stats.httpRequests++;
+            const response = await this.pool.post(requests);
+
+            if (!Array.isArray(response.data)) {
+                // Endpoint does not accept batches: send these calls, and later ones, one at a time
+                console.warn(`⚠️ ${this.pool.name}: batch requests not supported, sending calls individually`);
+                this.batchingSupported = false;
+                await Promise.all(calls.map(call => this.sendSingle(call)));
+                return;
+            }
+
+            const byId = new Map(response.data.map(item => [item.id, item]));
+            calls.forEach((call, index) => this.settle(call, byId.get(requests[index].id)));
+        } catch (error) {
+            calls.forEach(call => call.reject(error));
+        }
+    }
+
+    async sendSingle(call) {
+        try {
+            this.stats.httpRequests++;
+            const response = await this.pool.post({ jsonrpc: '2.0', id: this.nextId++, method: call.method, params: call.params });
+            this.settle(call, response.data);
+        } catch (error) {
+            call.reject(error);
+        }
+    }
+
+    settle(call, item) {
+        if (!item) {
+            call.reject(new Error(`${call.method}: no response from ${this.pool.name}`));
+        } else if (item.error) {
+            call.reject(createRpcError(item.error, call.method));
+        } else {
+            call.resolve(item.result);
+        }
+    }
+
+    cacheResult(key, method, params, result) {
+        const ttl = getCacheTtl(method, params, result);
+        if (ttl <= 0) return;
+
+        this.cache.delete(key);
+        this.cache.set(key, { result, expiresAt: Date.now() + ttl });
+
+        // Oldest entries first
+        while (this.cache.size > CACHE_MAX_ENTRIES) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+
+    /**
+     * Call counters since startup
+     * @returns {Object} { calls, cacheHits, deduped, httpRequests, cacheSize }
+     */
+    getStats() {
+        return { ...this.stats, cacheSize: this.cache.size };
+    }
+}
+
+/**
+ * Shared client for an endpoint pool, created on first use
+ * @param {EndpointPool} pool - JSON-RPC endpoints
+ * @returns {RpcClient}
+ */
+function getRpcClient(pool) {
+    if (!clients.has(pool.name)) {
+        clients.set(pool.name, new RpcClient(pool));
+    }
+    return clients.get(pool.name);
+}
+
+/**
+ * Call counters of every client in use
+ * @returns {Object} { [poolName]: { calls, cacheHits, deduped, httpRequests, cacheSize } }
+ */
+function getRpcClientStats() {
+    return Object.fromEntries([...clients.values()].map(client => [client.pool.name, client.getStats()]));
+}
+
+module.exports = {
+    RpcClient,
+    getRpcClient,
+    getRpcClientStats
+};
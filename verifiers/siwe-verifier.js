@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const { verifyMessage, getAddress } = require('ethers');
+
+/**
+ * The bot's public URL (PUBLIC_URL), if set and valid
+ * @returns {URL|null}
+ */
+function getPublicUrl() {
+    try {
+        return process.env.PUBLIC_URL ? new URL(process.env.PUBLIC_URL) : null;
+    } catch {
+        return null;
+    }
+}
+
+// Sign-In with Ethereum (EIP-4361) verifier - gasless alternative to the transaction proof
+class SiweVerifier {
+    /**
+     * @param {MonadNFTVerifier} contractWalletVerifier - Optional verifier used for EIP-1271 checks of smart contract wallets
+     */
+    constructor(contractWalletVerifier = null) {
+        this.contractWalletVerifier = contractWalletVerifier;
+        // Wallets show the domain in the sign-in prompt, so default to the signing page's host
+        const publicUrl = getPublicUrl();
+        this.domain = process.env.SIWE_DOMAIN || publicUrl?.host || 'localhost';
+        this.uri = process.env.SIWE_URI || (!process.env.SIWE_DOMAIN && publicUrl ? publicUrl.origin : `https://${this.domain}`);
+        this.chainId = parseInt(process.env.MONAD_CHAIN_ID) || 10143;
+        this.expiryMinutes = parseInt(process.env.SIWE_EXPIRY_MINUTES) || 10;
+        this.statement = 'Sign this message to prove you own this wallet for Discord NFT verification. This request will not trigger a blockchain transaction or cost any gas fees.';
+        this.usedNonces = new Map(); // nonce -> expiry timestamp
+
+        // Forget used nonces once their challenge could no longer be accepted anyway
+        // (unref'd so the timer alone does not keep the process alive)
+        this.cleanupTimer = setInterval(() => this.cleanup(), 5 * 60 * 1000);
+        this.cleanupTimer.unref();
+
+        console.log('✍️ SIWE Verifier initialized');
+        console.log(`   🌐 Domain: ${this.domain} (chain ${this.chainId})`);
+        console.log(`   ⏰ Challenge expiry: ${this.expiryMinutes} minutes`);
+        console.log(`   📜 Smart contract wallets (EIP-1271): ${this.contractWalletVerifier ? 'Enabled' : 'Disabled'}`);
+    }
+
+    /**
+     * Generate an EIP-4361 compliant nonce (alphanumeric, at least 8 characters)
+     * @returns {string} Random nonce
+     */
+    generateNonce() {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+        const bytes = crypto.randomBytes(17);
+        return Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+    }
+
+    /**
+     * Create a new sign-in challenge for a wallet
+     * @param {string} walletAddress - Wallet the user claims to own
+     * @returns {Object} Challenge with nonce, message and expiry
+     */
+    createChallenge(walletAddress) {
+        const issuedAt = new Date();
+        const expiresAt = new Date(issuedAt.getTime() + this.expiryMinutes * 60 * 1000);
+        const nonce = this.generateNonce();
+
+        const message = this.buildMessage({
+            address: getAddress(walletAddress.toLowerCase()),
+            nonce: nonce,
+            issuedAt: issuedAt.toISOString(),
+            expirationTime: expiresAt.toISOString()
+        });
+
+        return {
+            nonce: nonce,
+            message: message,
+            issuedAt: issuedAt.getTime(),
+            expiresAt: expiresAt.getTime()
+        };
+    }
+
+    /**
+     * Build the EIP-4361 message text
+     * @param {Object} fields - address, nonce, issuedAt, expirationTime
+     * @returns {string} Message to be signed with personal_sign
+     */
+    buildMessage({ address, nonce, issuedAt, expirationTime }) {
+        return [
+            `${this.domain} wants you to sign in with your Ethereum account:`,
+            address,
+            '',
+            this.statement,
+            '',
+            `URI: ${this.uri}`,
+            'Version: 1',
+            `Chain ID: ${this.chainId}`,
+            `Nonce: ${nonce}`,
+            `Issued At: ${issuedAt}`,
+            `Expiration Time: ${expirationTime}`
+        ].join('\n');
+    }
+
+    /**
+     * Verify a signature against a previously issued challenge.
+     * The nonce is claimed before the signature is checked and released if it is rejected,
+     * so the same challenge cannot be accepted twice, even by concurrent submissions.
+     * @param {Object} challenge - Challenge returned by createChallenge
+     * @param {string} signature - Hex signature from the wallet
+     * @param {string} expectedAddress - Wallet address the user entered
+     * @returns {Promise<Object>} { valid: boolean, recoveredAddress?: string, contractWallet?: boolean, error?: string }
+     */
+    async verifySignature(challenge, signature, expectedAddress) {
+        if (!challenge || !challenge.nonce || !challenge.message) {
+            return { valid: false, error: 'No signing challenge found' };
+        }
+
+        if (Date.now() > challenge.expiresAt) {
+            return { valid: false, error: 'Signing challenge has expired' };
+        }
+
+        if (this.usedNonces.has(challenge.nonce)) {
+            return { valid: false, error: 'This challenge has already been used' };
+        }
+
+        const cleanSignature = (signature || '').trim();
+        if (!/^0x([a-fA-F0-9]{2})*$/.test(cleanSignature)) {
+            return { valid: false, error: 'Signature must be a 0x-prefixed hex string' };
+        }
+
+        this.usedNonces.set(challenge.nonce, challenge.expiresAt);
+
+        let result;
+        try {
+            result = await this.checkSignature(challenge, cleanSignature, expectedAddress);
+        } finally {
+            if (!result?.valid) {
+                this.usedNonces.delete(challenge.nonce);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Check that the signature was made by the wallet.
+     * Wallets with bytecode are asked to validate the signature themselves (EIP-1271).
+     * @param {Object} challenge - Challenge returned by createChallenge
+     * @param {string} signature - Hex signature from the wallet
+     * @param {string} expectedAddress - Wallet address the user entered
+     * @returns {Promise<Object>} { valid: boolean, recoveredAddress?: string, contractWallet?: boolean, error?: string }
+     */
+    async checkSignature(challenge, signature, expectedAddress) {
+        if (this.contractWalletVerifier) {
+            let isContract;
+            try {
+                isContract = await this.contractWalletVerifier.isContractWallet(expectedAddress);
+            } catch (error) {
+                console.error('Error checking wallet bytecode:', error.message);
+                return { valid: false, error: 'Could not check the wallet on-chain, please try again' };
+            }
+
+            if (isContract) {
+                return this.verifyContractSignature(challenge, signature, expectedAddress);
+            }
+        }
+
+        if (!/^0x[a-fA-F0-9]{130}$/.test(signature)) {
+            return { valid: false, error: 'Signature must be a 0x-prefixed 65-byte hex string' };
+        }
+
+        let recoveredAddress;
+        try {
+            recoveredAddress = verifyMessage(challenge.message, signature);
+        } catch (error) {
+            console.error('Error recovering signature:', error.message);
+            return { valid: false, error: 'Signature could not be decoded' };
+        }
+
+        console.log(`✍️ Recovered signer: ${recoveredAddress} (expected: ${expectedAddress})`);
+
+        if (recoveredAddress.toLowerCase() !== expectedAddress.toLowerCase()) {
+            return {
+                valid: false,
+                recoveredAddress: recoveredAddress,
+                error: 'Signature was not created by the wallet you entered'
+            };
+        }
+
+        return { valid: true, recoveredAddress: recoveredAddress };
+    }
+
+    /**
+     * Verify a signature from a smart contract wallet (e.g. Safe) with EIP-1271
+     * @param {Object} challenge - Challenge returned by createChallenge
+     * @param {string} signature - Hex signature data
+     * @param {string} walletAddress - Contract wallet address
+     * @returns {Promise<Object>} { valid: boolean, recoveredAddress?: string, contractWallet: true, error?: string }
+     */
+    async verifyContractSignature(challenge, signature, walletAddress) {
+        let accepted;
+        try {
+            accepted = await this.contractWalletVerifier.isValidContractSignature(walletAddress, challenge.message, signature);
+        } catch (error) {
+            console.error('Error calling isValidSignature:', error.message);
+            return { valid: false, contractWallet: true, error: 'Could not check the signature with your wallet contract, please try again' };
+        }
+
+        console.log(`📜 EIP-1271 signature check for contract wallet ${walletAddress}: ${accepted ? 'accepted' : 'rejected'}`);
+
+        if (!accepted) {
+            return {
+                valid: false,
+                contractWallet: true,
+                error: 'Your smart contract wallet did not accept this signature (EIP-1271)'
+            };
+        }
+
+        return { valid: true, recoveredAddress: walletAddress, contractWallet: true };
+    }
+
+    /**
+     * Clean up used nonces whose challenges have expired
+     */
+    cleanup() {
+        const now = Date.now();
+        for (const [nonce, expiresAt] of this.usedNonces.entries()) {
+            if (now > expiresAt) {
+                this.usedNonces.delete(nonce);
+            }
+        }
+    }
+
+    getConfig() {
+        return {
+            domain: this.domain,
+            uri: this.uri,
+            chainId: this.chainId,
+            expiryMinutes: this.expiryMinutes,
+            contractWallets: !!this.contractWalletVerifier
+        };
+    }
+}
+
+module.exports = SiweVerifier;
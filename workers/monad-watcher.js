@@ -0,0 +1,173 @@
+/**
+ * Background watcher for Monad verification transactions
+ * Follows new blocks from a persisted cursor and auto-confirms pending verifications
+ */
+
+const CURSOR_KEY = 'monad_watcher_cursor';
+// Blocks requested together when following new blocks
+const BLOCKS_PER_FETCH = 20;
+
+class MonadTransactionWatcher {
+    /**
+     * @param {MonadNFTVerifier} monadVerifier - Verifier used for block queries
+     * @param {PostgreSQLDatabase} verificationDB - Database used to persist the block cursor
+     * @param {Object} handlers - { async getOpenChallenges(), async onMatch(challenge, transaction) }
+     */
+    constructor(monadVerifier, verificationDB, handlers) {
+        this.verifier = monadVerifier;
+        this.verificationDB = verificationDB;
+        this.getOpenChallenges = handlers.getOpenChallenges;
+        this.onMatch = handlers.onMatch;
+
+        this.pollIntervalMs = parseInt(process.env.MONAD_WATCHER_INTERVAL_MS) || 5000;
+        this.maxBlocksPerTick = parseInt(process.env.MONAD_WATCHER_MAX_BLOCKS) || 100;
+
+        this.cursor = null; // Last fully processed block
+        this.timer = null;
+        this.isProcessing = false;
+        this.lastError = null;
+        this.matchesFound = 0;
+    }
+
+    static isEnabled() {
+        return process.env.MONAD_WATCHER_ENABLED !== 'false';
+    }
+
+    async start() {
+        if (!this.verifier.getProofModes().some(mode => mode !== 'signature')) {
+            console.warn('⚠️ Monad watcher not started: no transfer proof mode is enabled');
+            return;
+        }
+
+        const savedCursor = await this.verificationDB.getBotState(CURSOR_KEY);
+        this.cursor = typeof savedCursor === 'number' ? savedCursor : null;
+
+        console.log('👀 Monad transaction watcher started');
+        console.log(`   ⏱️ Poll interval: ${this.pollIntervalMs}ms (max ${this.maxBlocksPerTick} blocks per poll)`);
+        console.log(`   📍 Resuming from block: ${this.cursor ?? 'latest'}`);
+
+        this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+        await this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Process the next range of blocks
+     */
+    async tick() {
+        // Skip if the previous poll is still running (slow RPC or catching up)
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+
+        try {
+            const latestBlock = await this.verifier.getLatestBlockNumber();
+            const challenges = await this.getOpenChallenges();
+
+            // Nothing can match without open challenges, so just keep up with the chain
+            if (this.cursor === null || challenges.length === 0) {
+                await this.saveCursor(latestBlock);
+                return;
+            }
+
+            const fromBlock = this.cursor + 1;
+            const toBlock = Math.min(latestBlock, this.cursor + this.maxBlocksPerTick);
+
+            // Transfers to the bot wallet or back to the sender, depending on enabled proof modes
+            const recipients = new Map(challenges.map(challenge =>
+                [challenge, this.verifier.getProofRecipients(challenge.walletAddress)]
+            ));
+            const calldataEnabled = this.verifier.getProofModes().includes('calldata');
+
+            let caughtUp = false;
+            for (let chunkStart = fromBlock; chunkStart <= toBlock && !caughtUp; chunkStart += BLOCKS_PER_FETCH) {
+                const blockNumbers = [];
+                for (let blockNum = chunkStart; blockNum <= Math.min(toBlock, chunkStart + BLOCKS_PER_FETCH - 1); blockNum++) {
+                    blockNumbers.push(blockNum);
+                }
+                const blocks = await this.verifier.getBlocksWithTransactions(blockNumbers);
+
+                for (const [index, block] of blocks.entries()) {
+                    const blockNum = blockNumbers[index];
+                    if (!block) {
+                        caughtUp = true; // Not available yet, retry on next poll
+                        break;
+                    }
+                    const blockTimestamp = parseInt(block.timestamp, 16) * 1000;
+
+                    for (const tx of block.transactions || []) {
+                        if (!tx.from) continue;
+
+                        // Block timestamps have second precision, so compare against the start of the challenge second
+                        const matchIndex = challenges.findIndex(challenge =>
+                            challenge.walletAddress.toLowerCase() === tx.from.toLowerCase() &&
+                            blockTimestamp >= Math.floor(challenge.createdAt / 1000) * 1000 &&
+                            this.verifier.isVerificationProof(
+                                tx,
+                                recipients.get(challenge),
+                                challenge.amountWei,
+                                calldataEnabled ? challenge.verificationCode : null
+                            )
+                        );
+
+                        if (matchIndex === -1) continue;
+
+                        // Reverted transactions are still included in blocks
+                        const receipt = await this.verifier.getTransactionReceipt(tx.hash);
+                        if (!receipt || receipt.status !== '0x1') {
+                            console.warn(`⚠️ Watcher skipped failed transaction ${tx.hash} from ${tx.from}`);
+                            continue;
+                        }
+
+                        const [challenge] = challenges.splice(matchIndex, 1);
+                        const transaction = {
+                            txHash: tx.hash,
+                            blockNumber: blockNum,
+                            timestamp: new Date(blockTimestamp).toISOString()
+                        };
+
+                        console.log(`👀 Watcher matched verification transaction ${tx.hash} for ${challenge.walletAddress}`);
+                        this.matchesFound++;
+
+                        try {
+                            await this.onMatch(challenge, transaction);
+                        } catch (error) {
+                            console.error('Error handling watcher match:', error);
+                        }
+                    }
+
+                    this.cursor = blockNum;
+                }
+            }
+
+            await this.saveCursor(this.cursor);
+            this.lastError = null;
+        } catch (error) {
+            console.error('Monad watcher error:', error.message);
+            this.lastError = error.message;
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    async saveCursor(blockNumber) {
+        this.cursor = blockNumber;
+        await this.verificationDB.setBotState(CURSOR_KEY, blockNumber);
+    }
+
+    getStatus() {
+        return {
+            running: !!this.timer,
+            cursor: this.cursor,
+            matchesFound: this.matchesFound,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = MonadTransactionWatcher;